@@ -0,0 +1,284 @@
+/**
+ * Offline Asset Bundling
+ * ======================
+ *
+ * @purpose
+ * Downloads every stylesheet, font, image and script referenced by the generated
+ * page so the manual works without a network connection.
+ *
+ * @keyFacts
+ * - Two modes: 'inline' embeds assets as data URIs / inline tags (one self-contained file),
+ *   'folder' writes them to an assets/ directory next to index.html. A third, 'remote',
+ *   downloads nothing and only makes references absolute, so they load from anywhere
+ * - Assets are deduplicated by content hash, so identical files are stored once
+ * - Stylesheets are processed recursively: url() and @import targets (fonts, images)
+ *   are bundled relative to the stylesheet's own URL
+ * - Content images are relative to the page iframe URL (docs/manual/en/.../Page.html)
+ * - Downloads are cached on disk by URL so rebuilds stay offline
+ * - A failed download leaves the absolute URL in place instead of failing the build
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Buffer } = require('node:buffer');
+const { getAttribute, setAttribute, replaceAsync } = require('./html');
+
+const MIME_TYPES = {
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+};
+
+const ASSET_TAG_PATTERN = /<(img|source|script|link)\b[^>]*>(?:\s*<\/script>)?/gi;
+const CSS_URL_PATTERN = /(@import\s+)?url\(\s*(['"]?)([^'")]+)\2\s*\)|@import\s+(['"])([^'"]+)\4/gi;
+
+function getMimeType(url, contentType) {
+  const type = contentType?.split(';')[0].trim();
+  if (type && type !== 'application/octet-stream') return type;
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+function getExtension(url, mimeType) {
+  const extension = path.extname(new URL(url).pathname).toLowerCase();
+  if (MIME_TYPES[extension]) return extension;
+  const match = Object.entries(MIME_TYPES).find(([, type]) => type === mimeType);
+  return match ? match[0] : '';
+}
+
+function resolveUrl(ref, baseUrl) {
+  const value = ref?.trim();
+  if (!value || /^(data|blob|javascript|mailto|about):/i.test(value) || value.startsWith('#')) {
+    return null;
+  }
+  try {
+    const url = new URL(value, baseUrl);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creates a bundler that rewrites HTML and CSS to reference local copies of their
+ * assets. Call writeAssets() once all content has been rewritten.
+ */
+function createAssetBundler(options = {}) {
+  const {
+    mode = 'inline',
+    assetsDir = 'assets',
+    cacheDir = null,
+    log = { debug: () => {}, error: () => {} },
+  } = options;
+
+  const downloads = new Map();
+  const bundled = new Map();
+  const files = new Map();
+  const stats = { downloaded: 0, cached: 0, failed: 0, deduplicated: 0 };
+
+  const isLocalRef = (ref) =>
+    ref.startsWith('data:') || (mode === 'folder' && ref.startsWith(`${assetsDir}/`));
+
+  async function readCached(url) {
+    if (!cacheDir) return null;
+    const hash = crypto.createHash('md5').update(url).digest('hex');
+    try {
+      const cached = JSON.parse(await fs.readFile(path.join(cacheDir, `${hash}.json`), 'utf8'));
+      return { data: Buffer.from(cached.data, 'base64'), contentType: cached.contentType };
+    } catch {
+      return null;
+    }
+  }
+
+  async function writeCached(url, asset) {
+    if (!cacheDir) return;
+    const hash = crypto.createHash('md5').update(url).digest('hex');
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(
+        path.join(cacheDir, `${hash}.json`),
+        JSON.stringify({ url, contentType: asset.contentType, data: asset.data.toString('base64') })
+      );
+    } catch (error) {
+      log.error(`Failed to cache asset ${url}:`, error);
+    }
+  }
+
+  // Resolves to { data, contentType }, from the disk cache when possible
+  function download(url) {
+    if (!downloads.has(url)) {
+      downloads.set(
+        url,
+        (async () => {
+          const cached = await readCached(url);
+          if (cached) {
+            stats.cached++;
+            return cached;
+          }
+          const fetchFn = options.fetch || global.fetch;
+          log.debug(`Downloading asset: ${url}`);
+          const response = await fetchFn(url);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          const asset = {
+            data: Buffer.from(await response.arrayBuffer()),
+            contentType: response.headers?.get?.('content-type') || null,
+          };
+          stats.downloaded++;
+          await writeCached(url, asset);
+          return asset;
+        })()
+      );
+    }
+    return downloads.get(url);
+  }
+
+  function store(url, data, mimeType) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+    const fileName = `${hash}${getExtension(url, mimeType)}`;
+    if (files.has(fileName)) {
+      stats.deduplicated++;
+    } else {
+      files.set(fileName, { data, mimeType });
+    }
+    return {
+      mimeType,
+      data,
+      fileName,
+      dataUri: mode === 'inline' ? `data:${mimeType};base64,${data.toString('base64')}` : null,
+    };
+  }
+
+  /**
+   * Downloads and stores a single asset. Resolves to null when the asset could not be
+   * fetched, in which case callers keep the absolute URL.
+   */
+  function bundle(url, ancestors = []) {
+    if (!bundled.has(url)) {
+      bundled.set(
+        url,
+        (async () => {
+          try {
+            const asset = await download(url);
+            const mimeType = getMimeType(url, asset.contentType);
+            if (mimeType === 'text/css') {
+              const css = await rewriteCss(asset.data.toString('utf8'), url, {
+                inAssetsDir: true,
+                ancestors: [...ancestors, url],
+              });
+              return store(url, Buffer.from(css, 'utf8'), mimeType);
+            }
+            return store(url, asset.data, mimeType);
+          } catch (error) {
+            stats.failed++;
+            log.error(`Failed to bundle asset ${url}: ${error.message}`);
+            return null;
+          }
+        })()
+      );
+    }
+    return bundled.get(url);
+  }
+
+  async function getRef(ref, baseUrl, { inAssetsDir = false, ancestors = [] } = {}) {
+    const url = resolveUrl(ref, baseUrl);
+    if (!url) return ref;
+    if (mode === 'remote') return url;
+    // A stylesheet importing one of its ancestors would wait on itself forever
+    if (ancestors.includes(url)) return url;
+    const asset = await bundle(url, ancestors);
+    if (!asset) return url;
+    if (mode === 'inline') return asset.dataUri;
+    return inAssetsDir ? asset.fileName : `${assetsDir}/${asset.fileName}`;
+  }
+
+  /**
+   * Rewrites url() and @import references in a stylesheet. Stylesheets written to the
+   * assets folder reference their siblings by bare file name.
+   */
+  async function rewriteCss(css, baseUrl, { inAssetsDir = false, ancestors = [] } = {}) {
+    return replaceAsync(
+      css,
+      CSS_URL_PATTERN,
+      async (match, importPrefix, _quote, ref, _quote2, ref2) => {
+        const target = ref ?? ref2;
+        if (isLocalRef(target)) return match;
+        const local = await getRef(target, baseUrl, { inAssetsDir, ancestors });
+        return `${importPrefix || (ref2 ? '@import ' : '')}url("${local}")`;
+      }
+    );
+  }
+
+  async function rewriteTag(tag, tagName, baseUrl) {
+    const name = tagName.toLowerCase();
+    const attribute = name === 'link' ? 'href' : 'src';
+    const ref = getAttribute(tag, attribute);
+    if (!ref || isLocalRef(ref)) return tag;
+
+    if (name === 'link') {
+      const rel = (getAttribute(tag, 'rel') || '').toLowerCase();
+      if (!/stylesheet|icon/.test(rel)) return tag;
+      if (rel === 'stylesheet' && mode === 'inline') {
+        const url = resolveUrl(ref, baseUrl);
+        const asset = url && (await bundle(url));
+        if (asset) {
+          return `<style>${asset.data.toString('utf8')}</style>`;
+        }
+      }
+    }
+
+    if (name === 'script' && mode === 'inline') {
+      const url = resolveUrl(ref, baseUrl);
+      const asset = url && (await bundle(url));
+      if (asset) {
+        const source = asset.data.toString('utf8').replace(/<\/script/gi, '<\\/script');
+        return `<script>${source}</script>`;
+      }
+    }
+
+    return setAttribute(tag, attribute, await getRef(ref, baseUrl));
+  }
+
+  /**
+   * Rewrites img, source, script and stylesheet/icon link tags in an HTML fragment.
+   * Relative references are resolved against baseUrl.
+   */
+  async function rewriteHtml(html, baseUrl) {
+    return replaceAsync(html, ASSET_TAG_PATTERN, (tag, tagName) =>
+      rewriteTag(tag, tagName, baseUrl)
+    );
+  }
+
+  async function writeAssets(outputDir) {
+    if (mode !== 'folder' || files.size === 0) return 0;
+    const targetDir = path.join(outputDir, assetsDir);
+    await fs.mkdir(targetDir, { recursive: true });
+    for (const [fileName, { data }] of files) {
+      await fs.writeFile(path.join(targetDir, fileName), data);
+    }
+    return files.size;
+  }
+
+  // Stored assets as [{ fileName, data, mimeType }], for containers such as EPUB
+  function listAssets() {
+    return Array.from(files, ([fileName, asset]) => ({ fileName, ...asset }));
+  }
+
+  return { rewriteHtml, rewriteCss, writeAssets, listAssets, download, stats };
+}
+
+module.exports = {
+  createAssetBundler,
+};
@@ -0,0 +1,136 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { Buffer } = require('node:buffer');
+const { createAssetBundler } = require('./assets');
+
+jest.mock('fs/promises', () => ({
+  mkdir: jest.fn().mockResolvedValue(undefined),
+  writeFile: jest.fn().mockResolvedValue(undefined),
+  readFile: jest.fn().mockRejectedValue(new Error('No cache')),
+}));
+
+const ASSETS = {
+  'https://threejs.org/docs/page.css':
+    "@font-face { src: url('../files/inter.woff2'); } body { background: url(img/bg.png); }",
+  'https://threejs.org/files/inter.woff2': 'font-data',
+  'https://threejs.org/docs/img/bg.png': 'png-data',
+  'https://threejs.org/docs/manual/en/introduction/resources/srgb_gamut.png': 'png-data',
+  'https://cdn.example.com/prettify.js': 'window.PR = {}; "</script>";',
+};
+
+function createFetch() {
+  return jest.fn(async (url) => {
+    if (!(url in ASSETS)) {
+      return { ok: false, status: 404 };
+    }
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      arrayBuffer: async () => Buffer.from(ASSETS[url], 'utf8'),
+    };
+  });
+}
+
+describe('Asset Bundling', () => {
+  let fetch;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fetch = createFetch();
+  });
+
+  test('inline mode should embed stylesheets, fonts and scripts', async () => {
+    const bundler = createAssetBundler({ mode: 'inline', fetch });
+
+    const html = await bundler.rewriteHtml(
+      '<link rel="stylesheet" href="page.css"><script src="https://cdn.example.com/prettify.js"></script>',
+      'https://threejs.org/docs/index.html'
+    );
+
+    expect(html).toContain('<style>@font-face { src: url("data:font/woff2;base64,');
+    expect(html).toContain('url("data:image/png;base64,');
+    expect(html).toContain('<script>window.PR = {}; "<\\/script>";</script>');
+    expect(html).not.toContain('https://');
+  });
+
+  test('images should resolve relative to the page URL', async () => {
+    const bundler = createAssetBundler({ mode: 'inline', fetch });
+
+    const html = await bundler.rewriteHtml(
+      '<img src="resources/srgb_gamut.png" alt="">',
+      'https://threejs.org/docs/manual/en/introduction/Color-management.html'
+    );
+
+    expect(html).toBe(
+      `<img src="data:image/png;base64,${Buffer.from('png-data').toString('base64')}" alt="">`
+    );
+  });
+
+  test('folder mode should write assets deduplicated by content hash', async () => {
+    const fs = require('fs/promises');
+    const bundler = createAssetBundler({ mode: 'folder', fetch });
+
+    const html = await bundler.rewriteHtml(
+      '<link rel="stylesheet" href="page.css">' +
+        '<img src="manual/en/introduction/resources/srgb_gamut.png">',
+      'https://threejs.org/docs/index.html'
+    );
+
+    const [, cssFile] = html.match(/href="assets\/([\w.]+)"/);
+    const [, imageFile] = html.match(/src="assets\/([\w.]+)"/);
+    expect(cssFile).toMatch(/\.css$/);
+    expect(imageFile).toMatch(/\.png$/);
+
+    const count = await bundler.writeAssets('docs');
+
+    // page.css, inter.woff2 and a single copy of the identical PNGs
+    expect(count).toBe(3);
+    expect(bundler.stats.deduplicated).toBe(1);
+    expect(fs.writeFile).toHaveBeenCalledWith(
+      expect.stringContaining(imageFile),
+      expect.any(Buffer)
+    );
+    const css = fs.writeFile.mock.calls
+      .find(([file]) => file.endsWith(cssFile))[1]
+      .toString('utf8');
+    expect(css).toContain(`url("${imageFile}")`);
+  });
+
+  test('failed downloads should keep the absolute URL', async () => {
+    const bundler = createAssetBundler({ mode: 'inline', fetch });
+
+    const html = await bundler.rewriteHtml(
+      '<img src="missing.png">',
+      'https://threejs.org/docs/index.html'
+    );
+
+    expect(html).toBe('<img src="https://threejs.org/docs/missing.png">');
+    expect(bundler.stats.failed).toBe(1);
+  });
+
+  test('remote mode should only make references absolute', async () => {
+    const bundler = createAssetBundler({ mode: 'remote', fetch });
+
+    const html = await bundler.rewriteHtml(
+      '<link rel="stylesheet" href="page.css"><img src="resources/srgb_gamut.png">',
+      'https://threejs.org/docs/manual/en/introduction/Color-management.html'
+    );
+
+    expect(html).toBe(
+      '<link rel="stylesheet" href="https://threejs.org/docs/manual/en/introduction/page.css">' +
+        '<img src="https://threejs.org/docs/manual/en/introduction/resources/srgb_gamut.png">'
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('each asset should only be downloaded once', async () => {
+    const bundler = createAssetBundler({ mode: 'inline', fetch });
+
+    await bundler.rewriteHtml(
+      '<img src="img/bg.png"><img src="img/bg.png">',
+      'https://threejs.org/docs/index.html'
+    );
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Page Cache
+ * ==========
+ *
+ * @purpose
+ * Stores extracted pages on disk together with what is needed to tell whether they
+ * are still current, so scheduled rebuilds only re-extract the pages that changed.
+ *
+ * @keyFacts
+ * - One JSON file per page: { url, fetchedAt, extractorVersion, revision, validators, data }
+ * - Files are named md5(url)_v<version>[_<revision>].json and grouped per language
+ *   (.cache/zh/...); entries written by another extractor version are never reused
+ * - An entry is fresh while it is younger than maxAge (no limit by default). Pages of a
+ *   pinned revision never change, so they are always fresh
+ * - Stale entries are revalidated with a conditional request for the page's source
+ *   file (If-None-Match / If-Modified-Since); a 200 whose body hashes like the cached
+ *   one also counts as unchanged. Unchanged entries are reused and their fetchedAt renewed
+ * - stats() and prune() only look at page files, not at the assets/ and revisions/
+ *   caches or the run manifest that share the directory
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Buffer } = require('node:buffer');
+
+const PAGE_FILE_PATTERN = /^[\da-f]{32}_v([^_]+)(?:_(.+))?\.json$/;
+const DURATION_PATTERN = /^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)?$/i;
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Parses a duration such as 90m, 12h, 7d or 2w (plain numbers are seconds) into
+ * milliseconds. Returns null for an empty value.
+ */
+function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const match = String(value).trim().match(DURATION_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use e.g. 90m, 12h, 7d or 2w`);
+  }
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()] * 1000;
+}
+
+function getLanguage(url) {
+  return url.match(/#(?:manual|api|examples)\/([\w-]+)\//)?.[1] || '';
+}
+
+function hashContent(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Creates a page cache in `dir`. `maxAge` (ms, null for no limit) decides when entries
+ * need revalidating; `fetch` is used for the conditional requests.
+ */
+function createPageCache(options = {}) {
+  const {
+    dir = '.cache',
+    version = '1',
+    revision = null,
+    maxAge = null,
+    fetch = (...args) => global.fetch(...args),
+    now = () => Date.now(),
+    log = null,
+  } = options;
+
+  function getFile(url) {
+    const hash = crypto.createHash('md5').update(url).digest('hex');
+    const suffix = revision ? `_${revision}` : '';
+    return path.join(dir, getLanguage(url), `${hash}_v${version}${suffix}.json`);
+  }
+
+  function getAge(entry) {
+    const fetchedAt = Date.parse(entry.fetchedAt);
+    return Number.isNaN(fetchedAt) ? Infinity : now() - fetchedAt;
+  }
+
+  function isCurrent(entry) {
+    return Boolean(entry?.data) && entry.extractorVersion === version;
+  }
+
+  function isFresh(entry) {
+    if (!isCurrent(entry)) return false;
+    if (entry.revision || maxAge === null) return true;
+    return getAge(entry) <= maxAge;
+  }
+
+  async function read(url) {
+    try {
+      const entry = JSON.parse(await fs.readFile(getFile(url), 'utf8'));
+      return isCurrent(entry) ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function write(url, data, validators = {}) {
+    const entry = {
+      url,
+      fetchedAt: new Date(now()).toISOString(),
+      extractorVersion: version,
+      revision,
+      validators,
+      data,
+    };
+    const file = getFile(url);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entry, null, 2));
+    return entry;
+  }
+
+  /**
+   * Requests `sourceUrl`, conditionally when `previous` validators are known. Resolves
+   * to { changed, validators }.
+   */
+  async function fetchValidators(sourceUrl, previous = {}) {
+    const headers = {};
+    if (previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const response = await fetch(sourceUrl, { headers });
+    if (response.status === 304) {
+      return { changed: false, validators: previous };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${sourceUrl}`);
+    }
+    const body = Buffer.from(await response.arrayBuffer());
+    const validators = {
+      etag: response.headers.get('etag') || null,
+      lastModified: response.headers.get('last-modified') || null,
+      contentHash: hashContent(body),
+    };
+    return {
+      changed: !previous.contentHash || previous.contentHash !== validators.contentHash,
+      validators,
+    };
+  }
+
+  /**
+   * Looks up `url`, revalidating stale entries against `sourceUrl`. Resolves to
+   * { status, data, validators } with status 'fresh', 'unchanged' (revalidated and
+   * renewed), 'changed' or 'miss'. `validators` of a changed page are the ones to save
+   * with its new content.
+   */
+  async function lookup(url, sourceUrl) {
+    const entry = await read(url);
+    if (!entry) return { status: 'miss', data: null, validators: null };
+    if (isFresh(entry)) return { status: 'fresh', data: entry.data, validators: entry.validators };
+
+    try {
+      const { changed, validators } = await fetchValidators(sourceUrl, entry.validators || {});
+      if (!changed) {
+        await write(url, entry.data, validators);
+        return { status: 'unchanged', data: entry.data, validators };
+      }
+      return { status: 'changed', data: null, validators };
+    } catch (error) {
+      log?.debug(`Could not revalidate ${url}: ${error.message}`);
+      return { status: 'changed', data: null, validators: null };
+    }
+  }
+
+  // Page files directly in `dir` and in its language directories
+  async function listFiles() {
+    const files = [];
+    const visit = async (current, depth) => {
+      let entries;
+      try {
+        entries = await fs.readdir(current, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const file = path.join(current, entry.name);
+        if (entry.isDirectory() && depth === 0) {
+          await visit(file, 1);
+        } else if (entry.isFile() && PAGE_FILE_PATTERN.test(entry.name)) {
+          files.push(file);
+        }
+      }
+    };
+    await visit(dir, 0);
+    return files;
+  }
+
+  // Reads a page file as { file, size, entry }; entry is null when it is outdated
+  async function inspect(file) {
+    const [, fileVersion] = path.basename(file).match(PAGE_FILE_PATTERN);
+    const { size } = await fs.stat(file);
+    if (fileVersion !== version) return { file, size, entry: null };
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      return { file, size, entry: isCurrent(entry) ? entry : null };
+    } catch {
+      return { file, size, entry: null };
+    }
+  }
+
+  /**
+   * Summarizes the cache: entry counts (fresh, stale, outdated), size, languages and
+   * the age range of current entries.
+   */
+  async function stats() {
+    const summary = {
+      entries: 0,
+      bytes: 0,
+      fresh: 0,
+      stale: 0,
+      outdated: 0,
+      languages: {},
+      oldest: null,
+      newest: null,
+    };
+    for (const file of await listFiles()) {
+      const { size, entry } = await inspect(file);
+      summary.entries++;
+      summary.bytes += size;
+      if (!entry) {
+        summary.outdated++;
+        continue;
+      }
+      summary[isFresh(entry) ? 'fresh' : 'stale']++;
+      const language = getLanguage(entry.url) || 'none';
+      summary.languages[language] = (summary.languages[language] || 0) + 1;
+      if (!summary.oldest || entry.fetchedAt < summary.oldest) summary.oldest = entry.fetchedAt;
+      if (!summary.newest || entry.fetchedAt > summary.newest) summary.newest = entry.fetchedAt;
+    }
+    return summary;
+  }
+
+  /**
+   * Deletes outdated entries (other extractor versions, unreadable files) and, with
+   * `olderThan` (ms), current entries fetched longer ago than that.
+   */
+  async function prune({ olderThan = null } = {}) {
+    const result = { removed: 0, bytes: 0, kept: 0 };
+    for (const file of await listFiles()) {
+      const { size, entry } = await inspect(file);
+      if (entry && (olderThan === null || getAge(entry) <= olderThan)) {
+        result.kept++;
+        continue;
+      }
+      await fs.rm(file, { force: true });
+      result.removed++;
+      result.bytes += size;
+    }
+    return result;
+  }
+
+  return {
+    getFile,
+    isFresh,
+    read,
+    write,
+    fetchValidators,
+    lookup,
+    stats,
+    prune,
+  };
+}
+
+module.exports = {
+  parseDuration,
+  hashContent,
+  createPageCache,
+};
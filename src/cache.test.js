@@ -0,0 +1,161 @@
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('node:buffer');
+const { parseDuration, createPageCache } = require('./cache');
+
+const URL_EN = 'https://threejs.org/docs/index.html#api/en/core/Object3D';
+const URL_ZH = 'https://threejs.org/docs/index.html#api/zh/core/Object3D';
+const SOURCE_URL = 'https://threejs.org/docs/api/en/core/Object3D.html';
+const DAY = 24 * 60 * 60 * 1000;
+
+function createResponse(body, headers = {}) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: (name) => headers[name] ?? null },
+    arrayBuffer: async () => Buffer.from(body),
+  };
+}
+
+describe('Page Cache', () => {
+  let dir;
+  let time;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-cache-'));
+    time = Date.parse('2024-06-01T00:00:00.000Z');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const create = (options = {}) =>
+    createPageCache({ dir, version: '3', now: () => time, fetch: jest.fn(), ...options });
+
+  test('parseDuration should accept seconds, minutes, hours, days and weeks', () => {
+    expect(parseDuration('90')).toBe(90000);
+    expect(parseDuration('90m')).toBe(90 * 60 * 1000);
+    expect(parseDuration('12h')).toBe(12 * 60 * 60 * 1000);
+    expect(parseDuration('7d')).toBe(7 * DAY);
+    expect(parseDuration('2w')).toBe(14 * DAY);
+    expect(parseDuration(null)).toBeNull();
+    expect(() => parseDuration('soon')).toThrow('Invalid duration "soon"');
+  });
+
+  test('write should store the page with its metadata per language', async () => {
+    const cache = create({ revision: 'r160' });
+
+    await cache.write(URL_ZH, { title: 'Object3D' }, { etag: '"abc"' });
+
+    const file = cache.getFile(URL_ZH);
+    expect(path.relative(dir, file)).toMatch(/^zh\/[\da-f]{32}_v3_r160\.json$/);
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({
+      url: URL_ZH,
+      fetchedAt: '2024-06-01T00:00:00.000Z',
+      extractorVersion: '3',
+      revision: 'r160',
+      validators: { etag: '"abc"' },
+      data: { title: 'Object3D' },
+    });
+  });
+
+  test('lookup should return fresh entries without a request', async () => {
+    const cache = create({ maxAge: DAY });
+    await cache.write(URL_EN, { title: 'Object3D' });
+    time += DAY / 2;
+
+    await expect(cache.lookup(URL_EN, SOURCE_URL)).resolves.toMatchObject({
+      status: 'fresh',
+      data: { title: 'Object3D' },
+    });
+    await expect(cache.lookup(URL_ZH, SOURCE_URL)).resolves.toMatchObject({ status: 'miss' });
+  });
+
+  test('lookup should reuse and renew stale entries the server reports as unchanged', async () => {
+    const fetch = jest.fn().mockResolvedValue({ status: 304 });
+    const cache = create({ maxAge: DAY, fetch });
+    await cache.write(URL_EN, { title: 'Object3D' }, { etag: '"abc"', lastModified: 'Mon' });
+    time += 2 * DAY;
+
+    const result = await cache.lookup(URL_EN, SOURCE_URL);
+
+    expect(result).toMatchObject({ status: 'unchanged', data: { title: 'Object3D' } });
+    expect(fetch).toHaveBeenCalledWith(SOURCE_URL, {
+      headers: { 'If-None-Match': '"abc"', 'If-Modified-Since': 'Mon' },
+    });
+    expect((await cache.read(URL_EN)).fetchedAt).toBe(new Date(time).toISOString());
+  });
+
+  test('lookup should compare content hashes when the server has no validators', async () => {
+    const fetch = jest.fn().mockResolvedValue(createResponse('<h1>Object3D</h1>'));
+    const cache = create({ maxAge: DAY, fetch });
+    const { validators } = await cache.fetchValidators(SOURCE_URL);
+    await cache.write(URL_EN, { title: 'Object3D' }, validators);
+    time += 2 * DAY;
+
+    await expect(cache.lookup(URL_EN, SOURCE_URL)).resolves.toMatchObject({
+      status: 'unchanged',
+    });
+
+    fetch.mockResolvedValue(createResponse('<h1>Object3D</h1><p>New</p>', { etag: '"def"' }));
+    time += 2 * DAY;
+    const changed = await cache.lookup(URL_EN, SOURCE_URL);
+    expect(changed).toMatchObject({ status: 'changed', data: null });
+    expect(changed.validators.etag).toBe('"def"');
+  });
+
+  test('lookup should treat failed revalidations and other versions as changed or missing', async () => {
+    const fetch = jest.fn().mockRejectedValue(new Error('offline'));
+    await create({ version: '2' }).write(URL_EN, { title: 'Old' });
+    const cache = create({ maxAge: 0, fetch });
+
+    await expect(cache.lookup(URL_EN, SOURCE_URL)).resolves.toMatchObject({ status: 'miss' });
+
+    await cache.write(URL_EN, { title: 'Object3D' });
+    time += 1;
+    await expect(cache.lookup(URL_EN, SOURCE_URL)).resolves.toMatchObject({ status: 'changed' });
+  });
+
+  test('pages of a pinned revision should never go stale', async () => {
+    const cache = create({ maxAge: DAY, revision: 'r160' });
+    await cache.write(URL_EN, { title: 'Object3D' });
+    time += 365 * DAY;
+
+    await expect(cache.lookup(URL_EN, SOURCE_URL)).resolves.toMatchObject({ status: 'fresh' });
+  });
+
+  test('stats and prune should only consider page files', async () => {
+    const cache = create({ maxAge: 7 * DAY });
+    await cache.write(URL_EN, { title: 'Object3D' });
+    time += 10 * DAY;
+    await cache.write(URL_ZH, { title: 'Object3D' });
+    await create({ version: '2' }).write('https://threejs.org/docs/#api/en/Old', { title: 'Old' });
+    await fs.mkdir(path.join(dir, 'assets'));
+    await fs.writeFile(path.join(dir, 'assets', `${'a'.repeat(32)}.json`), '{}');
+    await fs.writeFile(path.join(dir, 'run-manifest.json'), '{}');
+
+    const stats = await cache.stats();
+    expect(stats).toMatchObject({
+      entries: 3,
+      fresh: 1,
+      stale: 1,
+      outdated: 1,
+      languages: { en: 1, zh: 1 },
+      oldest: '2024-06-01T00:00:00.000Z',
+      newest: '2024-06-11T00:00:00.000Z',
+    });
+    expect(stats.bytes).toBeGreaterThan(0);
+
+    await expect(cache.prune()).resolves.toMatchObject({ removed: 1, kept: 2 });
+    await expect(cache.prune({ olderThan: 7 * DAY })).resolves.toMatchObject({
+      removed: 1,
+      kept: 1,
+    });
+    await expect(cache.read(URL_ZH)).resolves.not.toBeNull();
+    await expect(fs.readFile(path.join(dir, 'run-manifest.json'), 'utf8')).resolves.toBe('{}');
+    await expect(fs.readdir(path.join(dir, 'assets'))).resolves.toHaveLength(1);
+  });
+});
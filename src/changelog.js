@@ -0,0 +1,339 @@
+/**
+ * Changelog
+ * =========
+ *
+ * @purpose
+ * Tells what changed in the three.js docs between two builds of the manual: every build
+ * keeps a compact per-page snapshot, and the next build diffs against it.
+ *
+ * @keyFacts
+ * - A snapshot stores, per docs path: title, category path, a hash of each text section
+ *   and the signature + description hash of every property and method (parsed by
+ *   corpus.js), so it stays small and contains no page content
+ * - Pages are matched by docs path: a new path is an added page, a missing one removed
+ * - Members are matched by name (static members as "static name"); a member changed when
+ *   its signature or its description did
+ * - Sections are the heading-scoped text chunks that don't document a member
+ * - Pages that failed to extract keep their previous snapshot, so a flaky build doesn't
+ *   report them as removed or rewritten
+ * - The report is rendered as Markdown and as HTML; the HTML links pages through
+ *   `getHref(path)`, so the manual can embed it as a "What's New" page
+ */
+
+const crypto = require('crypto');
+const { buildCorpusRecord, slugify } = require('./corpus');
+const { escapeHTML } = require('./html');
+
+const SNAPSHOT_VERSION = 1;
+
+function hash(text) {
+  return crypto
+    .createHash('sha256')
+    .update(text || '')
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getPropertySignature(property) {
+  return `.${property.name}${property.type ? ` : ${property.type}` : ''}`;
+}
+
+function getMethodSignature(method) {
+  const params = method.params
+    .map((param) => (param.type ? `${param.name} : ${param.type}` : param.name))
+    .join(', ');
+  const returns = method.returns ? ` : ${method.returns}` : '';
+  return `.${method.name} ${params ? `( ${params} )` : '()'}${returns}`;
+}
+
+function snapshotMembers(members, getSignature) {
+  const snapshot = {};
+  for (const member of members) {
+    snapshot[`${member.static ? 'static ' : ''}${member.name}`] = {
+      signature: `${member.static ? 'static ' : ''}${getSignature(member)}`,
+      description: hash(member.description),
+    };
+  }
+  return snapshot;
+}
+
+function snapshotPage(doc) {
+  const record = buildCorpusRecord(doc);
+  const memberSlugs = new Set(
+    [...record.properties, ...record.methods].map((member) => slugify(member.name))
+  );
+  memberSlugs.add('constructor');
+
+  const sections = {};
+  for (const chunk of record.chunks) {
+    const slug = chunk.id.slice(chunk.id.indexOf('#') + 1).split('/')[0];
+    if (memberSlugs.has(slug)) continue;
+    sections[slug] ||= { heading: chunk.heading, text: '' };
+    sections[slug].text += chunk.text;
+  }
+
+  return {
+    title: doc.title,
+    categories: record.categories.length > 0 ? record.categories : [record.section],
+    sections: Object.fromEntries(
+      Object.entries(sections).map(([slug, { heading, text }]) => [
+        slug,
+        { heading, hash: hash(text) },
+      ])
+    ),
+    properties: snapshotMembers(record.properties, getPropertySignature),
+    methods: snapshotMembers(record.methods, getMethodSignature),
+  };
+}
+
+/**
+ * Builds the snapshot of one language's documentation. Entries without a docs path
+ * are skipped; failed entries are taken from `previous` when it has them.
+ */
+function createSnapshot(documentation, { lang = null, revision = null, previous = null } = {}) {
+  const pages = {};
+  for (const doc of documentation) {
+    if (!doc.path) continue;
+    if (doc.failed) {
+      if (previous?.pages[doc.path]) pages[doc.path] = previous.pages[doc.path];
+      continue;
+    }
+    pages[doc.path] = snapshotPage(doc);
+  }
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    lang,
+    revision,
+    pages,
+  };
+}
+
+// Snapshots of another format can't be compared and are treated as missing
+function isCompatibleSnapshot(snapshot) {
+  return snapshot?.version === SNAPSHOT_VERSION && Boolean(snapshot.pages);
+}
+
+function diffMembers(previous = {}, current = {}) {
+  const diff = { added: [], removed: [], changed: [] };
+  for (const [key, member] of Object.entries(current)) {
+    const before = previous[key];
+    if (!before) {
+      diff.added.push(member.signature);
+    } else if (before.signature !== member.signature) {
+      diff.changed.push({ from: before.signature, to: member.signature });
+    } else if (before.description !== member.description) {
+      diff.changed.push({ from: before.signature, to: member.signature, description: true });
+    }
+  }
+  for (const [key, member] of Object.entries(previous)) {
+    if (!current[key]) diff.removed.push(member.signature);
+  }
+  return diff;
+}
+
+function diffSections(previous = {}, current = {}) {
+  const diff = { added: [], removed: [], changed: [] };
+  for (const [slug, section] of Object.entries(current)) {
+    if (!previous[slug]) diff.added.push(section.heading);
+    else if (previous[slug].hash !== section.hash) diff.changed.push(section.heading);
+  }
+  for (const [slug, section] of Object.entries(previous)) {
+    if (!current[slug]) diff.removed.push(section.heading);
+  }
+  return diff;
+}
+
+const isEmpty = (diff) =>
+  diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0;
+
+/**
+ * Compares two snapshots. Returns { from, to, added, removed, changed } where pages are
+ * { path, title, categories } and changed pages also carry their sections, properties
+ * and methods diffs ({ added, removed, changed }).
+ */
+function diffSnapshots(previous, current) {
+  const describe = (pagePath, page) => ({
+    path: pagePath,
+    title: page.title,
+    categories: page.categories,
+  });
+  const changes = {
+    from: { createdAt: previous.createdAt, revision: previous.revision || null },
+    to: { createdAt: current.createdAt, revision: current.revision || null },
+    added: [],
+    removed: [],
+    changed: [],
+  };
+
+  for (const [pagePath, page] of Object.entries(current.pages)) {
+    const before = previous.pages[pagePath];
+    if (!before) {
+      changes.added.push(describe(pagePath, page));
+      continue;
+    }
+    const diff = {
+      sections: diffSections(before.sections, page.sections),
+      properties: diffMembers(before.properties, page.properties),
+      methods: diffMembers(before.methods, page.methods),
+    };
+    const retitled = before.title !== page.title;
+    if (retitled || !Object.values(diff).every(isEmpty)) {
+      changes.changed.push({
+        ...describe(pagePath, page),
+        previousTitle: retitled ? before.title : null,
+        ...diff,
+      });
+    }
+  }
+  for (const [pagePath, page] of Object.entries(previous.pages)) {
+    if (!current.pages[pagePath]) changes.removed.push(describe(pagePath, page));
+  }
+  return changes;
+}
+
+function hasChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.changed.length > 0;
+}
+
+function formatBuild(build) {
+  return [build.createdAt?.slice(0, 10), build.revision].filter(Boolean).join(', ');
+}
+
+function getSummary(changes) {
+  return `${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`;
+}
+
+// [label, items] lines describing a changed page, in report order
+function getPageDetails(page) {
+  const details = [];
+  for (const kind of ['properties', 'methods']) {
+    const diff = page[kind];
+    if (diff.added.length > 0) details.push([`Added ${kind}`, diff.added]);
+    if (diff.removed.length > 0) details.push([`Removed ${kind}`, diff.removed]);
+    if (diff.changed.length > 0) {
+      details.push([
+        `Changed ${kind}`,
+        diff.changed.map((change) =>
+          change.description
+            ? { text: change.to, note: 'description' }
+            : { from: change.from, text: change.to }
+        ),
+      ]);
+    }
+  }
+  const { sections } = page;
+  if (sections.added.length > 0) details.push(['New sections', sections.added]);
+  if (sections.removed.length > 0) details.push(['Removed sections', sections.removed]);
+  if (sections.changed.length > 0) details.push(['Updated sections', sections.changed]);
+  return details;
+}
+
+function toItem(item) {
+  return typeof item === 'string' ? { text: item } : item;
+}
+
+/**
+ * Renders the report as Markdown. `getUrl(path)` links pages that exist in this build.
+ */
+function generateChangelogMarkdown(changes, { title = 'Changes', getUrl = null } = {}) {
+  const link = (page) => (getUrl ? `[${page.title}](${getUrl(page.path)})` : page.title);
+  const code = (text) => `\`${text.replace(/`/g, "'")}\``;
+  const lines = [
+    `# ${title}`,
+    '',
+    `Since the build of ${formatBuild(changes.from)}: ${getSummary(changes)} pages.`,
+  ];
+
+  if (changes.added.length > 0) {
+    lines.push('', '## Added pages', '');
+    changes.added.forEach((page) => {
+      lines.push(`- ${link(page)} (${page.categories.join(' › ')})`);
+    });
+  }
+  if (changes.removed.length > 0) {
+    lines.push('', '## Removed pages', '');
+    changes.removed.forEach((page) => {
+      lines.push(`- ${page.title} (${page.categories.join(' › ')})`);
+    });
+  }
+  if (changes.changed.length > 0) {
+    lines.push('', '## Changed pages');
+    for (const page of changes.changed) {
+      lines.push('', `### ${link(page)}`, '');
+      if (page.previousTitle) lines.push(`- Renamed from ${page.previousTitle}`);
+      for (const [label, items] of getPageDetails(page)) {
+        const rendered = items.map(toItem).map((item) => {
+          if (item.from) return `${code(item.from)} → ${code(item.text)}`;
+          return item.note ? `${code(item.text)} (${item.note})` : code(item.text);
+        });
+        lines.push(`- ${label}: ${rendered.join(', ')}`);
+      }
+    }
+  }
+  if (!hasChanges(changes)) {
+    lines.push('', 'No changes.');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Renders the report as an HTML fragment. `getHref(path)` links pages of this build.
+ */
+function generateChangelogHTML(changes, { title = 'Changes', getHref = null } = {}) {
+  const link = (page) =>
+    getHref
+      ? `<a href="${escapeHTML(getHref(page.path))}">${escapeHTML(page.title)}</a>`
+      : escapeHTML(page.title);
+  const categories = (page) => escapeHTML(page.categories.join(' › '));
+  const code = (text) => `<code>${escapeHTML(text)}</code>`;
+  const list = (items) => `<ul>\n${items.map((item) => `  <li>${item}</li>`).join('\n')}\n</ul>`;
+  const parts = [
+    `<h1>${escapeHTML(title)}</h1>`,
+    `<p>Since the build of ${escapeHTML(formatBuild(changes.from))}: ${getSummary(changes)} pages.</p>`,
+  ];
+
+  if (changes.added.length > 0) {
+    parts.push(
+      '<h2>Added pages</h2>',
+      list(changes.added.map((page) => `${link(page)} <span>(${categories(page)})</span>`))
+    );
+  }
+  if (changes.removed.length > 0) {
+    parts.push(
+      '<h2>Removed pages</h2>',
+      list(
+        changes.removed.map(
+          (page) => `${escapeHTML(page.title)} <span>(${categories(page)})</span>`
+        )
+      )
+    );
+  }
+  if (changes.changed.length > 0) {
+    parts.push('<h2>Changed pages</h2>');
+    for (const page of changes.changed) {
+      const details = getPageDetails(page).map(([label, items]) => {
+        const rendered = items.map(toItem).map((item) => {
+          if (item.from) return `${code(item.from)} &rarr; ${code(item.text)}`;
+          return item.note ? `${code(item.text)} (${item.note})` : code(item.text);
+        });
+        return `${label}: ${rendered.join(', ')}`;
+      });
+      if (page.previousTitle) details.unshift(`Renamed from ${escapeHTML(page.previousTitle)}`);
+      parts.push(`<h3>${link(page)}</h3>`, list(details));
+    }
+  }
+  if (!hasChanges(changes)) {
+    parts.push('<p>No changes.</p>');
+  }
+  return parts.join('\n');
+}
+
+module.exports = {
+  createSnapshot,
+  isCompatibleSnapshot,
+  diffSnapshots,
+  hasChanges,
+  generateChangelogMarkdown,
+  generateChangelogHTML,
+};
@@ -0,0 +1,154 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  createSnapshot,
+  isCompatibleSnapshot,
+  diffSnapshots,
+  hasChanges,
+  generateChangelogMarkdown,
+  generateChangelogHTML,
+} = require('./changelog');
+const { getPageContext, expandMarkup } = require('./markup');
+
+const PAGES = { Mesh: 'api/en/objects/Mesh', Material: 'api/en/materials/Material' };
+
+const MESH_SOURCE = `
+  <h1>[name]</h1>
+  <p class="desc">Class representing triangular polygon mesh based objects.</p>
+  <h2>Properties</h2>
+  <h3>[property:Material material]</h3>
+  <p>An instance of material.</p>
+  <h3>[property:Boolean isMesh]</h3>
+  <p>Read-only flag.</p>
+  <h2>Methods</h2>
+  <h3>[method:this copy]( [param:Mesh source] )</h3>
+  <p>Copies the given mesh into this mesh.</p>
+`;
+
+function createDocs(meshSource = MESH_SOURCE, extra = []) {
+  return [
+    {
+      title: 'Mesh',
+      path: 'api/en/objects/Mesh',
+      section: 'Objects',
+      categories: ['Reference', 'Objects'],
+      content: expandMarkup(meshSource, getPageContext('api/en/objects/Mesh', PAGES)),
+    },
+    {
+      title: 'Installation',
+      path: 'manual/en/introduction/Installation',
+      section: 'Getting Started',
+      categories: ['Manual', 'Getting Started'],
+      content: '<h1>Installation</h1><p>Use npm.</p><h2>Import maps</h2><p>Or a CDN.</p>',
+    },
+    ...extra,
+  ];
+}
+
+describe('Changelog', () => {
+  test('createSnapshot should record sections and member signatures per page', () => {
+    const snapshot = createSnapshot(createDocs(), { lang: 'en', revision: 'r160' });
+
+    expect(isCompatibleSnapshot(snapshot)).toBe(true);
+    expect(snapshot).toMatchObject({ version: 1, lang: 'en', revision: 'r160' });
+    const mesh = snapshot.pages['api/en/objects/Mesh'];
+    expect(mesh.categories).toEqual(['Reference', 'Objects']);
+    expect(Object.values(mesh.properties).map((member) => member.signature)).toEqual([
+      '.material : Material',
+      '.isMesh : Boolean',
+    ]);
+    expect(mesh.methods.copy.signature).toBe('.copy ( source : Mesh ) : this');
+    // Member descriptions are not sections of their own
+    expect(Object.keys(mesh.sections)).toEqual(['mesh']);
+    expect(Object.keys(snapshot.pages['manual/en/introduction/Installation'].sections)).toEqual([
+      'installation',
+      'import-maps',
+    ]);
+  });
+
+  test('createSnapshot should keep the previous snapshot of pages that failed', () => {
+    const previous = createSnapshot(createDocs());
+    const docs = createDocs();
+    docs[0] = { ...docs[0], content: '<div class="placeholder">Timeout</div>', failed: true };
+
+    const snapshot = createSnapshot(docs, { previous });
+
+    expect(snapshot.pages['api/en/objects/Mesh']).toEqual(previous.pages['api/en/objects/Mesh']);
+    expect(hasChanges(diffSnapshots(previous, snapshot))).toBe(false);
+  });
+
+  test('diffSnapshots should report added, removed and changed pages and members', () => {
+    const previous = createSnapshot(
+      createDocs(MESH_SOURCE, [
+        { title: 'Old', path: 'api/en/extras/Old', section: 'Extras', content: '<h1>Old</h1>' },
+      ])
+    );
+    const meshSource = MESH_SOURCE.replace(
+      '[param:Mesh source] )',
+      '[param:Mesh source], [param:Boolean recursive] )'
+    )
+      .replace('Read-only flag.', 'Read-only flag to check the type.')
+      .replace('<h3>[property:Material material]</h3>\n  <p>An instance of material.</p>', '')
+      .replace(
+        '<h2>Methods</h2>',
+        '<h2>Methods</h2>\n  <h3>[method:this clone]()</h3><p>Clones.</p>'
+      );
+    const docs = createDocs(meshSource, [
+      { title: 'New', path: 'api/en/extras/New', section: 'Extras', content: '<h1>New</h1>' },
+    ]);
+    docs[1].content = docs[1].content.replace('Or a CDN.', 'Or a CDN such as jsDelivr.');
+
+    const changes = diffSnapshots(previous, createSnapshot(docs));
+
+    expect(changes.added).toEqual([
+      { path: 'api/en/extras/New', title: 'New', categories: ['Extras'] },
+    ]);
+    expect(changes.removed).toEqual([
+      { path: 'api/en/extras/Old', title: 'Old', categories: ['Extras'] },
+    ]);
+    expect(changes.changed).toHaveLength(2);
+    const [mesh, installation] = changes.changed;
+    expect(mesh.properties).toEqual({
+      added: [],
+      removed: ['.material : Material'],
+      changed: [{ from: '.isMesh : Boolean', to: '.isMesh : Boolean', description: true }],
+    });
+    expect(mesh.methods).toEqual({
+      added: ['.clone () : this'],
+      removed: [],
+      changed: [
+        {
+          from: '.copy ( source : Mesh ) : this',
+          to: '.copy ( source : Mesh, recursive : Boolean ) : this',
+        },
+      ],
+    });
+    expect(installation.sections).toEqual({ added: [], removed: [], changed: ['Import maps'] });
+  });
+
+  test('the report should render as Markdown and HTML', () => {
+    const previous = createSnapshot(createDocs(), { revision: 'r159' });
+    const docs = createDocs(MESH_SOURCE.replace('[method:this copy]', '[method:Mesh copy]'));
+    const changes = diffSnapshots(previous, createSnapshot(docs, { revision: 'r160' }));
+    changes.from.createdAt = '2024-01-01T00:00:00.000Z';
+
+    const markdown = generateChangelogMarkdown(changes, {
+      title: 'Changes',
+      getUrl: (docPath) => `https://threejs.org/docs/index.html#${docPath}`,
+    });
+    expect(markdown).toContain(
+      'Since the build of 2024-01-01, r159: 0 added, 0 removed, 1 changed'
+    );
+    expect(markdown).toContain(
+      '### [Mesh](https://threejs.org/docs/index.html#api/en/objects/Mesh)\n\n' +
+        '- Changed methods: `.copy ( source : Mesh ) : this` → `.copy ( source : Mesh ) : Mesh`'
+    );
+
+    const html = generateChangelogHTML(changes, {
+      title: "What's New",
+      getHref: (docPath) => `./index.html#${docPath}`,
+    });
+    expect(html).toContain("<h1>What's New</h1>");
+    expect(html).toContain('<h3><a href="./index.html#api/en/objects/Mesh">Mesh</a></h3>');
+    expect(html).toContain('<code>.copy ( source : Mesh ) : this</code> &rarr;');
+  });
+});
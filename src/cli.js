@@ -0,0 +1,545 @@
+/**
+ * Command Line
+ * ============
+ *
+ * @purpose
+ * Parses the command line of the generator (`<command> [args] [options]`) and merges
+ * it with the config file and environment into the settings of the `config` object.
+ *
+ * @keyFacts
+ * - Every option is declared once in OPTIONS: its flag, the config key it sets, the
+ *   environment variable it falls back to, its type and the help text
+ * - Precedence: command line > preset > config file > environment variable > default
+ * - The config file is JSON keyed by flag name ("output-dir") or its camelCase form;
+ *   lists may be arrays. --config picks it, otherwise threejs-docs.config.json in the
+ *   working directory is used when it exists
+ * - Its "presets" object holds named option sets (e.g. a subset manual for onboarding)
+ *   that --preset applies on top of the rest of the file
+ * - Options can be written as --name value or --name=value; boolean flags take no
+ *   value, and --no-cache is the negated form of the cache option
+ */
+
+const fs = require('fs/promises');
+
+const DEFAULT_CONFIG_FILE = 'threejs-docs.config.json';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+const COMMANDS = {
+  build: 'Scrape the documentation and write the manual (default)',
+  cache: 'Manage the page cache: cache clear | stats | prune [--older-than <duration>]',
+  validate: 'Check the generated manual for broken anchors, images, markup and nesting',
+  serve: 'Serve the output directory over HTTP',
+  'list-pages': 'List the pages a build would include, after filters',
+};
+
+const OPTIONS = [
+  {
+    flag: 'output-dir',
+    alias: 'o',
+    key: 'OUTPUT_DIR',
+    env: 'OUTPUT_DIR',
+    type: 'string',
+    value: '<dir>',
+    description: 'Directory the manual is written to (default: docs)',
+  },
+  {
+    flag: 'format',
+    alias: 'f',
+    key: 'FORMATS',
+    env: 'FORMATS',
+    type: 'string',
+    value: '<list>',
+    description: 'Output formats: html, site, markdown, json, jsonl, epub, pdf (default: html)',
+  },
+  {
+    flag: 'lang',
+    key: 'DOCS_LANG',
+    env: 'DOCS_LANG',
+    type: 'string',
+    value: '<list>',
+    description: 'Languages to build, e.g. en,zh or "all" (default: en)',
+  },
+  {
+    flag: 'section',
+    key: 'SECTIONS',
+    env: 'SECTIONS',
+    type: 'list',
+    value: '<list>',
+    description: 'Only build pages in these sections or categories, e.g. Core,Math',
+  },
+  {
+    flag: 'pages',
+    key: 'PAGES',
+    env: 'PAGES',
+    type: 'list',
+    value: '<globs>',
+    description: 'Only build pages whose docs path matches, e.g. "api/*/materials/*"',
+  },
+  {
+    flag: 'title',
+    key: 'TEXT',
+    env: 'TITLES',
+    type: 'list',
+    value: '<globs>',
+    description: 'Only build pages whose title matches, e.g. "Mesh*"',
+  },
+  {
+    flag: 'page-list',
+    key: 'PAGE_LIST',
+    env: 'PAGE_LIST',
+    type: 'string',
+    value: '<file>',
+    description: 'Only build the pages listed in a file, one docs path per line',
+  },
+  {
+    flag: 'exclude-section',
+    key: 'EXCLUDE_SECTIONS',
+    env: 'EXCLUDE_SECTIONS',
+    type: 'list',
+    value: '<list>',
+    description: 'Leave out pages in these sections or categories',
+  },
+  {
+    flag: 'exclude-pages',
+    key: 'EXCLUDE_PAGES',
+    env: 'EXCLUDE_PAGES',
+    type: 'list',
+    value: '<globs>',
+    description: 'Leave out pages whose docs path matches',
+  },
+  {
+    flag: 'exclude-title',
+    key: 'EXCLUDE_TEXT',
+    env: 'EXCLUDE_TITLES',
+    type: 'list',
+    value: '<globs>',
+    description: 'Leave out pages whose title matches',
+  },
+  {
+    flag: 'preset',
+    key: 'PRESET',
+    env: 'DOCS_PRESET',
+    type: 'string',
+    value: '<name>',
+    description: 'Use the options of a preset of the config file, e.g. a subset manual',
+  },
+  {
+    flag: 'limit',
+    key: 'PAGE_LIMIT',
+    env: 'PAGE_LIMIT',
+    type: 'number',
+    value: '<n>',
+    description: 'Build at most n pages (10 with --dev)',
+  },
+  {
+    flag: 'dev',
+    key: 'DEV_MODE',
+    env: 'DEV_MODE',
+    type: 'boolean',
+    description: 'Development mode: a quick build of the first pages',
+  },
+  {
+    flag: 'local',
+    key: 'LOCAL_SOURCE',
+    env: 'THREE_LOCAL',
+    type: 'string',
+    value: '<path>',
+    description: 'Build from a three.js checkout or tarball without a browser',
+  },
+  {
+    flag: 'revision',
+    key: 'REVISION',
+    env: 'THREE_REVISION',
+    type: 'string',
+    value: '<rNNN>',
+    description: 'Pin a three.js release, e.g. r160',
+  },
+  {
+    flag: 'source',
+    key: 'REVISION_SOURCE',
+    env: 'THREE_SOURCE',
+    type: 'string',
+    value: '<path>',
+    description: 'Checkout or tarball of the pinned release',
+  },
+  {
+    flag: 'timeout',
+    key: 'TIMEOUT',
+    env: 'TIMEOUT',
+    type: 'number',
+    value: '<ms>',
+    description: 'Page load timeout (default: 30000)',
+  },
+  {
+    flag: 'concurrency',
+    key: 'CONCURRENCY',
+    env: 'CONCURRENCY',
+    type: 'number',
+    value: '<n>',
+    description: 'Pages extracted in parallel (default: 4)',
+  },
+  {
+    flag: 'asset-mode',
+    key: 'ASSET_MODE',
+    env: 'ASSET_MODE',
+    type: 'string',
+    value: '<mode>',
+    description: 'inline, folder or remote (default: inline)',
+  },
+  {
+    flag: 'example-mode',
+    key: 'EXAMPLE_MODE',
+    env: 'EXAMPLE_MODE',
+    type: 'string',
+    value: '<mode>',
+    description: 'live examples: link, screenshot or bundle (default: link)',
+  },
+  {
+    flag: 'example-source',
+    key: 'EXAMPLE_SOURCE',
+    env: 'EXAMPLE_SOURCE',
+    type: 'boolean',
+    description: 'Show the source of linked examples in collapsible panels',
+  },
+  {
+    flag: 'markdown-layout',
+    key: 'MARKDOWN_LAYOUT',
+    env: 'MARKDOWN_LAYOUT',
+    type: 'string',
+    value: '<layout>',
+    description: 'pages or single (default: pages)',
+  },
+  {
+    flag: 'site-url',
+    key: 'SITE_URL',
+    env: 'SITE_URL',
+    type: 'string',
+    value: '<url>',
+    description: 'Public URL of the output directory, for the sitemap',
+  },
+  {
+    flag: 'whats-new',
+    key: 'WHATS_NEW',
+    env: 'WHATS_NEW',
+    type: 'boolean',
+    description: 'Add the changes since the previous build as a page',
+  },
+  {
+    flag: 'resume',
+    key: 'RESUME',
+    type: 'boolean',
+    description: 'Retry only the pages the previous run did not complete',
+  },
+  {
+    flag: 'cache',
+    key: 'USE_CACHE',
+    env: 'NO_CACHE',
+    envNegated: true,
+    type: 'boolean',
+    description: 'Use the page cache (--no-cache to disable)',
+  },
+  {
+    flag: 'cache-dir',
+    key: 'CACHE_DIR',
+    env: 'CACHE_DIR',
+    type: 'string',
+    value: '<dir>',
+    description: 'Cache directory (default: .cache)',
+  },
+  {
+    flag: 'cache-ttl',
+    key: 'CACHE_TTL',
+    env: 'CACHE_TTL',
+    type: 'string',
+    value: '<duration>',
+    description: 'Revalidate cached pages older than this, e.g. 7d',
+  },
+  {
+    flag: 'refresh-older-than',
+    key: 'REFRESH_OLDER_THAN',
+    type: 'string',
+    value: '<duration>',
+    description: 'Like --cache-ttl, for this run only',
+  },
+  {
+    flag: 'clear-cache',
+    key: 'CLEAR_CACHE',
+    type: 'boolean',
+    description: 'Clear the cache and exit (same as "cache clear")',
+  },
+  {
+    flag: 'older-than',
+    key: 'OLDER_THAN',
+    type: 'string',
+    value: '<duration>',
+    description: 'cache prune: also remove pages fetched longer ago',
+  },
+  {
+    flag: 'report',
+    key: 'REPORT_FILE',
+    type: 'string',
+    value: '<file>',
+    description: 'validate: write a JSON report, or JUnit XML when the file ends in .xml',
+  },
+  {
+    flag: 'max-issues',
+    key: 'MAX_ISSUES',
+    env: 'MAX_ISSUES',
+    type: 'list',
+    value: '<list>',
+    description: 'validate: issues allowed per type, e.g. broken-anchor=5,short-page=none',
+  },
+  {
+    flag: 'min-page-length',
+    key: 'MIN_PAGE_LENGTH',
+    type: 'number',
+    value: '<n>',
+    description: 'validate: pages with less text are reported as short (default: 100)',
+  },
+  {
+    flag: 'port',
+    key: 'PORT',
+    env: 'PORT',
+    type: 'number',
+    value: '<port>',
+    description: 'serve: port to listen on (default: 8080)',
+  },
+  {
+    flag: 'json',
+    key: 'JSON',
+    type: 'boolean',
+    description: 'list-pages: print JSON instead of a table',
+  },
+  {
+    flag: 'log-level',
+    key: 'LOG_LEVEL',
+    env: 'LOG_LEVEL',
+    type: 'string',
+    value: '<level>',
+    description: `${LOG_LEVELS.join(', ')} (default: info)`,
+  },
+  {
+    flag: 'config',
+    key: 'CONFIG_FILE',
+    env: 'DOCS_CONFIG',
+    type: 'string',
+    value: '<file>',
+    description: `JSON config file (default: ${DEFAULT_CONFIG_FILE} if present)`,
+  },
+  { flag: 'help', alias: 'h', key: 'HELP', type: 'boolean', description: 'Show this help' },
+];
+
+const OPTIONS_BY_FLAG = new Map(
+  OPTIONS.flatMap((option) => [
+    [option.flag, option],
+    ...(option.alias ? [[option.alias, option]] : []),
+  ])
+);
+
+function toCamelCase(flag) {
+  return flag.replace(/-(\w)/g, (_match, letter) => letter.toUpperCase());
+}
+
+function parseValue(option, value, origin) {
+  if (Array.isArray(value)) value = value.join(',');
+  if (option.type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (/^(true|1|yes)$/i.test(String(value))) return true;
+    if (/^(false|0|no)$/i.test(String(value))) return false;
+    throw new Error(`${origin} expects true or false, got "${value}"`);
+  }
+  if (option.type === 'number') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`${origin} expects a whole number, got "${value}"`);
+    }
+    return number;
+  }
+  if (option.type === 'list') {
+    return String(value)
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return String(value);
+}
+
+/**
+ * Parses `argv` (without the node and script paths) into
+ * { command, args, options } where options are keyed by config key.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const match = arg.match(/^--?([\w-]+)(?:=([\s\S]*))?$/);
+    if (!match || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = match[1];
+    let value = match[2];
+    let option = OPTIONS_BY_FLAG.get(name);
+    let negated = false;
+    if (!option && name.startsWith('no-')) {
+      option = OPTIONS_BY_FLAG.get(name.slice(3));
+      negated = option?.type === 'boolean';
+      if (!negated) option = null;
+    }
+    if (!option) {
+      throw new Error(`Unknown option ${arg.split('=')[0]} (see --help)`);
+    }
+
+    if (option.type === 'boolean') {
+      options[option.key] = value === undefined ? !negated : parseValue(option, value, arg);
+      continue;
+    }
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || (value.startsWith('-') && value !== '-')) {
+        throw new Error(`Option --${option.flag} needs a value ${option.value}`);
+      }
+      i++;
+    }
+    options[option.key] = parseValue(option, value, `--${option.flag}`);
+  }
+
+  let command = 'build';
+  if (positional.length > 0) {
+    command = positional.shift();
+    if (!COMMANDS[command]) {
+      throw new Error(
+        `Unknown command "${command}". Available: ${Object.keys(COMMANDS).join(', ')}`
+      );
+    }
+  }
+  return { command, args: positional, options };
+}
+
+/**
+ * Reads the JSON config file at `filePath`, or the default one when it exists.
+ * Returns its options keyed by config key.
+ */
+async function loadConfigFile(filePath = null) {
+  let data;
+  try {
+    data = await fs.readFile(filePath || DEFAULT_CONFIG_FILE, 'utf8');
+  } catch (error) {
+    if (!filePath && error.code === 'ENOENT') return {};
+    throw new Error(`Cannot read config file ${filePath}: ${error.message}`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(data);
+  } catch (error) {
+    throw new Error(
+      `Invalid JSON in config file ${filePath || DEFAULT_CONFIG_FILE}: ${error.message}`
+    );
+  }
+
+  const file = filePath || DEFAULT_CONFIG_FILE;
+  const { presets = {}, ...rest } = values;
+  const options = parseOptionValues(rest, `config file ${file}`);
+  if (Object.keys(presets).length > 0) {
+    options.PRESETS = Object.fromEntries(
+      Object.entries(presets).map(([name, preset]) => [
+        name,
+        parseOptionValues(preset, `config file ${file} (preset "${name}")`),
+      ])
+    );
+  }
+  return options;
+}
+
+/**
+ * Reads options keyed by flag name or its camelCase form (as in the config file) into
+ * options keyed by config key. `origin` names where they come from in errors.
+ */
+function parseOptionValues(values, origin) {
+  const options = {};
+  for (const [name, value] of Object.entries(values)) {
+    const option = OPTIONS.find((item) => item.flag === name || toCamelCase(item.flag) === name);
+    if (!option || option.key === 'PRESET' || option.key === 'CONFIG_FILE') {
+      throw new Error(`Unknown option "${name}" in ${origin}`);
+    }
+    options[option.key] = parseValue(option, value, `"${name}" in ${origin}`);
+  }
+  return options;
+}
+
+// The options of the preset picked by --preset (or the config file / DOCS_PRESET)
+function getPresetOptions(cliOptions, fileOptions, env) {
+  const name = cliOptions.PRESET ?? fileOptions.PRESET ?? (env.DOCS_PRESET || null);
+  if (!name) return {};
+  const preset = fileOptions.PRESETS?.[name];
+  if (!preset) {
+    const available = Object.keys(fileOptions.PRESETS || {}).join(', ') || 'none';
+    throw new Error(`Unknown preset "${name}". Available in the config file: ${available}`);
+  }
+  return preset;
+}
+
+/**
+ * Merges command line options, the selected preset, config file options and the
+ * environment. Only keys that are set somewhere are returned, so defaults stay with
+ * the caller.
+ */
+function resolveOptions(cliOptions = {}, fileOptions = {}, env = {}) {
+  const presetOptions = getPresetOptions(cliOptions, fileOptions, env);
+  const resolved = {};
+  for (const option of OPTIONS) {
+    if (option.key in cliOptions) {
+      resolved[option.key] = cliOptions[option.key];
+    } else if (option.key in presetOptions) {
+      resolved[option.key] = presetOptions[option.key];
+    } else if (option.key in fileOptions) {
+      resolved[option.key] = fileOptions[option.key];
+    } else if (option.env && env[option.env] !== undefined && env[option.env] !== '') {
+      const value = parseValue(option, env[option.env], option.env);
+      resolved[option.key] = option.envNegated ? !value : value;
+    }
+  }
+  if (resolved.LOG_LEVEL && !LOG_LEVELS.includes(resolved.LOG_LEVEL)) {
+    throw new Error(
+      `Unknown log level "${resolved.LOG_LEVEL}". Available: ${LOG_LEVELS.join(', ')}`
+    );
+  }
+  return resolved;
+}
+
+function generateHelp() {
+  const width = Math.max(
+    ...OPTIONS.map((option) => `--${option.flag} ${option.value || ''}`.length + 4)
+  );
+  const commands = Object.entries(COMMANDS).map(
+    ([name, description]) => `  ${name.padEnd(width - 2)}${description}`
+  );
+  const options = OPTIONS.map((option) => {
+    const usage = `${option.alias ? `-${option.alias}, ` : '    '}--${option.flag} ${option.value || ''}`;
+    const env = option.env ? ` [env: ${option.env}]` : '';
+    return `  ${usage.padEnd(width + 2)}${option.description}${env}`;
+  });
+  return `Usage: threejs-docs [command] [options]
+
+Commands:
+${commands.join('\n')}
+
+Options:
+${options.join('\n')}
+`;
+}
+
+module.exports = {
+  COMMANDS,
+  OPTIONS,
+  LOG_LEVELS,
+  parseArgs,
+  loadConfigFile,
+  parseOptionValues,
+  resolveOptions,
+  generateHelp,
+};
@@ -0,0 +1,129 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { OPTIONS, parseArgs, loadConfigFile, resolveOptions, generateHelp } = require('./cli');
+
+describe('Command Line', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-cli-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parseArgs should read the command, its arguments and typed options', () => {
+    const { command, args, options } = parseArgs([
+      'cache',
+      'prune',
+      '--older-than',
+      '30d',
+      '-o',
+      'out',
+      '--limit=5',
+      '--section',
+      'Core, Math',
+      '--dev',
+      '--no-cache',
+    ]);
+
+    expect(command).toBe('cache');
+    expect(args).toEqual(['prune']);
+    expect(options).toEqual({
+      OLDER_THAN: '30d',
+      OUTPUT_DIR: 'out',
+      PAGE_LIMIT: 5,
+      SECTIONS: ['Core', 'Math'],
+      DEV_MODE: true,
+      USE_CACHE: false,
+    });
+    expect(parseArgs([]).command).toBe('build');
+    expect(parseArgs(['--json=false']).options).toEqual({ JSON: false });
+  });
+
+  test('parseArgs should reject unknown options, commands and missing values', () => {
+    expect(() => parseArgs(['--nope'])).toThrow('Unknown option --nope');
+    expect(() => parseArgs(['deploy'])).toThrow('Unknown command "deploy"');
+    expect(() => parseArgs(['--limit', 'ten'])).toThrow('--limit expects a whole number');
+    expect(() => parseArgs(['--output-dir'])).toThrow('Option --output-dir needs a value');
+  });
+
+  test('resolveOptions should prefer the command line, then the config file, then env', () => {
+    const resolved = resolveOptions(
+      { OUTPUT_DIR: 'cli' },
+      { OUTPUT_DIR: 'file', FORMATS: 'site' },
+      { OUTPUT_DIR: 'env', FORMATS: 'pdf', THREE_REVISION: 'r160', NO_CACHE: 'true', PORT: '' }
+    );
+
+    expect(resolved).toEqual({
+      OUTPUT_DIR: 'cli',
+      FORMATS: 'site',
+      REVISION: 'r160',
+      USE_CACHE: false,
+    });
+    expect(() => resolveOptions({ LOG_LEVEL: 'loud' })).toThrow('Unknown log level "loud"');
+  });
+
+  test('loadConfigFile should accept flag and camelCase keys', async () => {
+    const file = path.join(tmpDir, 'docs.config.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify({ 'output-dir': 'manual', pages: ['api/*/core/*'], siteUrl: 'https://x.dev' })
+    );
+
+    expect(await loadConfigFile(file)).toEqual({
+      OUTPUT_DIR: 'manual',
+      PAGES: ['api/*/core/*'],
+      SITE_URL: 'https://x.dev',
+    });
+
+    await fs.writeFile(file, JSON.stringify({ outputDirectory: 'manual' }));
+    await expect(loadConfigFile(file)).rejects.toThrow('Unknown option "outputDirectory"');
+    await expect(loadConfigFile(path.join(tmpDir, 'missing.json'))).rejects.toThrow(
+      'Cannot read config file'
+    );
+  });
+
+  test('generateHelp should list every command and option', () => {
+    const help = generateHelp();
+
+    expect(help).toMatch(/^Usage: threejs-docs \[command\] \[options\]/);
+    expect(help).toContain('list-pages');
+    OPTIONS.forEach((option) => expect(help).toContain(`--${option.flag}`));
+    expect(help).toContain('[env: THREE_REVISION]');
+  });
+
+  test('--preset should apply a named option set of the config file', async () => {
+    const file = path.join(tmpDir, 'presets.config.json');
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        format: 'html,site',
+        outputDir: 'docs',
+        presets: {
+          onboarding: { section: ['Manual', 'Core', 'Math'], outputDir: 'onboarding' },
+        },
+      })
+    );
+    const fileOptions = await loadConfigFile(file);
+
+    expect(resolveOptions({ PRESET: 'onboarding' }, fileOptions)).toEqual({
+      OUTPUT_DIR: 'onboarding',
+      FORMATS: 'html,site',
+      SECTIONS: ['Manual', 'Core', 'Math'],
+      PRESET: 'onboarding',
+    });
+    expect(
+      resolveOptions({ OUTPUT_DIR: 'out' }, fileOptions, { DOCS_PRESET: 'onboarding' })
+    ).toMatchObject({
+      OUTPUT_DIR: 'out',
+      SECTIONS: ['Manual', 'Core', 'Math'],
+    });
+    expect(() => resolveOptions({ PRESET: 'nope' }, fileOptions)).toThrow(
+      'Unknown preset "nope". Available in the config file: onboarding'
+    );
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Page Content Processing
+ * =======================
+ *
+ * @purpose
+ * Turns the document of a single documentation page into the HTML, text and outline
+ * that end up in the generated manual.
+ *
+ * @keyFacts
+ * - processDocument is self-contained: Puppeteer serializes it into the docs iframe,
+ *   and the local source calls it on a jsdom document in Node
+ * - It must not reference anything outside its own body (config is passed in)
+ * - Code blocks keep the language the docs name (lang-<name>) for highlight.js;
+ *   root-relative links become absolute
+ * - Example iframes and ../examples/ links become absolute threejs.org URLs, marked for
+ *   the example mode (examples.js): iframes get data-example, links class="example"
+ * - Headings and member names (Object3D.position) are collected for the search index
+ */
+
+/**
+ * Processes `doc` (the iframe document by default) with the scraper `config`.
+ * Returns { html, text, headings, members, hasMalformedHTML } or { error }.
+ */
+function processDocument(config, doc = document) {
+  const findContent = () => {
+    let content = doc.querySelector(config.SELECTORS.content.manual);
+    if (content) return content;
+
+    const elements = doc.querySelectorAll(config.SELECTORS.content.fallback);
+    if (elements.length > 0) {
+      content = doc.createElement('div');
+      // Keep a separator between blocks so textContent doesn't run words together
+      elements.forEach((el) => content.append(el.cloneNode(true), '\n'));
+      return content;
+    }
+    return null;
+  };
+
+  const processCodeBlocks = (content) => {
+    content.querySelectorAll('pre, code').forEach((el) => {
+      if (el.tagName === 'PRE') {
+        const code = el.querySelector('code') || el;
+        const language = code.className?.match(/language-(\w+)/)?.[1];
+        if (language) {
+          code.className = `lang-${language}`;
+        } else {
+          code.removeAttribute('class');
+        }
+      } else if (el.tagName === 'CODE' && !el.parentElement.matches('pre')) {
+        el.className = 'inline';
+        el.style.whiteSpace = 'pre';
+      }
+    });
+  };
+
+  const fixRelativePaths = (content) => {
+    content.querySelectorAll('img, a').forEach((el) => {
+      if (el.src?.startsWith('/')) {
+        el.src = `${config.BASE_URL}${el.src}`;
+      }
+      if (el.href?.startsWith('/')) {
+        el.href = `${config.BASE_URL}${el.href}`;
+      }
+    });
+  };
+
+  // Relative to the docs directory (<base>), and to the pinned revision's server when
+  // one is used; same-origin URLs are moved to BASE_URL like the page URLs
+  const toBaseUrl = (ref) => {
+    try {
+      const url = new URL(ref, doc.baseURI);
+      if (url.origin !== new URL(doc.baseURI).origin) return url.href;
+      return `${config.BASE_URL}${url.pathname}${url.search}${url.hash}`;
+    } catch {
+      return null;
+    }
+  };
+
+  const fixExampleRefs = (content) => {
+    content.querySelectorAll('iframe[src]').forEach((el) => {
+      const src = toBaseUrl(el.getAttribute('src'));
+      if (!src) return;
+      el.setAttribute('src', src);
+      if (src.startsWith(`${config.BASE_URL}/`)) el.setAttribute('data-example', '');
+    });
+    content.querySelectorAll('a[href]').forEach((el) => {
+      const href = el.getAttribute('href');
+      const url = href.startsWith('#') ? null : toBaseUrl(href);
+      if (!url?.startsWith(`${config.BASE_URL}/examples/`)) return;
+      el.setAttribute('href', url);
+      el.setAttribute('target', '_blank');
+      el.setAttribute('rel', 'noopener');
+      el.classList.add('example');
+    });
+  };
+
+  // Headings and member names (Object3D.position) feed the search index
+  const extractOutline = (content) => {
+    const headings = [];
+    const members = [];
+    const seen = new Set();
+    let group = '';
+    content.querySelectorAll('h1, h2, h3, h4, a[data-fragment][id]').forEach((el) => {
+      if (el.tagName !== 'A') {
+        if (el.querySelector('a[data-fragment][id]')) return;
+        const text = el.textContent.replace(/\s+/g, ' ').trim();
+        if (el.tagName === 'H2') group = text;
+        if (text) headings.push(text);
+        return;
+      }
+      const fragment = el.getAttribute('data-fragment');
+      if (!fragment.includes('.')) return;
+      const name = fragment.slice(fragment.lastIndexOf('.') + 1);
+      if (seen.has(name)) return;
+      seen.add(name);
+      const kind = /method/i.test(group)
+        ? 'method'
+        : /propert/i.test(group)
+          ? 'property'
+          : 'member';
+      members.push({ name, kind });
+    });
+    return { headings, members };
+  };
+
+  const content = findContent();
+  if (!content) {
+    return { error: 'No content found' };
+  }
+
+  // Process content before getting HTML
+  processCodeBlocks(content);
+  fixRelativePaths(content);
+  fixExampleRefs(content);
+
+  // Check for malformed HTML
+  const malformedPatterns = ['</div></p>', '<p></div>', '<div></p>'];
+  const hasMalformedHTML = malformedPatterns.some((pattern) => content.innerHTML.includes(pattern));
+
+  return {
+    html: content.innerHTML,
+    text: content.textContent,
+    ...extractOutline(content),
+    hasMalformedHTML,
+  };
+}
+
+module.exports = {
+  processDocument,
+};
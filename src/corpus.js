@@ -0,0 +1,253 @@
+/**
+ * Corpus Export
+ * =============
+ *
+ * @purpose
+ * Turns the documentation into machine-readable records (JSON / JSONL) for
+ * embeddings, linters and editor tooling, so nobody has to re-parse docs/index.html.
+ *
+ * @keyFacts
+ * - One record per page: title, section and category path, docs path, source URL, kind
+ *   (api/manual/examples) and language
+ * - API pages also get the inheritance chain (the "A → B →" line above the title), the
+ *   constructor signature, and properties and methods with their types, parameters
+ *   and return types
+ * - Members are the headings with a data-fragment anchor (see markup.js); they are
+ *   grouped by the preceding h2 (Properties, Static Methods, ...)
+ * - Body text is split into heading-scoped chunks; long chunks are split again at
+ *   block boundaries. Chunk ids are <path>#<slug>[/<part>] (the slug is the member name,
+ *   "constructor" or the heading) and stay stable as long as the headings do
+ */
+
+const { JSDOM } = require('jsdom');
+
+const MAX_CHUNK_LENGTH = 2000;
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4']);
+const BLOCK_TAGS = new Set(['P', 'DIV', 'PRE', 'LI', 'TR', 'TABLE', 'UL', 'OL', 'BLOCKQUOTE']);
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-+|-+$/g, '') || 'section'
+  );
+}
+
+// Splits "a : Number, b : Vector3" into [{ name, type }]
+function parseParams(text) {
+  return text
+    .split(',')
+    .map(normalize)
+    .filter(Boolean)
+    .map((param) => {
+      const [name, type] = param.split(/\s*:\s*/);
+      return { name, type: type || null };
+    });
+}
+
+/**
+ * Parses a signature such as "copy ( v : Vector3 ) : this" or "position : Vector3".
+ */
+function parseSignature(text) {
+  const signature = normalize(text).replace(/^\./, '');
+  const open = signature.indexOf('(');
+  const close = signature.lastIndexOf(')');
+  if (open !== -1 && close > open) {
+    const returns = normalize(signature.slice(close + 1).replace(/^\s*:/, ''));
+    return {
+      name: normalize(signature.slice(0, open)),
+      params: parseParams(signature.slice(open + 1, close)),
+      returns: returns || null,
+    };
+  }
+  const [name, type] = signature.split(/\s*:\s*/);
+  return { name, type: type || null };
+}
+
+/**
+ * Walks the page in document order and splits it into heading-scoped sections.
+ * The text before the first heading belongs to the first (h1) section.
+ */
+function collectSections(root, title) {
+  const sections = [];
+  const preamble = { heading: null, level: 1, element: null, group: '', blocks: [''], links: [] };
+  let current = preamble;
+  let group = '';
+
+  const startSection = (element) => {
+    element.querySelectorAll('.permalink').forEach((permalink) => permalink.remove());
+    const heading = normalize(element.textContent);
+    const level = Number(element.tagName[1]);
+    if (level === 2) group = heading;
+    if (current === preamble && level === 1 && !preamble.element) {
+      Object.assign(preamble, { heading, element });
+      sections.push(preamble);
+      return;
+    }
+    current = { heading, level, element, group: level > 2 ? group : '', blocks: [''], links: [] };
+    sections.push(current);
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      current.blocks[current.blocks.length - 1] += node.textContent;
+      return;
+    }
+    if (node.nodeType !== 1 || node.tagName === 'SCRIPT' || node.tagName === 'STYLE') return;
+    if (HEADING_TAGS.has(node.tagName)) {
+      startSection(node);
+      return;
+    }
+    if (node.tagName === 'A') current.links.push(node);
+    const block = BLOCK_TAGS.has(node.tagName);
+    if (block) current.blocks.push('');
+    node.childNodes.forEach(walk);
+    if (block) current.blocks.push('');
+  };
+
+  root.childNodes.forEach(walk);
+  if (!preamble.element) {
+    preamble.heading = title;
+    sections.unshift(preamble);
+  }
+  sections.forEach((section) => {
+    section.blocks = section.blocks.map(normalize).filter(Boolean);
+  });
+  return sections;
+}
+
+// The "EventDispatcher → Object3D →" line above the title of API pages
+function getInheritance(preamble, title) {
+  const ancestors = preamble.links
+    .filter((link) => !preamble.element || link.compareDocumentPosition(preamble.element) & 4)
+    .map((link) => normalize(link.textContent))
+    .filter(Boolean);
+  return ancestors.length > 0 ? [...ancestors, title] : [];
+}
+
+function getMemberName(section) {
+  const anchor = section.element?.querySelector('a[data-fragment][id]');
+  const fragment = anchor?.getAttribute('data-fragment');
+  return fragment?.includes('.') ? fragment.slice(fragment.lastIndexOf('.') + 1) : null;
+}
+
+function isConstructor(section) {
+  return section.level === 3 && /^constructor/i.test(section.group);
+}
+
+function getChunks(sections, docPath) {
+  const chunks = [];
+  const usedSlugs = new Map();
+
+  for (const section of sections) {
+    if (section.blocks.length === 0) continue;
+    const base = slugify(
+      getMemberName(section) || (isConstructor(section) ? 'constructor' : section.heading)
+    );
+    const count = (usedSlugs.get(base) || 0) + 1;
+    usedSlugs.set(base, count);
+    const slug = count > 1 ? `${base}-${count}` : base;
+
+    const parts = [];
+    for (const block of section.blocks) {
+      const last = parts[parts.length - 1];
+      if (last && last.length + block.length + 1 <= MAX_CHUNK_LENGTH) {
+        parts[parts.length - 1] = `${last} ${block}`;
+      } else {
+        parts.push(block);
+      }
+    }
+    parts.forEach((text, i) => {
+      chunks.push({
+        id: `${docPath}#${slug}${i > 0 ? `/${i + 1}` : ''}`,
+        heading: section.heading,
+        level: section.level,
+        text,
+      });
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Builds the corpus record of one (link-resolved) documentation entry.
+ */
+function buildCorpusRecord(doc) {
+  const docPath = doc.path || doc.anchor || doc.title;
+  const [kind, language] = (doc.path || '').split('/');
+  const root = JSDOM.fragment(doc.content || '');
+  const sections = collectSections(root, doc.title);
+
+  const record = {
+    id: docPath,
+    title: doc.title,
+    section: doc.section || 'Reference',
+    categories: doc.categories || [],
+    path: doc.path || null,
+    url: doc.url || null,
+    kind: kind || null,
+    language: language || null,
+    inheritance: getInheritance(sections[0], doc.title),
+    constructor: null,
+    properties: [],
+    methods: [],
+    chunks: getChunks(sections, docPath),
+  };
+
+  for (const section of sections) {
+    const description = section.blocks.join(' ') || null;
+    const isStatic = /static/i.test(section.group);
+
+    if (isConstructor(section) && !record.constructor) {
+      record.constructor = {
+        signature: section.heading,
+        params: parseSignature(section.heading).params || [],
+        description,
+      };
+      continue;
+    }
+
+    const name = getMemberName(section);
+    if (!name) continue;
+    const signature = parseSignature(section.heading);
+    if (signature.params) {
+      record.methods.push({
+        name,
+        params: signature.params,
+        returns: signature.returns,
+        static: isStatic,
+        description,
+      });
+    } else {
+      record.properties.push({ name, type: signature.type, static: isStatic, description });
+    }
+  }
+
+  return record;
+}
+
+function buildCorpus(documentation) {
+  return documentation.map(buildCorpusRecord);
+}
+
+function generateCorpusJSON(records, metadata = {}) {
+  return `${JSON.stringify({ ...metadata, records }, null, 2)}\n`;
+}
+
+function generateCorpusJSONL(records) {
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+}
+
+module.exports = {
+  slugify,
+  parseSignature,
+  buildCorpusRecord,
+  buildCorpus,
+  generateCorpusJSON,
+  generateCorpusJSONL,
+};
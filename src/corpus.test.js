@@ -0,0 +1,170 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  parseSignature,
+  buildCorpusRecord,
+  generateCorpusJSON,
+  generateCorpusJSONL,
+} = require('./corpus');
+const { getPageContext, expandMarkup } = require('./markup');
+
+const PAGES = {
+  EventDispatcher: 'api/en/core/EventDispatcher',
+  Object3D: 'api/en/core/Object3D',
+  Mesh: 'api/en/objects/Mesh',
+  BufferGeometry: 'api/en/core/BufferGeometry',
+  Material: 'api/en/materials/Material',
+};
+
+// The source of an API page as it is in the three.js repository
+const MESH_SOURCE = `
+  [page:EventDispatcher] &rarr; [page:Object3D] &rarr;
+  <h1>[name]</h1>
+  <p class="desc">Class representing triangular polygon mesh based objects.</p>
+  <h2>Constructor</h2>
+  <h3>[name]( [param:BufferGeometry geometry], [param:Material material] )</h3>
+  <p>[page:BufferGeometry geometry] — an instance of BufferGeometry.</p>
+  <h2>Properties</h2>
+  <p>See the base [page:Object3D] class for common properties.</p>
+  <h3>[property:BufferGeometry geometry]</h3>
+  <p>An instance of [page:BufferGeometry].</p>
+  <h3>[property:Boolean isMesh]</h3>
+  <p>Read-only flag to check if a given object is of type [name].</p>
+  <h2>Methods</h2>
+  <h3>[method:this copy]( [param:Mesh source], [param:Boolean recursive] )</h3>
+  <p>Copies the given mesh into this mesh.</p>
+  <h3>[method:undefined updateMorphTargets]()</h3>
+  <p>Updates the morphTargets to have no influence on the object.</p>
+  <h2>Static Methods</h2>
+  <h3>[method:Mesh fromJSON]( [param:Object json] )</h3>
+  <p>Creates a mesh from JSON.</p>
+`;
+
+function createDoc(overrides = {}) {
+  return {
+    title: 'Mesh',
+    path: 'api/en/objects/Mesh',
+    url: 'https://threejs.org/docs/index.html#api/en/objects/Mesh',
+    section: 'Objects',
+    content: expandMarkup(MESH_SOURCE, getPageContext('api/en/objects/Mesh', PAGES)),
+    ...overrides,
+  };
+}
+
+describe('Corpus Export', () => {
+  test('parseSignature should parse methods and properties', () => {
+    expect(parseSignature('.copy ( source : Mesh, recursive : Boolean ) : this')).toEqual({
+      name: 'copy',
+      params: [
+        { name: 'source', type: 'Mesh' },
+        { name: 'recursive', type: 'Boolean' },
+      ],
+      returns: 'this',
+    });
+    expect(parseSignature('.clear () : undefined')).toEqual({
+      name: 'clear',
+      params: [],
+      returns: 'undefined',
+    });
+    expect(parseSignature('.position : Vector3')).toEqual({ name: 'position', type: 'Vector3' });
+  });
+
+  test('buildCorpusRecord should extract page metadata and API structure', () => {
+    const record = buildCorpusRecord(createDoc());
+
+    expect(record).toMatchObject({
+      id: 'api/en/objects/Mesh',
+      title: 'Mesh',
+      section: 'Objects',
+      path: 'api/en/objects/Mesh',
+      url: 'https://threejs.org/docs/index.html#api/en/objects/Mesh',
+      kind: 'api',
+      language: 'en',
+      inheritance: ['EventDispatcher', 'Object3D', 'Mesh'],
+    });
+    expect(record.constructor).toEqual({
+      signature: 'Mesh( geometry : BufferGeometry, material : Material )',
+      params: [
+        { name: 'geometry', type: 'BufferGeometry' },
+        { name: 'material', type: 'Material' },
+      ],
+      description: 'geometry — an instance of BufferGeometry.',
+    });
+    expect(record.properties).toEqual([
+      {
+        name: 'geometry',
+        type: 'BufferGeometry',
+        static: false,
+        description: 'An instance of BufferGeometry.',
+      },
+      {
+        name: 'isMesh',
+        type: 'Boolean',
+        static: false,
+        description: 'Read-only flag to check if a given object is of type Mesh.',
+      },
+    ]);
+    expect(record.methods).toEqual([
+      {
+        name: 'copy',
+        params: [
+          { name: 'source', type: 'Mesh' },
+          { name: 'recursive', type: 'Boolean' },
+        ],
+        returns: 'this',
+        static: false,
+        description: 'Copies the given mesh into this mesh.',
+      },
+      expect.objectContaining({ name: 'updateMorphTargets', params: [], returns: 'undefined' }),
+      expect.objectContaining({ name: 'fromJSON', returns: 'Mesh', static: true }),
+    ]);
+  });
+
+  test('buildCorpusRecord should split the body into heading-scoped chunks', () => {
+    const { chunks } = buildCorpusRecord(createDoc());
+
+    expect(chunks.map((chunk) => chunk.id)).toEqual([
+      'api/en/objects/Mesh#mesh',
+      'api/en/objects/Mesh#constructor',
+      'api/en/objects/Mesh#properties',
+      'api/en/objects/Mesh#geometry',
+      'api/en/objects/Mesh#ismesh',
+      'api/en/objects/Mesh#copy',
+      'api/en/objects/Mesh#updatemorphtargets',
+      'api/en/objects/Mesh#fromjson',
+    ]);
+    expect(chunks[0]).toEqual({
+      id: 'api/en/objects/Mesh#mesh',
+      heading: 'Mesh',
+      level: 1,
+      text: 'EventDispatcher → Object3D → Class representing triangular polygon mesh based objects.',
+    });
+  });
+
+  test('buildCorpusRecord should split long sections at block boundaries', () => {
+    const paragraph = `<p>${'word '.repeat(300)}</p>`;
+    const { chunks, inheritance, constructor } = buildCorpusRecord(
+      createDoc({
+        title: 'Creating a scene',
+        path: 'manual/en/introduction/Creating-a-scene',
+        content: `<h1>Creating a scene</h1>${paragraph}${paragraph}`,
+      })
+    );
+
+    expect(inheritance).toEqual([]);
+    expect(constructor).toBeNull();
+    expect(chunks.map((chunk) => chunk.id)).toEqual([
+      'manual/en/introduction/Creating-a-scene#creating-a-scene',
+      'manual/en/introduction/Creating-a-scene#creating-a-scene/2',
+    ]);
+  });
+
+  test('generateCorpusJSON and generateCorpusJSONL should serialize the records', () => {
+    const records = [{ id: 'a' }, { id: 'b' }];
+
+    expect(JSON.parse(generateCorpusJSON(records, { language: 'en' }))).toEqual({
+      language: 'en',
+      records,
+    });
+    expect(generateCorpusJSONL(records)).toBe('{"id":"a"}\n{"id":"b"}\n');
+  });
+});
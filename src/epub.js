@@ -0,0 +1,299 @@
+/**
+ * EPUB Export
+ * ===========
+ *
+ * @purpose
+ * Packages the documentation as an EPUB 3 book for e-readers: one chapter per
+ * documentation entry, with a navigation document grouped like the HTML table of contents.
+ *
+ * @keyFacts
+ * - Works on link-resolved documentation (see links.js); in-manual links are pointed at
+ *   the chapter file of their target (<anchor>.xhtml#<member anchor>)
+ * - Chapters are XHTML: content is parsed with jsdom and re-serialized as XML
+ * - Scripts, buttons and permalinks are dropped; iframes (live examples) become links
+ * - EPUB can't reference remote images: images are bundled into OEBPS/assets/ by the
+ *   asset bundler ('folder' mode); ones that failed to download are replaced by a link
+ * - Navigation: nav.xhtml (EPUB 3) plus toc.ncx for older readers, both nested like
+ *   the panel's categories (buildTocTree, see toc.js)
+ * - The identifier is derived from the title and language, so rebuilds update the same
+ *   book on the reader instead of adding a copy
+ */
+
+const crypto = require('crypto');
+const { JSDOM } = require('jsdom');
+const { getDocAnchor, createTargetLookup } = require('./links');
+const { escapeHTML } = require('./html');
+const { buildTocTree } = require('./toc');
+const { createZip } = require('./zip');
+const { getHighlightStylesheet } = require('./highlight');
+
+const STYLESHEET = `
+body { font-family: serif; line-height: 1.5; margin: 0 4%; }
+h1, h2, h3, h4 { font-family: sans-serif; line-height: 1.25; }
+h3 { font-size: 1.05em; word-break: break-word; }
+code, pre { font-family: monospace; font-size: 0.85em; }
+pre { white-space: pre-wrap; word-wrap: break-word; padding: 0.5em; background: #f5f5f5; border-radius: 4px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; vertical-align: top; }
+img { max-width: 100%; }
+.param { color: #3e7b00; }
+.placeholder, .fallbackNotice { padding: 0.5em; border-left: 4px solid #f0ad4e; }
+nav ol { list-style: none; padding-left: 1em; }
+`;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+function escapeXML(value) {
+  return escapeHTML(value).replace(/'/g, '&apos;');
+}
+
+function getChapterFile(doc) {
+  return `${getDocAnchor(doc)}.xhtml`;
+}
+
+// A stable urn:uuid built from an md5 of the key
+function createIdentifier(key) {
+  const hex = crypto.createHash('md5').update(key).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+// Maps resolved in-manual links (#anchor or #anchor.member) to chapter files
+function createHrefResolver(documentation, baseUrl) {
+  const findTarget = createTargetLookup(documentation);
+
+  return (href) => {
+    const target = findTarget(href);
+    if (!target) return `${baseUrl}/docs/index.html${href}`;
+    return href === `#${getDocAnchor(target)}`
+      ? getChapterFile(target)
+      : `${getChapterFile(target)}${href}`;
+  };
+}
+
+function absolutize(url, pageUrl) {
+  if (!pageUrl) return url;
+  try {
+    return new URL(url, pageUrl).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Converts one page of (asset-rewritten) content into an XHTML chapter.
+ */
+function generateChapter(doc, { lang = 'en', resolveHref, pageUrl = null }) {
+  const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>');
+  const { document } = dom.window;
+  document.documentElement.setAttribute('lang', lang);
+  document.title = doc.title;
+  const stylesheet = document.createElement('link');
+  stylesheet.setAttribute('rel', 'stylesheet');
+  stylesheet.setAttribute('href', 'style.css');
+  document.head.append(stylesheet);
+
+  const section = document.createElement('section');
+  section.id = getDocAnchor(doc);
+  section.innerHTML = doc.content || '';
+  document.body.append(section);
+
+  section.querySelectorAll('script, style, button, .permalink').forEach((node) => node.remove());
+  section.querySelectorAll('iframe').forEach((iframe) => {
+    const src = iframe.getAttribute('src');
+    const paragraph = document.createElement('p');
+    if (src) {
+      const link = document.createElement('a');
+      link.setAttribute('href', absolutize(src, pageUrl));
+      link.textContent = iframe.getAttribute('title') || 'Open the live example';
+      paragraph.append(link);
+    }
+    iframe.replaceWith(paragraph);
+  });
+  section.querySelectorAll('img').forEach((img) => {
+    const src = img.getAttribute('src') || '';
+    if (src.startsWith('assets/') || src.startsWith('data:')) return;
+    const link = document.createElement('a');
+    link.setAttribute('href', absolutize(src, pageUrl));
+    link.textContent = img.getAttribute('alt') || 'Image';
+    img.replaceWith(link);
+  });
+  section.querySelectorAll('a[href]').forEach((link) => {
+    const href = link.getAttribute('href');
+    link.setAttribute('href', href.startsWith('#') ? resolveHref(href) : absolutize(href, pageUrl));
+    link.removeAttribute('target');
+  });
+  if (!section.querySelector('h1')) {
+    const heading = document.createElement('h1');
+    heading.textContent = doc.title;
+    section.prepend(heading);
+  }
+
+  const xhtml = new dom.window.XMLSerializer().serializeToString(document.documentElement);
+  dom.window.close();
+  return `${XML_DECLARATION}<!DOCTYPE html>\n${xhtml}\n`;
+}
+
+function getFirstDoc(node) {
+  return node.docs[0] || getFirstDoc(node.children[0]);
+}
+
+function generateNav(tree, { title, lang }) {
+  const renderNode = (node, indent) => {
+    const items = [
+      ...node.docs.map(
+        (doc) => `${indent}  <li><a href="${getChapterFile(doc)}">${escapeXML(doc.title)}</a></li>`
+      ),
+      ...node.children.map((child) => renderNode(child, `${indent}  `)),
+    ];
+    return `${indent}<li>
+${indent}  <span>${escapeXML(node.title)}</span>
+${indent}  <ol>
+${items.map((item) => `  ${item}`).join('\n')}
+${indent}  </ol>
+${indent}</li>`;
+  };
+
+  return `${XML_DECLARATION}<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+  <head>
+    <title>${escapeXML(title)}</title>
+    <link rel="stylesheet" href="style.css" />
+  </head>
+  <body>
+    <nav epub:type="toc" id="toc">
+      <h1>${escapeXML(title)}</h1>
+      <ol>
+${tree.map((node) => renderNode(node, '        ')).join('\n')}
+      </ol>
+    </nav>
+  </body>
+</html>
+`;
+}
+
+// EPUB 2 table of contents, still the only one some readers understand
+function generateNcx(tree, { title, identifier }) {
+  let playOrder = 0;
+  let depth = 1;
+  const navPoint = (label, src, children = '') => {
+    playOrder++;
+    return `<navPoint id="nav-${playOrder}" playOrder="${playOrder}">
+      <navLabel><text>${escapeXML(label)}</text></navLabel>
+      <content src="${src}"/>${children}
+    </navPoint>`;
+  };
+  const renderNode = (node, level) => {
+    depth = Math.max(depth, level + 1);
+    return navPoint(
+      node.title,
+      getChapterFile(getFirstDoc(node)),
+      [
+        ...node.docs.map((doc) => navPoint(doc.title, getChapterFile(doc))),
+        ...node.children.map((child) => renderNode(child, level + 1)),
+      ].join('')
+    );
+  };
+  const points = tree.map((node) => renderNode(node, 1)).join('\n    ');
+
+  return `${XML_DECLARATION}<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+    <meta name="dtb:depth" content="${depth}"/>
+  </head>
+  <docTitle><text>${escapeXML(title)}</text></docTitle>
+  <navMap>
+    ${points}
+  </navMap>
+</ncx>
+`;
+}
+
+function generatePackage(chapters, assets, { title, lang, identifier, modified }) {
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="style" href="style.css" media-type="text/css"/>',
+    ...chapters.map(
+      ({ file }, i) =>
+        `<item id="chapter-${i + 1}" href="${file}" media-type="application/xhtml+xml"/>`
+    ),
+    ...assets.map(
+      (asset, i) =>
+        `<item id="asset-${i + 1}" href="assets/${asset.fileName}" media-type="${asset.mimeType}"/>`
+    ),
+  ];
+  const spine = chapters.map((_chapter, i) => `<itemref idref="chapter-${i + 1}"/>`);
+
+  return `${XML_DECLARATION}<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${identifier}</dc:identifier>
+    <dc:title>${escapeXML(title)}</dc:title>
+    <dc:language>${lang}</dc:language>
+    <dc:creator>three.js authors</dc:creator>
+    <meta property="dcterms:modified">${modified.toISOString().replace(/\.\d{3}Z$/, 'Z')}</meta>
+  </metadata>
+  <manifest>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine toc="ncx">
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+const CONTAINER = `${XML_DECLARATION}<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * Generates the EPUB of link-resolved `documentation` and returns it as a Buffer.
+ * `bundler` (optional) is a 'folder' mode asset bundler used to embed images.
+ */
+async function generateEpub(documentation, options = {}) {
+  const title = options.title || 'Three.js Documentation';
+  const lang = options.lang || 'en';
+  const baseUrl = options.baseUrl || 'https://threejs.org';
+  const getPageUrl = options.getPageUrl || (() => null);
+  const identifier = options.identifier || createIdentifier(`${title}:${lang}`);
+  const modified = options.modified || new Date();
+  const { bundler = null } = options;
+  const resolveHref = createHrefResolver(documentation, baseUrl);
+
+  const chapters = [];
+  for (const doc of documentation) {
+    const pageUrl = getPageUrl(doc);
+    const content = bundler ? await bundler.rewriteHtml(doc.content || '', pageUrl) : doc.content;
+    chapters.push({
+      file: getChapterFile(doc),
+      content: generateChapter({ ...doc, content }, { lang, resolveHref, pageUrl }),
+    });
+  }
+  const assets = bundler ? bundler.listAssets() : [];
+  const tree = buildTocTree(documentation);
+
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: CONTAINER },
+    {
+      name: 'OEBPS/content.opf',
+      data: generatePackage(chapters, assets, { title, lang, identifier, modified }),
+    },
+    { name: 'OEBPS/nav.xhtml', data: generateNav(tree, { title, lang }) },
+    { name: 'OEBPS/toc.ncx', data: generateNcx(tree, { title, identifier }) },
+    {
+      name: 'OEBPS/style.css',
+      data: STYLESHEET.trimStart() + getHighlightStylesheet({ darkMode: false }),
+    },
+    ...chapters.map(({ file, content }) => ({ name: `OEBPS/${file}`, data: content })),
+    ...assets.map(({ fileName, data }) => ({ name: `OEBPS/assets/${fileName}`, data })),
+  ]);
+}
+
+module.exports = {
+  generateChapter,
+  generateEpub,
+};
@@ -0,0 +1,129 @@
+const zlib = require('zlib');
+const { Buffer } = require('node:buffer');
+const { JSDOM } = require('jsdom');
+const { describe, test, expect } = require('@jest/globals');
+const { generateChapter, generateEpub } = require('./epub');
+const { crc32 } = require('./zip');
+const { createAssetBundler } = require('./assets');
+
+const DOCUMENTATION = [
+  {
+    title: 'Object3D',
+    path: 'api/en/core/Object3D',
+    section: 'Core',
+    anchor: 'api-en-core-Object3D',
+    content:
+      '<h1>Object3D</h1><p>See <a href="#api-en-math-Vector3.x">Vector3.x</a>&nbsp;and ' +
+      '<a href="#api-en-objects-Mesh">Mesh</a>.<br></p>' +
+      '<h3><a class="permalink links" href="#api-en-core-Object3D.position">#</a> .' +
+      '<a class="links" href="#api-en-core-Object3D.position" id="api-en-core-Object3D.position">position</a></h3>' +
+      '<img src="resources/diagram.png" alt="Diagram"><script>alert(1)</script>',
+  },
+  {
+    title: 'Vector3',
+    path: 'api/en/math/Vector3',
+    section: 'Math',
+    anchor: 'api-en-math-Vector3',
+    content: '<p>A 3D vector.</p><iframe src="../../../scenes/geometry-browser.html"></iframe>',
+  },
+];
+
+// Reads the entries of an archive written by createZip
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const data = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    const content = method === 8 ? zlib.inflateRawSync(data) : data;
+    expect(crc32(content)).toBe(buffer.readUInt32LE(offset + 14));
+    entries[name] = { method, content };
+    offset += 30 + nameLength + size;
+  }
+  return entries;
+}
+
+describe('EPUB Export', () => {
+  test('generateChapter should produce well-formed XHTML', () => {
+    const xhtml = generateChapter(DOCUMENTATION[0], {
+      resolveHref: (href) => `chapter.xhtml${href}`,
+      pageUrl: 'https://threejs.org/docs/api/en/core/Object3D.html',
+    });
+
+    expect(xhtml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<!DOCTYPE html>\n<html/);
+    expect(xhtml).toContain('xmlns="http://www.w3.org/1999/xhtml"');
+    expect(xhtml).toContain('<section id="api-en-core-Object3D">');
+    expect(xhtml).toContain('<a href="chapter.xhtml#api-en-math-Vector3.x">Vector3.x</a> and');
+    expect(xhtml).toContain('<br />');
+    expect(xhtml).not.toContain('permalink');
+    expect(xhtml).not.toContain('<script');
+    expect(xhtml).toContain(
+      '<a href="https://threejs.org/docs/api/en/core/resources/diagram.png">Diagram</a>'
+    );
+
+    const { window } = new JSDOM('');
+    const parsed = new window.DOMParser().parseFromString(xhtml, 'application/xhtml+xml');
+    expect(parsed.querySelector('parsererror')).toBeNull();
+    window.close();
+  });
+
+  test('generateEpub should package chapters, navigation and images', async () => {
+    const bundler = createAssetBundler({
+      mode: 'folder',
+      fetch: async () => ({
+        ok: true,
+        arrayBuffer: async () => Buffer.from('png-data'),
+        headers: { get: () => 'image/png' },
+      }),
+    });
+    const epub = await generateEpub(DOCUMENTATION, {
+      title: 'Three.js Documentation (r160)',
+      lang: 'en',
+      getPageUrl: (doc) => `https://threejs.org/docs/${doc.path}.html`,
+      modified: new Date('2024-01-02T03:04:05.678Z'),
+      bundler,
+    });
+    const entries = readZip(epub);
+    const text = (name) => entries[name].content.toString('utf8');
+
+    expect(Object.keys(entries)).toEqual([
+      'mimetype',
+      'META-INF/container.xml',
+      'OEBPS/content.opf',
+      'OEBPS/nav.xhtml',
+      'OEBPS/toc.ncx',
+      'OEBPS/style.css',
+      'OEBPS/api-en-core-Object3D.xhtml',
+      'OEBPS/api-en-math-Vector3.xhtml',
+      expect.stringMatching(/^OEBPS\/assets\/\w+\.png$/),
+    ]);
+    expect(entries.mimetype.method).toBe(0);
+    expect(text('mimetype')).toBe('application/epub+zip');
+
+    const opf = text('OEBPS/content.opf');
+    expect(opf).toContain('<dc:title>Three.js Documentation (r160)</dc:title>');
+    expect(opf).toContain('<meta property="dcterms:modified">2024-01-02T03:04:05Z</meta>');
+    expect(opf).toMatch(/<dc:identifier id="book-id">urn:uuid:[\da-f-]{36}<\/dc:identifier>/);
+    expect(opf).toMatch(/href="assets\/\w+\.png" media-type="image\/png"/);
+    expect(opf).toContain('<itemref idref="chapter-1"/>\n    <itemref idref="chapter-2"/>');
+
+    const nav = text('OEBPS/nav.xhtml');
+    expect(nav).toMatch(/<span>Core<\/span>\s*<ol>\s*<li><a href="api-en-core-Object3D.xhtml">/);
+    expect(nav).toMatch(/<span>Math<\/span>\s*<ol>\s*<li><a href="api-en-math-Vector3.xhtml">/);
+    expect(text('OEBPS/toc.ncx')).toContain('<content src="api-en-math-Vector3.xhtml"/>');
+
+    const chapter = text('OEBPS/api-en-core-Object3D.xhtml');
+    expect(chapter).toContain('<a href="api-en-math-Vector3.xhtml#api-en-math-Vector3.x">');
+    // Pages that weren't scraped link back to threejs.org
+    expect(chapter).toContain(
+      '<a href="https://threejs.org/docs/index.html#api-en-objects-Mesh">Mesh</a>'
+    );
+    expect(chapter).toMatch(/<img src="assets\/\w+\.png" alt="Diagram" \/>/);
+    expect(text('OEBPS/api-en-math-Vector3.xhtml')).toContain(
+      '<p><a href="https://threejs.org/docs/scenes/geometry-browser.html">Open the live example</a></p>'
+    );
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Live Examples
+ * =============
+ *
+ * @purpose
+ * Keeps the live examples of the docs usable in the manual: the iframes some pages
+ * embed (scenes/geometry-browser.html#BoxGeometry) and the links to the examples
+ * browser (../examples/#webgl_animation_keyframes), which break once a page's content
+ * is lifted out of its docs directory.
+ *
+ * @keyFacts
+ * - processDocument (content.js) makes both absolute and marks them: iframes get
+ *   data-example, links class="example". That is all the default 'link' mode does
+ * - 'screenshot' replaces each iframe with a picture of it taken in the browser during
+ *   extraction, linking to the live example. Pages without one (the local source has
+ *   no browser) get a plain link
+ * - 'bundle' copies the example pages into examples/ next to the output and points
+ *   iframes and links there. The copy mirrors the threejs.org paths (examples/docs/
+ *   scenes/..., examples/build/...), so the examples' relative references still work
+ * - Files are found statically: script, stylesheet and media tags, import maps, module
+ *   imports, url() in stylesheets and file names in the page's inline scripts. Paths an
+ *   example builds at runtime (loader.setPath(...)) are not found
+ * - Only files on the docs origin are copied, CDN references stay remote. An example
+ *   page that can't be downloaded keeps its absolute URL
+ * - Source panels (EXAMPLE_SOURCE) show the HTML of each linked example in a collapsed
+ *   <details> after the paragraph that links to it, once per page
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { escapeHTML, getAttribute, setAttribute, replaceAsync } = require('./html');
+const { highlight } = require('./highlight');
+
+const EXAMPLE_MODES = ['link', 'screenshot', 'bundle'];
+
+const EXAMPLE_FRAME_PATTERN = /<iframe\b[^>]*\sdata-example\b[^>]*>[\s\S]*?<\/iframe>/gi;
+const EXAMPLE_REF_PATTERN = /<iframe\b[^>]*\sdata-example\b[^>]*>|<a\b[^>]*>/gi;
+const LINK_PATTERN = /<a\b[^>]*>([\s\S]*?)<\/a>/gi;
+const PARAGRAPH_PATTERN = /<p\b[^>]*>[\s\S]*?<\/p>/gi;
+const FILE_TAG_PATTERN = /<(script|link|img|source|audio|video)\b[^>]*>/gi;
+const SCRIPT_PATTERN = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+const IMPORT_PATTERN =
+  /\b(?:import|export)\b[^'"`;]*?\bfrom\s*(['"])([^'"]+)\1|\bimport\s*\(?\s*(['"])([^'"]+)\3/g;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+// File names in example scripts: textures, models, sounds, data
+const FILE_EXTENSIONS = [
+  'png',
+  'jpe?g',
+  'gif',
+  'webp',
+  'avif',
+  'svg',
+  'hdr',
+  'exr',
+  'ktx2',
+  'basis',
+  'glb',
+  'gltf',
+  'bin',
+  'obj',
+  'mtl',
+  'fbx',
+  'stl',
+  'ply',
+  'pcd',
+  'json',
+  'mp3',
+  'ogg',
+  'wav',
+  'mp4',
+  'webm',
+  'wasm',
+];
+const FILE_NAME_PATTERN = new RegExp(
+  `(['"\`])((?:\\.{1,2}/)*[\\w@%-]+(?:[./][\\w@%-]+)*\\.(?:${FILE_EXTENSIONS.join('|')}))\\1`,
+  'gi'
+);
+
+// Whether `html` embeds an example iframe
+function hasExampleFrames(html) {
+  return new RegExp(EXAMPLE_FRAME_PATTERN.source, 'i').test(html || '');
+}
+
+/**
+ * Replaces the example iframes of `html` with their screenshot (a data URI in
+ * `screenshots`, by iframe src) linking to the live example, or with a plain link.
+ */
+function replaceExampleFrames(html, screenshots = {}) {
+  return html.replace(EXAMPLE_FRAME_PATTERN, (frame) => {
+    const src = getAttribute(frame, 'src') || '';
+    const link = `<a class="example" href="${src}" target="_blank" rel="noopener"`;
+    const title = escapeHTML(getAttribute(frame, 'title') || 'Live example');
+    if (!screenshots[src]) {
+      return `<p>${link}>Open the live example</a></p>`;
+    }
+    return `${link} title="Open the live example"><img src="${screenshots[src]}" alt="${title}"></a>`;
+  });
+}
+
+// The HTML file of an example URL: examples/#name is examples/name.html
+function getExampleFile(url) {
+  const { origin, pathname, hash } = new URL(url);
+  if (pathname.endsWith('/examples/') && hash.length > 1) {
+    return `${origin}${pathname}${hash.slice(1)}.html`;
+  }
+  return `${origin}${pathname}`;
+}
+
+const isExampleLink = (tag) => /\bexample\b/.test(getAttribute(tag, 'class') || '');
+
+/**
+ * The example links of `html` as { url, file, title }: the link, the example's HTML
+ * file (getExampleFile) and the link text.
+ */
+function findExampleLinks(html) {
+  return Array.from(html.matchAll(LINK_PATTERN))
+    .filter(([link]) => isExampleLink(link) && getAttribute(link, 'href'))
+    .map(([link, text]) => {
+      const url = getAttribute(link, 'href');
+      const title = text.replace(/<[^>]+>/g, '').trim();
+      return { url, file: getExampleFile(url), title: title || url };
+    });
+}
+
+function generateSourcePanel({ url, file, title }, source) {
+  return `
+    <details class="exampleSource">
+      <summary>Example source: ${escapeHTML(title)}</summary>
+      <p><a href="${url}" target="_blank" rel="noopener">${escapeHTML(file)}</a></p>
+      <pre><code class="highlighted lang-html">${highlight(source, 'html')}</code></pre>
+    </details>`;
+}
+
+/**
+ * Adds a source panel after the paragraph of each example `html` links to, or at the
+ * end for links outside paragraphs. `sources` maps example files to their HTML;
+ * examples without a source get no panel.
+ */
+function addExampleSources(html, sources) {
+  const added = new Set();
+  const generatePanels = (fragment) =>
+    findExampleLinks(fragment)
+      .filter((link) => sources.has(link.file) && !added.has(link.file))
+      .map((link) => {
+        added.add(link.file);
+        return generateSourcePanel(link, sources.get(link.file));
+      })
+      .join('');
+
+  const withPanels = html.replace(
+    PARAGRAPH_PATTERN,
+    (paragraph) => `${paragraph}${generatePanels(paragraph)}`
+  );
+  return `${withPanels}${generatePanels(html)}`;
+}
+
+function resolveRef(ref, baseUrl) {
+  try {
+    const url = new URL(ref, baseUrl);
+    url.hash = '';
+    url.search = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+// Module specifiers go through the page's import map first ("three", "three/addons/")
+function resolveSpecifier(specifier, moduleUrl, imports) {
+  if (imports[specifier]) return imports[specifier];
+  const prefix = Object.keys(imports)
+    .filter((key) => key.endsWith('/') && specifier.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) return imports[prefix] + specifier.slice(prefix.length);
+  return /^(?:\.{0,2}\/|https?:)/.test(specifier) ? resolveRef(specifier, moduleUrl) : null;
+}
+
+function findModuleRefs(source, moduleUrl, imports) {
+  return Array.from(source.matchAll(IMPORT_PATTERN), (match) =>
+    resolveSpecifier(match[2] ?? match[4], moduleUrl, imports)
+  );
+}
+
+/**
+ * Creates the mirror of 'bundle' mode. `download(url)` resolves to { data } (the
+ * asset bundler's download), `baseUrl` is the docs origin whose files are copied.
+ * Call write() once all content has been rewritten.
+ */
+function createExampleMirror(options = {}) {
+  const { download, baseUrl, dir = 'examples', log = { debug: () => {} } } = options;
+  const { origin } = new URL(baseUrl);
+  const files = new Map();
+  const stats = { pages: 0, files: 0, failed: 0 };
+
+  // Copies `url` and, once it is downloaded, the files `findRefs` finds in it
+  function copy(url, findRefs = null) {
+    if (!url || new URL(url).origin !== origin) return null;
+    if (!files.has(url)) {
+      const file = download(url).then(
+        ({ data }) => {
+          stats.files++;
+          if (findRefs) {
+            findRefs(data.toString('utf8'), url).forEach((ref) => copy(ref.url, ref.findRefs));
+          }
+          return data;
+        },
+        (error) => {
+          log.debug(`Failed to copy example file ${url}: ${error.message}`);
+          return null;
+        }
+      );
+      files.set(url, file);
+    }
+    return files.get(url);
+  }
+
+  const findCssRefs = (css, cssUrl) =>
+    Array.from(css.matchAll(CSS_URL_PATTERN), (match) => ({
+      url: resolveRef(match[2], cssUrl),
+      findRefs: null,
+    }));
+
+  function findPageRefs(html, pageUrl) {
+    const imports = {};
+    const refs = [];
+    const findModules = (source, moduleUrl) =>
+      findModuleRefs(source, moduleUrl, imports).map((url) => ({ url, findRefs: findModules }));
+
+    for (const [, attributes, body] of html.matchAll(SCRIPT_PATTERN)) {
+      if (getAttribute(`<script${attributes}>`, 'type') !== 'importmap') continue;
+      try {
+        Object.entries(JSON.parse(body).imports || {}).forEach(([key, value]) => {
+          imports[key] = new URL(value, pageUrl).href;
+        });
+      } catch (error) {
+        log.debug(`Invalid import map in ${pageUrl}: ${error.message}`);
+      }
+    }
+
+    for (const [tag, tagName] of html.matchAll(FILE_TAG_PATTERN)) {
+      const name = tagName.toLowerCase();
+      const ref = getAttribute(tag, name === 'link' ? 'href' : 'src');
+      if (!ref) continue;
+      const url = resolveRef(ref, pageUrl);
+      if (name === 'script') {
+        refs.push({ url, findRefs: findModules });
+      } else if (name === 'link') {
+        if (/stylesheet/i.test(getAttribute(tag, 'rel') || '')) {
+          refs.push({ url, findRefs: findCssRefs });
+        } else if (/modulepreload/i.test(getAttribute(tag, 'rel') || '')) {
+          refs.push({ url, findRefs: findModules });
+        } else if (/icon/i.test(getAttribute(tag, 'rel') || '')) {
+          refs.push({ url, findRefs: null });
+        }
+      } else {
+        refs.push({ url, findRefs: null });
+      }
+    }
+
+    // Loaders resolve file names against the page, not the module
+    for (const [, attributes, body] of html.matchAll(SCRIPT_PATTERN)) {
+      if (getAttribute(`<script${attributes}>`, 'src')) continue;
+      refs.push(...findModules(body, pageUrl));
+      for (const match of body.matchAll(FILE_NAME_PATTERN)) {
+        refs.push({ url: resolveRef(match[2], pageUrl), findRefs: null });
+      }
+    }
+    return refs;
+  }
+
+  // Local path of the example at `url`, or null when it can't be copied
+  async function copyExample(url) {
+    const file = getExampleFile(url);
+    const isNew = !files.has(file);
+    const data = await copy(file, findPageRefs);
+    if (!data) {
+      if (isNew) stats.failed++;
+      return null;
+    }
+    if (isNew) stats.pages++;
+    return `${dir}${new URL(file).pathname}`;
+  }
+
+  /**
+   * Points the example iframes and links of `html` at their copies, keeping the hash
+   * of iframes (geometry-browser.html#BoxGeometry selects the geometry).
+   */
+  async function rewriteHtml(html) {
+    return replaceAsync(html, EXAMPLE_REF_PATTERN, async (tag) => {
+      const isFrame = /^<iframe/i.test(tag);
+      const attribute = isFrame ? 'src' : 'href';
+      const ref = getAttribute(tag, attribute);
+      if (!ref || !(isFrame || isExampleLink(tag))) {
+        return tag;
+      }
+      const url = resolveRef(ref, baseUrl);
+      if (!url || new URL(url).origin !== origin) return tag;
+      // Relative refs too; the hash names the example (examples/#webgl_...) or its state
+      const { href, hash } = new URL(ref, baseUrl);
+      const local = await copyExample(href);
+      if (!local) return tag;
+      return setAttribute(tag, attribute, isFrame ? `${local}${hash}` : local);
+    });
+  }
+
+  // Where `url` is copied to under `root`, or null if its decoded path leaves `root`
+  function getFilePath(root, url) {
+    const { pathname } = new URL(url);
+    let decoded = pathname;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      // File names may contain a bare % (100%.png), which is not an escape
+    }
+    const filePath = path.join(root, decoded);
+    return filePath.startsWith(`${root}${path.sep}`) ? filePath : null;
+  }
+
+  // Writes the copied files under <outputDir>/examples, mirroring their URL paths
+  async function write(outputDir) {
+    // Files found in downloaded files are added while waiting
+    let waitedFor = -1;
+    while (waitedFor !== files.size) {
+      waitedFor = files.size;
+      await Promise.all(files.values());
+    }
+
+    const root = path.resolve(outputDir, dir);
+    let count = 0;
+    for (const [url, file] of files) {
+      const data = await file;
+      if (!data) continue;
+      const filePath = getFilePath(root, url);
+      if (!filePath) {
+        log.debug(`Not copying example file ${url}: its path leaves ${dir}/`);
+        continue;
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+      count++;
+    }
+    return count;
+  }
+
+  return { rewriteHtml, write, stats };
+}
+
+module.exports = {
+  EXAMPLE_MODES,
+  hasExampleFrames,
+  replaceExampleFrames,
+  getExampleFile,
+  findExampleLinks,
+  addExampleSources,
+  createExampleMirror,
+};
@@ -0,0 +1,196 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+const fs = require('fs/promises');
+const path = require('path');
+const { Buffer } = require('node:buffer');
+const {
+  hasExampleFrames,
+  replaceExampleFrames,
+  getExampleFile,
+  findExampleLinks,
+  addExampleSources,
+  createExampleMirror,
+} = require('./examples');
+
+jest.mock('fs/promises', () => ({
+  mkdir: jest.fn().mockResolvedValue(undefined),
+  writeFile: jest.fn().mockResolvedValue(undefined),
+}));
+
+const FRAME =
+  '<iframe id="scene" src="https://threejs.org/docs/scenes/geometry-browser.html#BoxGeometry" data-example=""></iframe>';
+const LINK =
+  '<a href="https://threejs.org/examples/#webgl_animation_keyframes" target="_blank" rel="noopener" class="example">keyframes</a>';
+
+const FILES = {
+  'https://threejs.org/docs/scenes/geometry-browser.html': `<!DOCTYPE html>
+    <link rel="stylesheet" href="../main.css">
+    <script type="importmap">{ "imports": { "three": "../../build/three.module.js" } }</script>
+    <script type="module">
+      import * as THREE from 'three';
+      import { GUI } from '../../examples/jsm/libs/lil-gui.module.min.js';
+      const texture = new THREE.TextureLoader().load( 'textures/crate.gif' );
+    </script>`,
+  'https://threejs.org/docs/main.css': 'body { background: url(files/bg.png); }',
+  'https://threejs.org/docs/files/bg.png': 'png',
+  'https://threejs.org/build/three.module.js': "export * from './three.core.js';",
+  'https://threejs.org/build/three.core.js': 'export const REVISION = "170";',
+  'https://threejs.org/examples/jsm/libs/lil-gui.module.min.js': 'export class GUI {}',
+  'https://threejs.org/docs/scenes/textures/crate.gif': 'gif',
+  'https://threejs.org/examples/webgl_animation_keyframes.html':
+    '<script type="module" src="https://cdn.example.com/app.js"></script>' +
+    '<script type="module">import "./jsm/libs/lil-gui.module.min.js";</script>',
+};
+
+function createDownload() {
+  return jest.fn(async (url) => {
+    if (!(url in FILES)) throw new Error('HTTP 404');
+    return { data: Buffer.from(FILES[url], 'utf8'), contentType: null };
+  });
+}
+
+describe('Live Examples', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('replaceExampleFrames should swap iframes for their screenshot or a link', () => {
+    const html = `<p>Demo</p>${FRAME}<iframe src="https://www.youtube.com/embed/x"></iframe>`;
+    const src = 'https://threejs.org/docs/scenes/geometry-browser.html#BoxGeometry';
+
+    expect(hasExampleFrames(html)).toBe(true);
+    expect(hasExampleFrames('<iframe src="https://www.youtube.com/embed/x"></iframe>')).toBe(false);
+    expect(replaceExampleFrames(html, { [src]: 'data:image/png;base64,AAAA' })).toBe(
+      `<p>Demo</p><a class="example" href="${src}" target="_blank" rel="noopener" ` +
+        'title="Open the live example"><img src="data:image/png;base64,AAAA" alt="Live example"></a>' +
+        '<iframe src="https://www.youtube.com/embed/x"></iframe>'
+    );
+    expect(replaceExampleFrames(FRAME)).toBe(
+      `<p><a class="example" href="${src}" target="_blank" rel="noopener">Open the live example</a></p>`
+    );
+  });
+
+  test('getExampleFile should find the page of an examples browser link', () => {
+    expect(getExampleFile('https://threejs.org/examples/#webgl_animation_keyframes')).toBe(
+      'https://threejs.org/examples/webgl_animation_keyframes.html'
+    );
+    expect(getExampleFile('https://threejs.org/docs/scenes/geometry-browser.html#Box')).toBe(
+      'https://threejs.org/docs/scenes/geometry-browser.html'
+    );
+  });
+
+  test('addExampleSources should add a panel after the first link to each example', () => {
+    const file = 'https://threejs.org/examples/webgl_animation_keyframes.html';
+    const morph =
+      '<a href="https://threejs.org/examples/#webgl_animation_morph" class="example">list</a>';
+    const html = `<h1>Track</h1><p>See ${LINK}.</p><p>Again ${LINK}.</p><ul><li>${morph}</li></ul>`;
+
+    expect(findExampleLinks(html)).toEqual([
+      { url: 'https://threejs.org/examples/#webgl_animation_keyframes', file, title: 'keyframes' },
+      { url: 'https://threejs.org/examples/#webgl_animation_keyframes', file, title: 'keyframes' },
+      {
+        url: 'https://threejs.org/examples/#webgl_animation_morph',
+        file: 'https://threejs.org/examples/webgl_animation_morph.html',
+        title: 'list',
+      },
+    ]);
+
+    const sources = new Map([
+      [file, '<script>const a = 1 < 2;</script>'],
+      ['https://threejs.org/examples/webgl_animation_morph.html', '<canvas></canvas>'],
+    ]);
+    const result = addExampleSources(html, sources);
+    const panels = result.split('<details class="exampleSource">');
+    expect(panels).toHaveLength(3);
+    expect(panels[0]).toBe(`<h1>Track</h1><p>See ${LINK}.</p>\n    `);
+    expect(panels[1]).toContain('<summary>Example source: keyframes</summary>');
+    expect(panels[1]).toContain(`>${file}</a>`);
+    expect(panels[1]).toContain(
+      '<span class="kwd">const</span> a <span class="pun">=</span> <span class="lit">1</span>'
+    );
+    // Links outside paragraphs get their panel at the end of the page
+    expect(panels[1]).toMatch(/<\/ul>\n\s*$/);
+    expect(panels[2]).toContain('<span class="tag">&lt;canvas</span>');
+    expect(addExampleSources(html, new Map())).toBe(html);
+  });
+
+  test('the mirror should copy example pages with the files they reference', async () => {
+    const download = createDownload();
+    const mirror = createExampleMirror({ download, baseUrl: 'https://threejs.org' });
+
+    const html = await mirror.rewriteHtml(
+      `${FRAME}<p>See ${LINK} and <a href="https://threejs.org/manual/">the manual</a>.</p>`
+    );
+
+    expect(html).toContain('src="examples/docs/scenes/geometry-browser.html#BoxGeometry"');
+    expect(html).toContain('href="examples/examples/webgl_animation_keyframes.html"');
+    expect(html).toContain('href="https://threejs.org/manual/"');
+
+    expect(await mirror.write('docs')).toBe(8);
+    const written = fs.writeFile.mock.calls.map(([file]) => path.relative('docs', file));
+    expect(written.sort()).toEqual(
+      [
+        'examples/build/three.core.js',
+        'examples/build/three.module.js',
+        'examples/docs/files/bg.png',
+        'examples/docs/main.css',
+        'examples/docs/scenes/geometry-browser.html',
+        'examples/docs/scenes/textures/crate.gif',
+        'examples/examples/jsm/libs/lil-gui.module.min.js',
+        'examples/examples/webgl_animation_keyframes.html',
+      ].map((file) => path.join(...file.split('/')))
+    );
+    // Shared files are downloaded once, CDN files are left alone
+    expect(download).toHaveBeenCalledTimes(8);
+    expect(mirror.stats).toEqual({ pages: 2, files: 8, failed: 0 });
+  });
+
+  test('the mirror should copy examples referenced by relative URLs', async () => {
+    const mirror = createExampleMirror({
+      download: createDownload(),
+      baseUrl: 'https://threejs.org',
+    });
+
+    expect(
+      await mirror.rewriteHtml(
+        '<iframe src="docs/scenes/geometry-browser.html#BoxGeometry" data-example=""></iframe>'
+      )
+    ).toBe(
+      '<iframe src="examples/docs/scenes/geometry-browser.html#BoxGeometry" data-example=""></iframe>'
+    );
+    expect(mirror.stats.pages).toBe(1);
+  });
+
+  test('the mirror should keep copies of odd file names inside its folder', async () => {
+    const page = 'https://threejs.org/examples/webgl_loader.html';
+    const download = jest.fn(async (url) => ({
+      data: Buffer.from(
+        url === page ? "<script>load( '100%.png' ); load( '..%2f..%2fsecret.png' );</script>" : ''
+      ),
+      contentType: null,
+    }));
+    const mirror = createExampleMirror({ download, baseUrl: 'https://threejs.org' });
+
+    await mirror.rewriteHtml(
+      '<a class="example" href="https://threejs.org/examples/#webgl_loader">x</a>'
+    );
+
+    expect(await mirror.write('docs')).toBe(2);
+    const written = fs.writeFile.mock.calls.map(([file]) => path.relative('docs', file));
+    expect(written.sort()).toEqual([
+      path.join('examples', 'examples', '100%.png'),
+      path.join('examples', 'examples', 'webgl_loader.html'),
+    ]);
+  });
+
+  test('the mirror should keep the live URL of examples that cannot be copied', async () => {
+    const mirror = createExampleMirror({
+      download: createDownload(),
+      baseUrl: 'https://threejs.org',
+    });
+    const link = '<a class="example" href="https://threejs.org/examples/#webgl_missing">x</a>';
+
+    expect(await mirror.rewriteHtml(link)).toBe(link);
+    expect(mirror.stats.failed).toBe(1);
+    expect(await mirror.write('docs')).toBe(0);
+  });
+});
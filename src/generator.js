@@ -0,0 +1,113 @@
+/**
+ * Generator API
+ * =============
+ *
+ * @purpose
+ * The Node entry point of the package: createGenerator(options) builds the manual like
+ * the `build` command, with custom content transforms and output writers, progress
+ * events, and the documentation model returned in memory.
+ *
+ * @keyFacts
+ * - Options take the keys of the config file (flag names or camelCase, see cli.js),
+ *   e.g. { format: 'html,markdown', section: ['Core'], local: '../three.js' }
+ * - The pipeline is source → transforms → link resolution → writers (see
+ *   DEFAULT_PIPELINE in scraper.js). `source` replaces the browser / --local source
+ *   with any object of the same interface
+ * - A transform is (doc, { lang, config }) => doc | null | undefined, sync or async:
+ *   null leaves the page out, undefined keeps the page it changed in place
+ * - A writer is (documentation, { lang, outputDir, languages, formats, config }) =>
+ *   file path(s); it runs after the built-in writers of the requested formats
+ * - Events: start { languages, formats }, links { lang, total, selected },
+ *   page { lang, done, total, title, path, status }, write { lang, writer, files },
+ *   done (the result of run)
+ * - `write: false` skips every writer and the changelog snapshot; run() still returns
+ *   the link-resolved documentation
+ * - scraper.js keeps its settings in one `config` object, so a run applies its options
+ *   to it and restores it afterwards, and runs of all generators are queued one at a time
+ */
+
+const EventEmitter = require('events');
+const { parseOptionValues, resolveOptions } = require('./cli');
+const { buildDocumentation, applyOptions, config, WRITERS } = require('./scraper');
+
+// Runs share the config object of scraper.js, so they never overlap
+let queue = Promise.resolve();
+
+async function runWithOptions(options, pipeline) {
+  const saved = { ...config };
+  try {
+    applyOptions(resolveOptions(options));
+    return await buildDocumentation(pipeline);
+  } finally {
+    Object.keys(config).forEach((key) => {
+      if (!(key in saved)) delete config[key];
+    });
+    Object.assign(config, saved);
+  }
+}
+
+/**
+ * Creates a generator. `options` are build options plus `source`, `transforms`,
+ * `writers` ({ name: write }) and `write`. Returns { use, addWriter, on, off, run };
+ * run() resolves to { manuals: [{ lang, documentation, outputs }], summary }.
+ */
+function createGenerator(options = {}) {
+  const { source = null, transforms = [], writers = {}, write = true, ...values } = options;
+  const settings = parseOptionValues(values, 'the generator options');
+  const events = new EventEmitter();
+  const pipeline = {
+    source,
+    transforms: [],
+    writers: [],
+    emit: (event, payload) => events.emit(event, payload),
+    write,
+  };
+
+  const generator = {
+    // Adds a content transform, run after the ones added before it
+    use(transform) {
+      if (typeof transform !== 'function') {
+        throw new TypeError('A transform must be a function (doc, context) => doc');
+      }
+      pipeline.transforms.push(transform);
+      return generator;
+    },
+    // Adds an output writer, run after the built-in writers
+    addWriter(name, writeFn) {
+      if (typeof writeFn !== 'function') {
+        throw new TypeError(`Writer "${name}" must be a function (documentation, context)`);
+      }
+      const taken = [...WRITERS, ...pipeline.writers].some((writer) => writer.name === name);
+      if (taken) {
+        throw new Error(`A writer named "${name}" already exists`);
+      }
+      pipeline.writers.push({ name, write: writeFn });
+      return generator;
+    },
+    on(event, listener) {
+      events.on(event, listener);
+      return generator;
+    },
+    off(event, listener) {
+      events.off(event, listener);
+      return generator;
+    },
+    run() {
+      const result = queue.then(async () => {
+        const output = await runWithOptions(settings, pipeline);
+        events.emit('done', output);
+        return output;
+      });
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+
+  transforms.forEach((transform) => generator.use(transform));
+  Object.entries(writers).forEach(([name, writeFn]) => generator.addWriter(name, writeFn));
+  return generator;
+}
+
+module.exports = {
+  createGenerator,
+};
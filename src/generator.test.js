@@ -0,0 +1,146 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createGenerator } = require('./generator');
+const { config } = require('./scraper');
+
+const PAGES = [
+  {
+    title: 'Creating a scene',
+    path: 'manual/en/introduction/Creating-a-scene',
+    categories: ['Manual', 'Getting Started'],
+    content: '<h1>Creating a scene</h1><p>See <a href="#api/en/core/Object3D">Object3D</a>.</p>',
+  },
+  {
+    title: 'Object3D',
+    path: 'api/en/core/Object3D',
+    categories: ['Reference', 'Core'],
+    content: '<h1>Object3D</h1><p>Base class.</p>',
+  },
+  {
+    title: 'Draft',
+    path: 'api/en/core/Draft',
+    categories: ['Reference', 'Core'],
+    content: '<h1>Draft</h1>',
+  },
+];
+
+// A source serving PAGES from memory, with the interface of the built-in sources
+function createMemorySource() {
+  return {
+    name: 'memory',
+    retries: 0,
+    extractLinks: async () =>
+      PAGES.map((page) => ({
+        url: `https://threejs.org/docs/index.html#${page.path}`,
+        text: page.title,
+        path: page.path,
+        section: page.categories[1],
+        categories: page.categories,
+      })),
+    openWorkers: async () => ['memory'],
+    closeWorkers: async () => {},
+    extract: async (_worker, link) => ({
+      content: PAGES.find((page) => page.path === link.path).content,
+    }),
+    close: async () => {},
+  };
+}
+
+describe('Generator API', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-generator-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('run should return the transformed documentation and report progress', async () => {
+    const outputDir = path.join(tmpDir, 'memory');
+    const events = [];
+    const generator = createGenerator({
+      source: createMemorySource(),
+      outputDir,
+      cacheDir: path.join(tmpDir, 'cache'),
+      logLevel: 'silent',
+      write: false,
+    })
+      .use((doc) => (doc.title === 'Draft' ? null : doc))
+      .use(async (doc) => {
+        doc.content = doc.content.replace('</h1>', '</h1><p class="note">Internal</p>');
+      })
+      .on('links', (event) => events.push(['links', event.selected]))
+      .on('page', (event) => events.push(['page', `${event.done}/${event.total}`, event.status]));
+
+    const { manuals, summary } = await generator.run();
+
+    expect(manuals).toHaveLength(1);
+    const [{ lang, documentation, outputs }] = manuals;
+    expect(lang).toBe('en');
+    expect(outputs).toEqual([]);
+    expect(documentation.map((doc) => doc.title)).toEqual(['Creating a scene', 'Object3D']);
+    expect(documentation[0].content).toContain('<p class="note">Internal</p>');
+    expect(documentation[0].content).toContain('href="#api-en-core-Object3D"');
+    expect(summary).toMatchObject({ total: 3, ok: 3, failed: 0 });
+    expect(events).toEqual([
+      ['links', 3],
+      ['page', '1/3', 'ok'],
+      ['page', '2/3', 'ok'],
+      ['page', '3/3', 'ok'],
+    ]);
+    await expect(fs.access(outputDir)).rejects.toThrow();
+  });
+
+  test('custom writers should run after the built-in ones', async () => {
+    const outputDir = path.join(tmpDir, 'output');
+    const writes = [];
+    const generator = createGenerator({
+      source: createMemorySource(),
+      outputDir,
+      cacheDir: path.join(tmpDir, 'cache'),
+      format: 'html',
+      assetMode: 'remote',
+      section: ['Core'],
+      excludeTitle: ['Draft'],
+      logLevel: 'silent',
+      writers: {
+        async titles(documentation, context) {
+          const file = path.join(context.outputDir, 'titles.txt');
+          await fs.writeFile(file, documentation.map((doc) => doc.title).join('\n'));
+          return file;
+        },
+      },
+    }).on('write', (event) =>
+      writes.push([event.writer, event.files.map((file) => path.basename(file))])
+    );
+
+    const { manuals } = await generator.run();
+
+    expect(writes).toEqual([
+      ['html', ['index.html']],
+      ['titles', ['titles.txt']],
+    ]);
+    expect(manuals[0].outputs).toEqual([
+      path.join(outputDir, 'index.html'),
+      path.join(outputDir, 'titles.txt'),
+    ]);
+    expect(await fs.readFile(path.join(outputDir, 'titles.txt'), 'utf8')).toBe('Object3D');
+    // The options only apply to the run
+    expect(config.OUTPUT_DIR).toBe('docs');
+    expect(config.SECTIONS).toEqual([]);
+  });
+
+  test('createGenerator should reject unknown options and writer names', () => {
+    expect(() => createGenerator({ outputDirectory: 'docs' })).toThrow(
+      'Unknown option "outputDirectory" in the generator options'
+    );
+    expect(() => createGenerator().addWriter('html', () => [])).toThrow(
+      'A writer named "html" already exists'
+    );
+    expect(() => createGenerator().use('uppercase')).toThrow('A transform must be a function');
+  });
+});
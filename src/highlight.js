@@ -0,0 +1,441 @@
+/**
+ * Syntax Highlighting
+ * ===================
+ *
+ * @purpose
+ * Highlights the code blocks of the manual when it is generated, so code reads the
+ * same offline, in the EPUB and in the PDF as on threejs.org, without loading
+ * prettify from a CDN at view time.
+ *
+ * @keyFacts
+ * - Each language is a list of [class, sticky RegExp] rules tried in order at the
+ *   current position; the first match wins. HTML is tokenized by tag, with inline
+ *   scripts highlighted as JavaScript (JSON for import maps)
+ * - Token classes are prettify's (kwd, str, com, lit, typ, pun, tag, atn, atv, dec),
+ *   so page.css and the stylesheet below style them in light and dark mode
+ * - Blocks without a language-* class get one from detectLanguage: JSON that parses,
+ *   markup, shell commands, GLSL, TypeScript, otherwise JavaScript
+ * - Highlighted blocks are <code class="highlighted lang-<name>">; text-based outputs
+ *   (Markdown, corpus, search) only read the text, so the spans don't reach them
+ * - Regular expression literals aren't recognized, `/` is punctuation
+ */
+
+const { escapeHTML } = require('./html');
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  glsl: 'glsl',
+  frag: 'glsl',
+  vert: 'glsl',
+  wgsl: 'glsl',
+  html: 'html',
+  xml: 'html',
+  json: 'json',
+  sh: 'bash',
+  shell: 'bash',
+  bash: 'bash',
+  console: 'bash',
+};
+
+const JS_KEYWORDS = [
+  'as',
+  'async',
+  'await',
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'default',
+  'delete',
+  'do',
+  'else',
+  'export',
+  'extends',
+  'finally',
+  'for',
+  'from',
+  'function',
+  'if',
+  'import',
+  'in',
+  'instanceof',
+  'let',
+  'new',
+  'of',
+  'return',
+  'static',
+  'super',
+  'switch',
+  'this',
+  'throw',
+  'try',
+  'typeof',
+  'var',
+  'void',
+  'while',
+  'yield',
+];
+
+const TS_KEYWORDS = [
+  'abstract',
+  'any',
+  'boolean',
+  'declare',
+  'enum',
+  'implements',
+  'interface',
+  'keyof',
+  'namespace',
+  'never',
+  'number',
+  'private',
+  'protected',
+  'public',
+  'readonly',
+  'string',
+  'type',
+  'unknown',
+];
+
+const GLSL_KEYWORDS = [
+  'attribute',
+  'break',
+  'const',
+  'continue',
+  'discard',
+  'else',
+  'for',
+  'highp',
+  'if',
+  'in',
+  'inout',
+  'layout',
+  'lowp',
+  'mediump',
+  'out',
+  'precision',
+  'return',
+  'struct',
+  'uniform',
+  'varying',
+  'void',
+  'while',
+];
+
+const GLSL_TYPES =
+  /(?:bool|u?int|float|[biu]?vec[234]|mat[234](?:x[234])?|sampler(?:2D|3D|Cube))\b/y;
+
+const BASH_KEYWORDS = [
+  'case',
+  'do',
+  'done',
+  'elif',
+  'else',
+  'esac',
+  'export',
+  'fi',
+  'for',
+  'function',
+  'if',
+  'in',
+  'then',
+  'until',
+  'while',
+];
+
+const words = (list) => new RegExp(`(?:${list.join('|')})\\b`, 'y');
+
+const NUMBER = /(?:0[xob][\da-f_]+n?|(?:\d[\d_]*\.?\d*|\.\d+)(?:e[+-]?\d+)?[fun]?)\b/iy;
+const DOUBLE_QUOTED = /"(?:\\.|[^\\"\n])*"?/y;
+const SINGLE_QUOTED = /'(?:\\.|[^\\'\n])*'?/y;
+const LINE_COMMENT = /\/\/.*/y;
+const BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+const IDENTIFIER = /[\w$]+/y;
+const PUNCTUATION = /[^\s\w$]/y;
+const WHITESPACE = /\s+/y;
+
+const JS_RULES = [
+  ['com', LINE_COMMENT],
+  ['com', BLOCK_COMMENT],
+  ['str', /`(?:\\[\s\S]|[^\\`])*`?/y],
+  ['str', DOUBLE_QUOTED],
+  ['str', SINGLE_QUOTED],
+  ['lit', /(?:true|false|null|undefined|NaN|Infinity)\b/y],
+  ['kwd', words(JS_KEYWORDS)],
+  ['typ', /[A-Z][\w$]*/y],
+  ['lit', NUMBER],
+  ['pln', IDENTIFIER],
+  ['pun', PUNCTUATION],
+];
+
+const RULES = {
+  javascript: JS_RULES,
+  typescript: JS_RULES.map(([className, pattern]) =>
+    className === 'kwd'
+      ? [className, words([...JS_KEYWORDS, ...TS_KEYWORDS])]
+      : [className, pattern]
+  ),
+  glsl: [
+    ['com', LINE_COMMENT],
+    ['com', BLOCK_COMMENT],
+    ['dec', /#.*/y],
+    ['lit', /(?:true|false)\b/y],
+    ['kwd', words(GLSL_KEYWORDS)],
+    ['typ', GLSL_TYPES],
+    ['lit', /gl_\w+/y],
+    ['lit', NUMBER],
+    ['pln', IDENTIFIER],
+    ['pun', PUNCTUATION],
+  ],
+  json: [
+    ['atn', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+    ['str', DOUBLE_QUOTED],
+    ['lit', /(?:true|false|null)\b/y],
+    ['lit', /-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy],
+    ['pun', PUNCTUATION],
+  ],
+  bash: [
+    ['com', /(?<=^|\s)#.*/my],
+    ['pun', /^\$(?= )/my],
+    ['str', DOUBLE_QUOTED],
+    ['str', SINGLE_QUOTED],
+    ['lit', /\$(?:\{[^}\n]*\}?|\w+)/y],
+    ['kwd', words(BASH_KEYWORDS)],
+    ['atn', /(?<=\s)--?[\w-]+/y],
+    ['pln', /[^\s"'$#|&;<>()]+/y],
+    ['pun', PUNCTUATION],
+  ],
+};
+
+const MARKUP_PATTERN = new RegExp(
+  [
+    '<!--[\\s\\S]*?(?:-->|$)',
+    '<(script|style)\\b([^>]*)>([\\s\\S]*?)(<\\/\\1\\s*>|$)',
+    '<[!/]?[\\w-]+(?:[^>"\']|"[^"]*"|\'[^\']*\')*>?',
+  ].join('|'),
+  'gi'
+);
+const TAG_PART_PATTERN = /(<[!/]?[\w-]+|\/?>)|("[^"]*"|'[^']*')|([^\s=<>"'/]+)|(=)|\s+|[\s\S]/g;
+
+function span(className, text) {
+  const escaped = escapeHTML(text);
+  return className === 'pln' || !text.trim()
+    ? escaped
+    : `<span class="${className}">${escaped}</span>`;
+}
+
+// The [class, text] of the first rule matching at `position`
+function matchRule(code, position, rules) {
+  for (const [className, pattern] of rules) {
+    pattern.lastIndex = position;
+    const text = pattern.exec(code)?.[0];
+    if (text) return [className, text];
+  }
+  return null;
+}
+
+// Tokens of `code` as [class, text]; whitespace and text no rule matches are plain
+function tokenize(code, rules) {
+  const tokens = [];
+  let position = 0;
+  while (position < code.length) {
+    WHITESPACE.lastIndex = position;
+    const whitespace = WHITESPACE.exec(code)?.[0];
+    const [className, text] = whitespace
+      ? ['pln', whitespace]
+      : matchRule(code, position, rules) || ['pln', code[position]];
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous[0] === className) {
+      previous[1] += text;
+    } else {
+      tokens.push([className, text]);
+    }
+    position += text.length;
+  }
+  return tokens;
+}
+
+function highlightTag(tag) {
+  return tag.replace(TAG_PART_PATTERN, (part, delimiter, value, name, equals) => {
+    if (delimiter) return span('tag', part);
+    if (value) return span('atv', part);
+    if (name) return span('atn', part);
+    if (equals) return span('pun', part);
+    return escapeHTML(part);
+  });
+}
+
+function highlightMarkup(code) {
+  let output = '';
+  let lastIndex = 0;
+  for (const match of code.matchAll(MARKUP_PATTERN)) {
+    const [markup, element, attributes, body, closing] = match;
+    output += escapeHTML(code.slice(lastIndex, match.index));
+    if (markup.startsWith('<!--')) {
+      output += span('com', markup);
+    } else if (element) {
+      const language = /\btype\s*=\s*["']?importmap/i.test(attributes) ? 'json' : 'javascript';
+      output +=
+        highlightTag(markup.slice(0, markup.length - body.length - closing.length)) +
+        (element.toLowerCase() === 'script' ? highlight(body, language) : escapeHTML(body)) +
+        highlightTag(closing);
+    } else {
+      output += highlightTag(markup);
+    }
+    lastIndex = match.index + markup.length;
+  }
+  return output + escapeHTML(code.slice(lastIndex));
+}
+
+/**
+ * Returns `code` as HTML with a span per token. Unknown languages are escaped only.
+ */
+function highlight(code, language) {
+  if (language === 'html') return highlightMarkup(code);
+  const rules = RULES[language];
+  if (!rules) return escapeHTML(code);
+  return tokenize(code, rules)
+    .map(([className, text]) => span(className, text))
+    .join('');
+}
+
+const GLSL_PATTERN = new RegExp(
+  [
+    '\\bgl_\\w+',
+    '\\b(?:uniform|varying|precision \\w+p)\\s+\\w+',
+    '\\b(?:vec[234]|mat[34])\\s+\\w+\\s*[=;]',
+  ].join('|')
+);
+const TYPESCRIPT_PATTERN = new RegExp(
+  [
+    '\\b(?:interface|enum|type)\\s+\\w+\\s*[={<]',
+    '\\b(?:readonly|private|public|declare)\\s',
+    '\\w\\s*:\\s*(?:string|number|boolean|void|any)\\b',
+  ].join('|')
+);
+
+function isJSON(code) {
+  if (!/^\s*[[{]/.test(code)) return false;
+  try {
+    JSON.parse(code);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Guesses the language of an unlabeled code block. JavaScript unless the code is
+ * clearly something else.
+ */
+function detectLanguage(code) {
+  if (isJSON(code)) return 'json';
+  if (/^\s*<(?:!doctype|!--|[a-z][\w-]*[\s/>])/i.test(code)) return 'html';
+  if (/^\s*(?:\$ |(?:npm|npx|yarn|pnpm|git|cd|mkdir|curl|brew|python3?) )/m.test(code)) {
+    return 'bash';
+  }
+  if (GLSL_PATTERN.test(code)) return 'glsl';
+  if (TYPESCRIPT_PATTERN.test(code)) return 'typescript';
+  return 'javascript';
+}
+
+// The language of a docs class (language-js, lang-glsl), aliases resolved, or null
+function getLanguage(className) {
+  const name = className?.match(/\blang(?:uage)?-([\w+-]+)/)?.[1]?.toLowerCase();
+  if (!name) return null;
+  return LANGUAGE_ALIASES[name] || name;
+}
+
+function getCodeText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#(x[\da-f]+|\d+);/gi, (_match, code) =>
+      String.fromCodePoint(code[0] === 'x' ? parseInt(code.slice(1), 16) : Number(code))
+    )
+    .replace(/&amp;/g, '&');
+}
+
+const CODE_BLOCK_PATTERN = new RegExp(
+  '<pre\\b([^>]*)>\\s*(?:<code\\b([^>]*)>([\\s\\S]*?)<\\/code>\\s*|([\\s\\S]*?))<\\/pre>',
+  'gi'
+);
+
+/**
+ * Highlights every <pre> block of `html`, labeled (language-*, lang-*) or detected.
+ * Blocks that are already highlighted are left alone.
+ */
+function highlightCodeBlocks(html) {
+  return html.replace(CODE_BLOCK_PATTERN, (block, preAttributes, codeAttributes, inner, bare) => {
+    if (/\bhighlighted\b/.test(codeAttributes || '')) return block;
+    const code = getCodeText(inner ?? bare);
+    const classes = `${codeAttributes || ''} ${preAttributes}`.match(/\bclass="([^"]*)"/g) || [];
+    const language = getLanguage(classes.join(' ')) || detectLanguage(code);
+    const pre = preAttributes.replace(/\s*\bclass="[^"]*"/i, '');
+    return `<pre${pre}><code class="highlighted lang-${language}">${highlight(code, language)}</code></pre>`;
+  });
+}
+
+// Token class -> color per theme
+const THEMES = {
+  light: {
+    kwd: '#a626a4',
+    'str, atv': '#50a14f',
+    com: '#a0a1a7',
+    'lit, atn': '#986801',
+    typ: '#c18401',
+    tag: '#e45649',
+    dec: '#4078f2',
+  },
+  dark: {
+    kwd: '#c678dd',
+    'str, atv': '#98c379',
+    com: '#7f848e',
+    'lit, atn': '#d19a66',
+    typ: '#e5c07b',
+    tag: '#e06c75',
+    dec: '#61afef',
+  },
+};
+
+function generateThemeRules(colors, scope = '') {
+  return Object.entries(colors)
+    .map(([classes, color]) => {
+      const selectors = classes.split(', ').map((name) => `${scope}code.highlighted .${name}`);
+      return `${selectors.join(', ')} { color: ${color}; }`;
+    })
+    .join('\n');
+}
+
+/**
+ * The token colors. The dark theme follows the OS setting unless the reader forced a
+ * theme (<html data-theme>, see preferences.js); outputs with a fixed light
+ * background (print, EPUB) leave it out.
+ */
+function getHighlightStylesheet({ darkMode = true } = {}) {
+  const light = `${generateThemeRules(THEMES.light)}
+code.highlighted .com { font-style: italic; }
+code.highlighted .pun { color: inherit; }
+`;
+  if (!darkMode) return light;
+  return `${light}@media (prefers-color-scheme: dark) {
+${generateThemeRules(THEMES.dark, 'html:not([data-theme="light"]) ')}
+}
+${generateThemeRules(THEMES.dark, 'html[data-theme="dark"] ')}
+`;
+}
+
+module.exports = {
+  highlight,
+  detectLanguage,
+  highlightCodeBlocks,
+  getHighlightStylesheet,
+};
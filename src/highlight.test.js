@@ -0,0 +1,122 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  highlight,
+  detectLanguage,
+  highlightCodeBlocks,
+  getHighlightStylesheet,
+} = require('./highlight');
+
+describe('Syntax Highlighting', () => {
+  test('highlight should tokenize JavaScript', () => {
+    expect(
+      highlight('const mesh = new THREE.Mesh( geometry ); // add\nmesh.x = 0.5;', 'javascript')
+    ).toBe(
+      '<span class="kwd">const</span> mesh <span class="pun">=</span> <span class="kwd">new</span> ' +
+        '<span class="typ">THREE</span><span class="pun">.</span><span class="typ">Mesh</span>' +
+        '<span class="pun">(</span> geometry <span class="pun">);</span> <span class="com">// add</span>\n' +
+        'mesh<span class="pun">.</span>x <span class="pun">=</span> <span class="lit">0.5</span>' +
+        '<span class="pun">;</span>'
+    );
+    expect(highlight('const s = `<b>${ name }</b>`;', 'javascript')).toContain(
+      '<span class="str">`&lt;b&gt;${ name }&lt;/b&gt;`</span>'
+    );
+    expect(highlight('<b>a</b>', 'python')).toBe('&lt;b&gt;a&lt;/b&gt;');
+  });
+
+  test('highlight should tokenize GLSL, shell commands, JSON and TypeScript', () => {
+    expect(
+      highlight('uniform vec3 color; // rgb\ngl_FragColor = vec4( color, 1.0 );', 'glsl')
+    ).toBe(
+      '<span class="kwd">uniform</span> <span class="typ">vec3</span> color<span class="pun">;</span> ' +
+        '<span class="com">// rgb</span>\n<span class="lit">gl_FragColor</span> <span class="pun">=</span> ' +
+        '<span class="typ">vec4</span><span class="pun">(</span> color<span class="pun">,</span> ' +
+        '<span class="lit">1.0</span> <span class="pun">);</span>'
+    );
+    expect(highlight('$ npm install --save-dev "vite" # dev server', 'bash')).toBe(
+      '<span class="pun">$</span> npm install <span class="atn">--save-dev</span> ' +
+        '<span class="str">&quot;vite&quot;</span> <span class="com"># dev server</span>'
+    );
+    expect(highlight('{ "three": "^0.160.0", "private": true }', 'json')).toBe(
+      '<span class="pun">{</span> <span class="atn">&quot;three&quot;</span><span class="pun">:</span> ' +
+        '<span class="str">&quot;^0.160.0&quot;</span><span class="pun">,</span> ' +
+        '<span class="atn">&quot;private&quot;</span><span class="pun">:</span> ' +
+        '<span class="lit">true</span> <span class="pun">}</span>'
+    );
+    expect(highlight('interface Options { size: number }', 'typescript')).toContain(
+      '<span class="kwd">interface</span> <span class="typ">Options</span>'
+    );
+  });
+
+  test('highlight should tokenize markup and the scripts inside it', () => {
+    const html =
+      '<!-- scene -->\n<canvas id="c"></canvas>\n' +
+      '<script type="importmap">{ "imports": {} }</script>\n' +
+      '<script type="module">import * as THREE from "three";</script>';
+
+    expect(highlight(html, 'html')).toBe(
+      '<span class="com">&lt;!-- scene --&gt;</span>\n' +
+        '<span class="tag">&lt;canvas</span> <span class="atn">id</span><span class="pun">=</span>' +
+        '<span class="atv">&quot;c&quot;</span><span class="tag">&gt;</span>' +
+        '<span class="tag">&lt;/canvas</span><span class="tag">&gt;</span>\n' +
+        '<span class="tag">&lt;script</span> <span class="atn">type</span><span class="pun">=</span>' +
+        '<span class="atv">&quot;importmap&quot;</span><span class="tag">&gt;</span>' +
+        '<span class="pun">{</span> <span class="atn">&quot;imports&quot;</span><span class="pun">:</span> ' +
+        '<span class="pun">{}</span> <span class="pun">}</span>' +
+        '<span class="tag">&lt;/script</span><span class="tag">&gt;</span>\n' +
+        '<span class="tag">&lt;script</span> <span class="atn">type</span><span class="pun">=</span>' +
+        '<span class="atv">&quot;module&quot;</span><span class="tag">&gt;</span>' +
+        '<span class="kwd">import</span> <span class="pun">*</span> <span class="kwd">as</span> ' +
+        '<span class="typ">THREE</span> <span class="kwd">from</span> ' +
+        '<span class="str">&quot;three&quot;</span><span class="pun">;</span>' +
+        '<span class="tag">&lt;/script</span><span class="tag">&gt;</span>'
+    );
+  });
+
+  test('detectLanguage should recognize unlabeled snippets', () => {
+    expect(detectLanguage('{\n  "name": "my-app"\n}')).toBe('json');
+    expect(detectLanguage('<!DOCTYPE html>\n<html></html>')).toBe('html');
+    expect(detectLanguage('<script type="module" src="main.js"></script>')).toBe('html');
+    expect(detectLanguage('# three.js\nnpm install --save three')).toBe('bash');
+    expect(detectLanguage('varying vec2 vUv;\nvoid main() { vUv = uv; }')).toBe('glsl');
+    expect(detectLanguage('void main() {\n  gl_Position = vec4( position, 1.0 );\n}')).toBe('glsl');
+    expect(detectLanguage('function clamp(value: number): number {}')).toBe('typescript');
+    expect(detectLanguage('const scene = new THREE.Scene();\n{ color: 0xff0000 }')).toBe(
+      'javascript'
+    );
+    expect(detectLanguage('[ 1, 2, 3 ].map( ( x ) => x * 2 );')).toBe('javascript');
+  });
+
+  test('highlightCodeBlocks should highlight labeled and unlabeled blocks once', () => {
+    const html =
+      '<p>Install:</p><pre>npm install three</pre>' +
+      '<pre><code class="lang-glsl">float a = 1.0;</code></pre>' +
+      '<pre><code>if ( a &amp;&amp; b &lt; 2 ) {}</code></pre>' +
+      '<p><code class="inline">render</code></p>';
+
+    const highlighted = highlightCodeBlocks(html);
+
+    expect(highlighted).toBe(
+      '<p>Install:</p><pre><code class="highlighted lang-bash">npm install three</code></pre>' +
+        '<pre><code class="highlighted lang-glsl"><span class="typ">float</span> a ' +
+        '<span class="pun">=</span> <span class="lit">1.0</span><span class="pun">;</span></code></pre>' +
+        '<pre><code class="highlighted lang-javascript"><span class="kwd">if</span> ' +
+        '<span class="pun">(</span> a <span class="pun">&amp;&amp;</span> b <span class="pun">&lt;</span> ' +
+        '<span class="lit">2</span> <span class="pun">)</span> <span class="pun">{}</span></code></pre>' +
+        '<p><code class="inline">render</code></p>'
+    );
+    expect(highlightCodeBlocks(highlighted)).toBe(highlighted);
+  });
+
+  test('the stylesheet should have a dark theme unless it is for print', () => {
+    expect(getHighlightStylesheet()).toContain('@media (prefers-color-scheme: dark)');
+    // A theme picked in the reader preferences wins over the OS setting
+    expect(getHighlightStylesheet()).toContain(
+      'html:not([data-theme="light"]) code.highlighted .kwd { color: #c678dd; }'
+    );
+    expect(getHighlightStylesheet()).toContain(
+      'html[data-theme="dark"] code.highlighted .kwd { color: #c678dd; }'
+    );
+    expect(getHighlightStylesheet({ darkMode: false })).not.toContain('prefers-color-scheme');
+    expect(getHighlightStylesheet({ darkMode: false })).toContain('code.highlighted .kwd');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * HTML String Helpers
+ * ===================
+ *
+ * @purpose
+ * Small helpers for reading and rewriting attributes on single HTML tags. Scraped
+ * content is stored as HTML strings, so post-processing passes work on tags matched
+ * with regular expressions rather than a DOM.
+ */
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getAttribute(tag, name) {
+  const pattern = new RegExp(`\\s${escapeRegExp(name)}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i');
+  const match = tag.match(pattern);
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+function setAttribute(tag, name, value) {
+  const pattern = new RegExp(`(\\s${escapeRegExp(name)}\\s*=\\s*)(?:"[^"]*"|'[^']*')`, 'i');
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, (_match, prefix) => `${prefix}"${value}"`);
+  }
+  return tag.replace(/^<([\w-]+)/, (_match, tagName) => `<${tagName} ${name}="${value}"`);
+}
+
+function removeAttribute(tag, name) {
+  const pattern = new RegExp(`\\s${escapeRegExp(name)}\\s*=\\s*(?:"[^"]*"|'[^']*')`, 'i');
+  return tag.replace(pattern, '');
+}
+
+function addClass(tag, className) {
+  const current = getAttribute(tag, 'class');
+  if (!current) return setAttribute(tag, 'class', className);
+  if (current.split(/\s+/).includes(className)) return tag;
+  return setAttribute(tag, 'class', `${current} ${className}`);
+}
+
+/**
+ * String.replace with an async replacer. Matches are resolved concurrently and
+ * substituted in order.
+ */
+async function replaceAsync(input, pattern, replacer) {
+  const matches = Array.from(input.matchAll(pattern));
+  const replacements = await Promise.all(matches.map((match) => replacer(...match)));
+  let output = '';
+  let lastIndex = 0;
+  matches.forEach((match, i) => {
+    output += input.slice(lastIndex, match.index) + replacements[i];
+    lastIndex = match.index + match[0].length;
+  });
+  return output + input.slice(lastIndex);
+}
+
+module.exports = {
+  escapeHTML,
+  getAttribute,
+  setAttribute,
+  removeAttribute,
+  addClass,
+  replaceAsync,
+};
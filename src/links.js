@@ -0,0 +1,291 @@
+/**
+ * Link Resolution
+ * ===============
+ *
+ * @purpose
+ * Rewrites cross-references between documentation pages so they resolve inside the
+ * single-page output instead of pointing at the three.js hash router.
+ *
+ * @keyFacts
+ * - Scraped content links to other pages as ./index.html#api/en/core/Object3D
+ * - Member links append the member name: #api/en/core/Object3D.position
+ * - Member headings carry data-fragment="Object3D.position" and a bare id="position"
+ * - Some manual links omit the language segment: #manual/introduction/Installation
+ * - Every page gets an anchor derived from its docs path, not its (non-unique) title;
+ *   clashes (a page listed twice, paths differing only in punctuation) get a -2, -3, ...
+ *   suffix and are reported as duplicates
+ * - Headings that aren't members get a page-scoped id too (Object3D.Properties)
+ * - Links to pages that were not scraped point back to threejs.org and are marked external
+ * - Translated builds register the counterpart path of each page as an alias
+ */
+
+const { getAttribute, setAttribute, removeAttribute, addClass } = require('./html');
+
+const DOC_LINK_PATTERN = /^(?:(?:https?:\/\/threejs\.org)?\/docs\/|\.\/)?(?:index\.html)?#(.+)$/;
+const ANCHOR_TAG_PATTERN = /<a\b[^>]*>/gi;
+const HEADING_PATTERN = /<h([2-6])\b([^>]*)>([\s\S]*?)<\/h\1>/gi;
+const ID_PATTERN = /\sid\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const HAS_ID_PATTERN = /\sid\s*=/i;
+
+/**
+ * Converts a docs path (api/en/core/Object3D) into an element id (api-en-core-Object3D).
+ * Ids only use characters that are valid in HTML, CSS selectors and XML names.
+ */
+function getAnchorId(docPath) {
+  const slug = String(docPath)
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return /^[A-Za-z_]/.test(slug) ? slug : `_${slug}`;
+}
+
+/**
+ * Anchor of a documentation entry: assigned by resolveLinks, else derived on the fly.
+ */
+function getDocAnchor(doc) {
+  return doc.anchor || getAnchorId(doc.path || doc.title);
+}
+
+function getMemberAnchorId(pageAnchor, member) {
+  return `${pageAnchor}.${getAnchorId(member).replace(/^_/, '')}`;
+}
+
+/**
+ * Returns the docs fragment an href refers to, or null for non-documentation links.
+ */
+function getDocFragment(href) {
+  if (!href) return null;
+  const match = href.trim().match(DOC_LINK_PATTERN);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return match[1];
+  }
+}
+
+/**
+ * Assigns every entry a unique anchor derived from its docs path (or title). An entry
+ * whose anchor is already taken gets the next free -<n> suffix and is reported in
+ * `duplicates` as { title, path, anchor, conflictsWith }.
+ */
+function allocateAnchors(documentation) {
+  const taken = new Map();
+  const duplicates = [];
+  const anchors = documentation.map((doc) => {
+    const base = getDocAnchor(doc);
+    let anchor = base;
+    for (let n = 2; taken.has(anchor); n++) {
+      anchor = `${base}-${n}`;
+    }
+    if (anchor !== base) {
+      const other = taken.get(base);
+      duplicates.push({
+        title: doc.title,
+        path: doc.path || null,
+        anchor,
+        conflictsWith: other.path || other.title,
+      });
+    }
+    taken.set(anchor, doc);
+    return anchor;
+  });
+  return { anchors, duplicates };
+}
+
+/**
+ * Collects the member names (Object3D.position -> position) declared on a page.
+ */
+function collectMembers(content) {
+  const members = new Set();
+  for (const tag of content.match(ANCHOR_TAG_PATTERN) || []) {
+    const fragment = getAttribute(tag, 'data-fragment');
+    if (fragment && getAttribute(tag, 'id') && fragment.includes('.')) {
+      members.add(fragment.slice(fragment.lastIndexOf('.') + 1));
+    }
+  }
+  return members;
+}
+
+/**
+ * Builds the lookup used by resolveLinks: docs path -> { anchor, members }.
+ */
+function buildAnchorMap(documentation) {
+  const anchors = new Map();
+  for (const doc of documentation) {
+    if (!doc.path || anchors.has(doc.path)) continue;
+    anchors.set(doc.path, {
+      anchor: getDocAnchor(doc),
+      members: collectMembers(doc.content || ''),
+    });
+  }
+  // Aliases (e.g. the English path of a translated page) never shadow a real page
+  for (const doc of documentation) {
+    if (!doc.path) continue;
+    for (const alias of doc.aliases || []) {
+      if (!anchors.has(alias)) anchors.set(alias, anchors.get(doc.path));
+    }
+  }
+  return anchors;
+}
+
+/**
+ * Finds the scraped page a fragment refers to, trying the language of the
+ * current page for language-less paths (manual/introduction/Installation).
+ */
+function lookupFragment(fragment, anchors, currentPath) {
+  const candidates = [fragment];
+  const lang = currentPath?.split('/')[1];
+  const [root, ...rest] = fragment.split('/');
+  if (lang && rest.length > 0 && rest[0] !== lang) {
+    candidates.push([root, lang, ...rest].join('/'));
+  }
+
+  for (const candidate of candidates) {
+    if (anchors.has(candidate)) {
+      return { path: candidate, member: null };
+    }
+    const dot = candidate.lastIndexOf('.');
+    if (dot > candidate.lastIndexOf('/')) {
+      const pagePath = candidate.slice(0, dot);
+      if (anchors.has(pagePath)) {
+        return { path: pagePath, member: candidate.slice(dot + 1) };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Rewrites every <a> tag in a page's content: documentation links are pointed at
+ * in-page anchors, member ids are made unique to the page, and links to pages that
+ * were not scraped are sent to threejs.org with an "external" marker.
+ */
+function rewriteContentLinks(doc, anchors, options) {
+  const pageAnchor = doc.anchor;
+  const stats = { internal: 0, external: 0 };
+
+  const content = doc.content.replace(ANCHOR_TAG_PATTERN, (tag) => {
+    let result = tag;
+
+    const fragment = getAttribute(tag, 'data-fragment');
+    const id = getAttribute(tag, 'id');
+    if (pageAnchor && id && fragment?.includes('.')) {
+      result = setAttribute(result, 'id', getMemberAnchorId(pageAnchor, id));
+    }
+
+    const target = getDocFragment(getAttribute(tag, 'href'));
+    if (!target) return result;
+
+    const resolved = lookupFragment(target, anchors, doc.path);
+    if (resolved) {
+      const { anchor, members } = anchors.get(resolved.path);
+      const href =
+        resolved.member && members.has(resolved.member)
+          ? `#${getMemberAnchorId(anchor, resolved.member)}`
+          : `#${anchor}`;
+      result = setAttribute(result, 'href', href);
+      if (getAttribute(result, 'target') === '_blank') {
+        result = removeAttribute(result, 'target');
+      }
+      stats.internal++;
+      return result;
+    }
+
+    // The fragment was decoded, so quotes in it would end the attribute
+    result = setAttribute(
+      result,
+      'href',
+      `${options.baseUrl}/docs/index.html#${encodeURI(target)}`
+    );
+    result = setAttribute(result, 'target', '_blank');
+    result = setAttribute(result, 'rel', 'noopener');
+    result = setAttribute(result, 'title', 'Not included in this manual');
+    result = addClass(result, 'external');
+    stats.external++;
+    return result;
+  });
+
+  return { content, stats };
+}
+
+function stripTags(html) {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Gives headings without an id (Properties, Examples, ...) a page-scoped anchor such as
+ * api-en-core-Object3D.Properties. Member headings already carry one on their link, and
+ * the page title (h1) is reached through the page anchor.
+ */
+function addHeadingAnchors(content, pageAnchor) {
+  const used = new Set(Array.from(content.matchAll(ID_PATTERN), (match) => match[1] ?? match[2]));
+
+  return content.replace(HEADING_PATTERN, (heading, level, attributes, inner) => {
+    if (HAS_ID_PATTERN.test(attributes) || HAS_ID_PATTERN.test(inner)) return heading;
+    const text = stripTags(inner).trim();
+    if (!text) return heading;
+
+    const base = getMemberAnchorId(pageAnchor, text);
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    used.add(id);
+    return `<h${level} id="${id}"${attributes}>${inner}</h${level}>`;
+  });
+}
+
+/**
+ * Link-resolution pass over the assembled documentation. Returns new entries with
+ * a unique `anchor` id and rewritten `content`, plus aggregate statistics (including
+ * the entries whose anchor had to be disambiguated).
+ */
+function resolveLinks(documentation, options = {}) {
+  const baseUrl = options.baseUrl || 'https://threejs.org';
+  const { anchors: allocated, duplicates } = allocateAnchors(documentation);
+  const withAnchors = documentation.map((doc, i) => ({ ...doc, anchor: allocated[i] }));
+  // Links to a path land on its first entry
+  const anchors = buildAnchorMap(withAnchors);
+  const stats = { internal: 0, external: 0, duplicates };
+
+  const resolved = withAnchors.map((doc) => {
+    if (!doc.content) return doc;
+
+    const result = rewriteContentLinks(doc, anchors, { baseUrl });
+    stats.internal += result.stats.internal;
+    stats.external += result.stats.external;
+    return { ...doc, content: addHeadingAnchors(result.content, doc.anchor) };
+  });
+
+  return { documentation: resolved, stats };
+}
+
+/**
+ * Creates a lookup from resolved in-manual hrefs (#anchor or #anchor.member) to the
+ * entry they land on, for outputs that split pages into separate files.
+ */
+function createTargetLookup(documentation) {
+  const pages = new Map(documentation.map((doc) => [getDocAnchor(doc), doc]));
+  return (href) => {
+    if (!href?.startsWith('#')) return null;
+    const fragment = href.slice(1);
+    const page = pages.get(fragment);
+    if (page || !fragment.includes('.')) return page || null;
+    return pages.get(fragment.slice(0, fragment.lastIndexOf('.'))) || null;
+  };
+}
+
+module.exports = {
+  getAnchorId,
+  getDocAnchor,
+  getMemberAnchorId,
+  getDocFragment,
+  allocateAnchors,
+  addHeadingAnchors,
+  buildAnchorMap,
+  resolveLinks,
+  createTargetLookup,
+};
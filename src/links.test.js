@@ -0,0 +1,202 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  getAnchorId,
+  getDocFragment,
+  allocateAnchors,
+  addHeadingAnchors,
+  resolveLinks,
+} = require('./links');
+
+describe('Link Resolution', () => {
+  const documentation = [
+    {
+      title: 'Object3D',
+      path: 'api/en/core/Object3D',
+      section: 'Core',
+      content:
+        '<h3><a class="links" data-fragment="Object3D.position" id="position" href="./index.html#api/en/core/Object3D.position">position</a></h3>' +
+        '<a class="links" data-fragment="Vector3" href="./index.html#api/en/math/Vector3">Vector3</a>',
+    },
+    {
+      title: 'Installation',
+      path: 'manual/en/introduction/Installation',
+      section: 'Manual',
+      content:
+        '<a href="./index.html#api/en/core/Object3D.position">position</a>' +
+        '<a href="./index.html#api/en/core/Object3D.missing">missing</a>' +
+        '<a href="#manual/introduction/Installation" target="_blank">self</a>' +
+        '<a href="https://example.com/">example</a>',
+    },
+  ];
+
+  test('getAnchorId should derive a stable id from the docs path', () => {
+    expect(getAnchorId('api/en/core/Object3D')).toBe('api-en-core-Object3D');
+    expect(getAnchorId('manual/en/introduction/Creating-a-scene')).toBe(
+      'manual-en-introduction-Creating-a-scene'
+    );
+    expect(getAnchorId('3D models')).toBe('_3D-models');
+  });
+
+  test('getDocFragment should only match documentation links', () => {
+    expect(getDocFragment('./index.html#api/en/core/Object3D')).toBe('api/en/core/Object3D');
+    expect(getDocFragment('https://threejs.org/docs/index.html#api/en/math/Vector3')).toBe(
+      'api/en/math/Vector3'
+    );
+    expect(getDocFragment('#manual/introduction/Installation')).toBe(
+      'manual/introduction/Installation'
+    );
+    expect(getDocFragment('https://example.com/#foo')).toBeNull();
+    expect(getDocFragment('../examples/#webgl_animation_skinning_blending')).toBeNull();
+  });
+
+  test('resolveLinks should assign path-based anchors', () => {
+    const { documentation: resolved } = resolveLinks(documentation);
+
+    expect(resolved[0].anchor).toBe('api-en-core-Object3D');
+    expect(resolved[1].anchor).toBe('manual-en-introduction-Installation');
+  });
+
+  test('resolveLinks should rewrite member ids and member links', () => {
+    const { documentation: resolved } = resolveLinks(documentation);
+
+    expect(resolved[0].content).toContain('id="api-en-core-Object3D.position"');
+    expect(resolved[0].content).toContain('href="#api-en-core-Object3D.position"');
+    expect(resolved[1].content).toContain('href="#api-en-core-Object3D.position"');
+  });
+
+  test('resolveLinks should fall back to the page anchor for unknown members', () => {
+    const { documentation: resolved } = resolveLinks(documentation);
+
+    expect(resolved[1].content).toContain('<a href="#api-en-core-Object3D">missing</a>');
+  });
+
+  test('resolveLinks should resolve language-less paths and drop target="_blank"', () => {
+    const { documentation: resolved } = resolveLinks(documentation);
+
+    expect(resolved[1].content).toContain(
+      '<a href="#manual-en-introduction-Installation">self</a>'
+    );
+  });
+
+  test('resolveLinks should mark links to pages that were not scraped as external', () => {
+    const { documentation: resolved, stats } = resolveLinks(documentation, {
+      baseUrl: 'https://threejs.org',
+    });
+
+    expect(resolved[0].content).toContain(
+      'href="https://threejs.org/docs/index.html#api/en/math/Vector3"'
+    );
+    expect(resolved[0].content).toContain('class="links external"');
+    expect(resolved[0].content).toContain('target="_blank"');
+    expect(stats.external).toBe(1);
+    expect(stats.internal).toBe(4);
+  });
+
+  test('resolveLinks should keep quotes in unresolved fragments inside the href', () => {
+    const { documentation: resolved } = resolveLinks(
+      [
+        {
+          title: 'Page',
+          path: 'api/en/Page',
+          content:
+            '<a href="https://threejs.org/docs/index.html#api/en/Missing%22%3E%3Cimg%20src=x%3E">x</a>',
+        },
+      ],
+      { baseUrl: 'https://threejs.org' }
+    );
+
+    expect(resolved[0].content).toContain(
+      'href="https://threejs.org/docs/index.html#api/en/Missing%22%3E%3Cimg%20src=x%3E"'
+    );
+    expect(resolved[0].content).not.toContain('<img');
+  });
+
+  test('resolveLinks should resolve aliases of translated pages', () => {
+    const { documentation: resolved } = resolveLinks([
+      {
+        title: 'Object3D',
+        path: 'api/en/core/Object3D',
+        aliases: ['api/zh/core/Object3D'],
+        content: '',
+      },
+      {
+        title: '创建一个场景',
+        path: 'manual/zh/introduction/Creating-a-scene',
+        content: '<a href="./index.html#api/zh/core/Object3D">Object3D</a>',
+      },
+    ]);
+
+    expect(resolved[1].content).toBe('<a href="#api-en-core-Object3D">Object3D</a>');
+  });
+
+  test('resolveLinks should leave non-documentation links untouched', () => {
+    const { documentation: resolved } = resolveLinks(documentation);
+
+    expect(resolved[1].content).toContain('<a href="https://example.com/">example</a>');
+  });
+
+  test('allocateAnchors should suffix clashing anchors and report them', () => {
+    const { anchors, duplicates } = allocateAnchors([
+      { title: 'Object3D', path: 'api/en/core/Object3D' },
+      { title: 'Object3D', path: 'api/en/core/Object3D' },
+      { title: 'Loader', path: 'api/en/loaders/Loader' },
+      { title: 'Loader', path: 'api/en/loaders Loader' },
+      { title: 'Object3D', path: 'api/en/core/Object3D' },
+    ]);
+
+    expect(anchors).toEqual([
+      'api-en-core-Object3D',
+      'api-en-core-Object3D-2',
+      'api-en-loaders-Loader',
+      'api-en-loaders-Loader-2',
+      'api-en-core-Object3D-3',
+    ]);
+    expect(duplicates).toEqual([
+      {
+        title: 'Object3D',
+        path: 'api/en/core/Object3D',
+        anchor: 'api-en-core-Object3D-2',
+        conflictsWith: 'api/en/core/Object3D',
+      },
+      {
+        title: 'Loader',
+        path: 'api/en/loaders Loader',
+        anchor: 'api-en-loaders-Loader-2',
+        conflictsWith: 'api/en/loaders/Loader',
+      },
+      expect.objectContaining({ anchor: 'api-en-core-Object3D-3' }),
+    ]);
+  });
+
+  test('resolveLinks should keep ids unique when a page is listed twice', () => {
+    const { documentation: resolved, stats } = resolveLinks([...documentation, documentation[0]]);
+
+    expect(resolved.map((doc) => doc.anchor)).toEqual([
+      'api-en-core-Object3D',
+      'manual-en-introduction-Installation',
+      'api-en-core-Object3D-2',
+    ]);
+    expect(stats.duplicates).toHaveLength(1);
+    expect(resolved[2].content).toContain('id="api-en-core-Object3D-2.position"');
+    // Links keep pointing at the first listing
+    expect(resolved[1].content).toContain('href="#api-en-core-Object3D.position"');
+  });
+
+  test('addHeadingAnchors should give headings without an id a page-scoped anchor', () => {
+    const content = addHeadingAnchors(
+      '<h1>Object3D</h1><h2>Properties</h2>' +
+        '<h3><a id="api-en-core-Object3D.position">position</a></h3>' +
+        '<h2>Methods</h2><h2 class="note">Properties</h2><h2 id="custom">Custom</h2>',
+      'api-en-core-Object3D'
+    );
+
+    expect(content).toBe(
+      '<h1>Object3D</h1>' +
+        '<h2 id="api-en-core-Object3D.Properties">Properties</h2>' +
+        '<h3><a id="api-en-core-Object3D.position">position</a></h3>' +
+        '<h2 id="api-en-core-Object3D.Methods">Methods</h2>' +
+        '<h2 id="api-en-core-Object3D.Properties-2" class="note">Properties</h2>' +
+        '<h2 id="custom">Custom</h2>'
+    );
+  });
+});
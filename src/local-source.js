@@ -0,0 +1,151 @@
+/**
+ * Local Source
+ * ============
+ *
+ * @purpose
+ * Builds the manual from a three.js repository checkout (or release tarball) without
+ * launching a browser, so builds and tests can run entirely offline.
+ *
+ * @keyFacts
+ * - Pages are discovered from docs/list.json instead of the rendered navigation panel
+ * - Categories follow the panel: [group, category] (e.g. ['Reference', 'Core']); the
+ *   section of a page is its category
+ * - Each docs/<path>.html is parsed with jsdom (scripts are not run); its doc markup is
+ *   expanded by markup.js in place of page.js, then it goes through the same
+ *   processDocument step as pages extracted in the browser
+ * - Links keep their threejs.org URLs, so cache, manifest and link resolution behave
+ *   exactly as in browser builds
+ * - The asset fetch reads threejs.org URLs from the checkout and only falls back to
+ *   the network for files outside it (e.g. images hosted elsewhere)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { processDocument } = require('./content');
+const { createPageIndex, getPageContext, expandMarkup } = require('./markup');
+
+/**
+ * Turns the `lang` tree of docs/list.json into links shaped like the ones extracted
+ * from the navigation panel: { url, text, path, section, categories }.
+ */
+function parsePageList(list, lang, baseUrl) {
+  const groups = list[lang];
+  if (!groups) {
+    throw new Error(`No "${lang}" pages in docs/list.json`);
+  }
+
+  const links = [];
+  for (const [groupName, categories] of Object.entries(groups)) {
+    for (const [categoryName, pages] of Object.entries(categories)) {
+      for (const [text, pagePath] of Object.entries(pages)) {
+        links.push({
+          url: `${baseUrl}/docs/index.html#${pagePath}`,
+          text,
+          path: pagePath,
+          section: categoryName,
+          categories: [groupName, categoryName],
+        });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Reads docs/<path>.html from `rootDir` and processes it like the browser would.
+ * `pages` (page name -> docs path) resolves the links of the page's markup.
+ * Resolves to the same shape as scraper.extractContent.
+ */
+async function extractLocalContent(rootDir, link, config, pages = {}) {
+  const filePath = path.join(rootDir, 'docs', `${link.path}.html`);
+  const html = await fs.readFile(filePath, 'utf8');
+  const dom = new JSDOM(html, { url: `${config.BASE_URL}/docs/${link.path}.html` });
+  try {
+    const { body } = dom.window.document;
+    body.innerHTML = expandMarkup(body.innerHTML, getPageContext(link.path, pages));
+    const content = processDocument(config, dom.window.document);
+    if (content.error) {
+      throw new Error(`${content.error} in ${filePath}`);
+    }
+    return {
+      title: link.text,
+      content: content.html,
+      text: content.text.replace(/\s+/g, ' ').trim(),
+      headings: content.headings,
+      members: content.members,
+      hasMalformedHTML: content.hasMalformedHTML,
+    };
+  } finally {
+    dom.window.close();
+  }
+}
+
+/**
+ * A fetch for the asset bundler that serves `${baseUrl}/...` from `rootDir`.
+ */
+function createLocalFetch(rootDir, baseUrl, fallbackFetch = null) {
+  const root = path.resolve(rootDir);
+  return async (url) => {
+    if (!url.startsWith(`${baseUrl}/`)) {
+      return (fallbackFetch || global.fetch)(url);
+    }
+    try {
+      const filePath = path.join(root, decodeURIComponent(new URL(url).pathname));
+      // Only files in the checkout, not what a decoded %2F.. reaches
+      if (filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) {
+        return { ok: false, status: 404 };
+      }
+      const data = await fs.readFile(filePath);
+      return { ok: true, status: 200, headers: { get: () => null }, arrayBuffer: async () => data };
+    } catch {
+      return { ok: false, status: 404 };
+    }
+  };
+}
+
+/**
+ * Creates a page source backed by the checkout in `rootDir`. It has the same
+ * interface as the browser source in scraper.js.
+ */
+function createLocalSource(rootDir, config) {
+  let listPromise = null;
+  const pageIndexes = {};
+
+  async function getLinks(lang) {
+    listPromise ||= fs
+      .readFile(path.join(rootDir, 'docs', 'list.json'), 'utf8')
+      .then((data) => JSON.parse(data));
+    return parsePageList(await listPromise, lang, config.BASE_URL);
+  }
+
+  // The markup of a page links to pages of its own language, like getPageURL in the docs
+  async function getPageIndex(lang) {
+    pageIndexes[lang] ||= getLinks(lang)
+      .then(createPageIndex)
+      .catch(() => ({}));
+    return pageIndexes[lang];
+  }
+
+  return {
+    name: 'local',
+    // Reading files needs no retries and no backoff
+    retries: 0,
+    fetch: createLocalFetch(rootDir, config.BASE_URL),
+    extractLinks: getLinks,
+    openWorkers: async () => [rootDir],
+    closeWorkers: async () => {},
+    async extract(_worker, link) {
+      const pages = await getPageIndex(link.path.split('/')[1]);
+      return extractLocalContent(rootDir, link, config, pages);
+    },
+    close: async () => {},
+  };
+}
+
+module.exports = {
+  parsePageList,
+  extractLocalContent,
+  createLocalFetch,
+  createLocalSource,
+};
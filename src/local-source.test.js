@@ -0,0 +1,474 @@
+const { describe, test, expect, beforeAll, beforeEach, afterAll } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('node:buffer');
+const { parsePageList, extractLocalContent, createLocalFetch } = require('./local-source');
+
+const PAGE_LIST = {
+  en: {
+    Manual: {
+      'Getting Started': {
+        'Creating a scene': 'manual/en/introduction/Creating-a-scene',
+      },
+      'Next Steps': {
+        'How to update things': 'manual/en/introduction/How-to-update-things',
+      },
+    },
+    Reference: {
+      Core: {
+        Object3D: 'api/en/core/Object3D',
+      },
+      'Animation / Tracks': {
+        BooleanKeyframeTrack: 'api/en/animation/tracks/BooleanKeyframeTrack',
+      },
+    },
+  },
+  zh: {
+    手册: {
+      起步: {
+        创建一个场景: 'manual/zh/introduction/Creating-a-scene',
+      },
+    },
+  },
+};
+
+const PAGES = {
+  'manual/en/introduction/Creating-a-scene': `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <base href="../../../" />
+    <script src="page.js"></script>
+    <link type="text/css" rel="stylesheet" href="page.css" />
+  </head>
+  <body>
+    <h1>Creating a scene</h1>
+    <p>Before we can <code>render</code> anything we need a scene.</p>
+    <h2>Rendering the scene</h2>
+    <pre><code class="language-js">renderer.render( scene, camera );</code></pre>
+    <img src="resources/scene.png" alt="" />
+  </body>
+</html>`,
+  'manual/en/introduction/How-to-update-things': '<h1>How to update things</h1>',
+  'api/en/core/Object3D':
+    '<h1>[name]</h1><p>Base class, see [page:BooleanKeyframeTrack].</p>' +
+    '<h2>Properties</h2><h3>[property:Vector3 position]</h3>',
+  'api/en/animation/tracks/BooleanKeyframeTrack': `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <base href="../../../../" />
+  </head>
+  <body>
+    <h1>BooleanKeyframeTrack</h1>
+    <iframe id="scene" src="scenes/geometry-browser.html#BoxGeometry"></iframe>
+    <p>[example:webgl_animation_keyframes keyframes]</p>
+  </body>
+</html>`,
+  'manual/zh/introduction/Creating-a-scene': '<h1>创建一个场景</h1>',
+};
+
+// Files of the live examples the pages embed or link to
+const EXAMPLE_FILES = {
+  'docs/scenes/geometry-browser.html':
+    '<script type="importmap">{ "imports": { "three": "../../build/three.module.js" } }</script>' +
+    '<script type="module">import * as THREE from "three";</script>',
+  'build/three.module.js': 'export const REVISION = "160";',
+};
+
+async function createCheckout(dir) {
+  for (const [pagePath, html] of Object.entries(PAGES)) {
+    const filePath = path.join(dir, 'docs', `${pagePath}.html`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, html);
+  }
+  await fs.mkdir(path.join(dir, 'src'), { recursive: true });
+  await fs.mkdir(path.join(dir, 'files'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'docs', 'index.html'), '<title>docs</title>');
+  await fs.writeFile(path.join(dir, 'docs', 'list.json'), JSON.stringify(PAGE_LIST));
+  await fs.writeFile(path.join(dir, 'files', 'favicon.ico'), 'icon');
+  await fs.writeFile(path.join(dir, 'src', 'constants.js'), "export const REVISION = '160';\n");
+  for (const [filePath, content] of Object.entries(EXAMPLE_FILES)) {
+    await fs.mkdir(path.dirname(path.join(dir, filePath)), { recursive: true });
+    await fs.writeFile(path.join(dir, filePath), content);
+  }
+}
+
+describe('Local Source', () => {
+  let tmpDir;
+  let checkout;
+  let config;
+  let defaults;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-local-'));
+    checkout = path.join(tmpDir, 'three.js');
+    await createCheckout(checkout);
+    ({ config } = require('./scraper'));
+    defaults = { ...config };
+  });
+
+  // Every test starts from the default config, building from the checkout
+  beforeEach(() => {
+    Object.assign(config, defaults, {
+      LOCAL_SOURCE: checkout,
+      CACHE_DIR: path.join(tmpDir, 'cache'),
+      MANIFEST_FILE: path.join(tmpDir, 'cache', 'run-manifest.json'),
+    });
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parsePageList should mirror the categories of the navigation panel', () => {
+    const links = parsePageList(PAGE_LIST, 'en', 'https://threejs.org');
+
+    expect(links).toEqual([
+      {
+        url: 'https://threejs.org/docs/index.html#manual/en/introduction/Creating-a-scene',
+        text: 'Creating a scene',
+        path: 'manual/en/introduction/Creating-a-scene',
+        section: 'Getting Started',
+        categories: ['Manual', 'Getting Started'],
+      },
+      expect.objectContaining({
+        text: 'How to update things',
+        categories: ['Manual', 'Next Steps'],
+      }),
+      expect.objectContaining({ text: 'Object3D', section: 'Core' }),
+      expect.objectContaining({
+        text: 'BooleanKeyframeTrack',
+        section: 'Animation / Tracks',
+        categories: ['Reference', 'Animation / Tracks'],
+      }),
+    ]);
+    expect(() => parsePageList(PAGE_LIST, 'ko', 'https://threejs.org')).toThrow(
+      'No "ko" pages in docs/list.json'
+    );
+  });
+
+  test('extractLocalContent should process pages like the browser extraction', async () => {
+    const link = { text: 'Creating a scene', path: 'manual/en/introduction/Creating-a-scene' };
+
+    const result = await extractLocalContent(checkout, link, config);
+
+    expect(result.title).toBe('Creating a scene');
+    expect(result.content).toContain('<h1>Creating a scene</h1>');
+    expect(result.content).toContain('<pre><code class="lang-js">');
+    expect(result.content).toContain(
+      '<code class="inline" style="white-space: pre;">render</code>'
+    );
+    expect(result.content).toContain('src="resources/scene.png"');
+    expect(result.content).not.toContain('<script');
+    expect(result.headings).toEqual(['Creating a scene', 'Rendering the scene']);
+    expect(result.text).toMatch(/^Creating a scene Before we can render anything/);
+  });
+
+  test('extractLocalContent should expand doc markup with links to known pages', async () => {
+    const link = { text: 'Object3D', path: 'api/en/core/Object3D' };
+    const pages = { BooleanKeyframeTrack: 'api/en/animation/tracks/BooleanKeyframeTrack' };
+
+    const result = await extractLocalContent(checkout, link, config, pages);
+
+    expect(result.content).toContain('<h1>Object3D</h1>');
+    expect(result.content).toContain(
+      'href="./index.html#api/en/animation/tracks/BooleanKeyframeTrack"'
+    );
+    expect(result.members).toEqual([{ name: 'position', kind: 'property' }]);
+    expect(result.text).toContain('.position : Vector3');
+  });
+
+  test('extractLocalContent should reject pages missing from the checkout', async () => {
+    await expect(
+      extractLocalContent(checkout, { text: 'Missing', path: 'api/en/Missing' }, config)
+    ).rejects.toThrow('ENOENT');
+  });
+
+  test('createLocalFetch should serve threejs.org files from the checkout', async () => {
+    const fallback = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    const fetchLocal = createLocalFetch(checkout, 'https://threejs.org', fallback);
+
+    const icon = await fetchLocal('https://threejs.org/files/favicon.ico');
+    expect(icon.ok).toBe(true);
+    expect(Buffer.from(await icon.arrayBuffer()).toString()).toBe('icon');
+
+    const missing = await fetchLocal('https://threejs.org/files/missing.png');
+    expect(missing).toEqual({ ok: false, status: 404 });
+
+    // Decoded %2F.. segments stay in the checkout, malformed escapes are missing files
+    await fs.writeFile(path.join(tmpDir, 'secret.txt'), 'secret');
+    expect(await fetchLocal('https://threejs.org/..%2Fsecret.txt')).toEqual({
+      ok: false,
+      status: 404,
+    });
+    expect(await fetchLocal('https://threejs.org/files/%E0%A4%A.png')).toEqual({
+      ok: false,
+      status: 404,
+    });
+
+    await fetchLocal('https://cdn.example.com/prettify.js');
+    expect(fallback).toHaveBeenCalledWith('https://cdn.example.com/prettify.js');
+  });
+
+  test('scrapeDocumentation should build from a checkout without a browser', async () => {
+    const outputDir = path.join(tmpDir, 'output');
+    Object.assign(config, {
+      OUTPUT_DIR: outputDir,
+      ASSET_MODE: 'remote',
+      FORMATS: 'html,site,markdown,jsonl',
+      SITE_URL: 'https://example.com/docs',
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { scrapeDocumentation } = require('./scraper');
+      await scrapeDocumentation(null);
+    } finally {
+      log.mockRestore();
+    }
+
+    const html = await fs.readFile(path.join(outputDir, 'index.html'), 'utf8');
+    expect(html).toMatch(
+      /<summary><h2>Manual<\/h2><\/summary>[\s\S]*<summary><h3>Next Steps<\/h3><\/summary>/
+    );
+    expect(html).toContain('<h1>How to update things</h1>');
+    expect(html).toContain('<pre><code class="highlighted lang-javascript">');
+    expect(html).toContain('id="api-en-core-Object3D.position"');
+    expect(html).toContain('href="#api-en-animation-tracks-BooleanKeyframeTrack"');
+    expect(html).toContain(
+      '<iframe id="scene" src="https://threejs.org/docs/scenes/geometry-browser.html#BoxGeometry" data-example="">'
+    );
+    expect(html).toContain(
+      '<a href="https://threejs.org/examples/#webgl_animation_keyframes" target="_blank" rel="noopener" class="example">keyframes</a>'
+    );
+    // Remote mode downloads nothing, content images load from threejs.org
+    expect(html).toMatch(/<img src="https:\/\/threejs\.org\/docs\/[^"]*resources\/scene\.png"/);
+    await expect(fs.access(path.join(outputDir, 'assets'))).rejects.toThrow();
+
+    const markdown = await fs.readFile(
+      path.join(outputDir, 'markdown', 'api', 'en', 'core', 'Object3D.md'),
+      'utf8'
+    );
+    expect(markdown).toContain('title: "Object3D"');
+    expect(markdown).toContain(
+      '[BooleanKeyframeTrack](../animation/tracks/BooleanKeyframeTrack.md)'
+    );
+
+    const page = await fs.readFile(
+      path.join(outputDir, 'site', 'api', 'en', 'core', 'Object3D.html'),
+      'utf8'
+    );
+    expect(page).toContain('data-root="../../../"');
+    expect(page).toContain('href="../animation/tracks/BooleanKeyframeTrack.html"');
+    expect(page).toContain('<script src="../../../search-index.js"></script>');
+    await expect(fs.access(path.join(outputDir, 'site', 'assets'))).rejects.toThrow();
+    const scenePage = await fs.readFile(
+      path.join(outputDir, 'site', 'manual', 'en', 'introduction', 'Creating-a-scene.html'),
+      'utf8'
+    );
+    expect(scenePage).toMatch(
+      /<img src="https:\/\/threejs\.org\/docs\/[^"]*resources\/scene\.png"/
+    );
+    expect(page).toMatch(/<a href="[^"]+" data-anchor="api-en-core-Object3D" class="selected">/);
+    const sitemap = await fs.readFile(path.join(outputDir, 'site', 'sitemap.xml'), 'utf8');
+    expect(sitemap).toContain('<loc>https://example.com/docs/site/api/en/core/Object3D.html</loc>');
+
+    const records = (await fs.readFile(path.join(outputDir, 'corpus.jsonl'), 'utf8'))
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(records).toHaveLength(4);
+    expect(records.find((record) => record.title === 'Object3D').properties).toEqual([
+      expect.objectContaining({ name: 'position', type: 'Vector3' }),
+    ]);
+
+    const manifest = JSON.parse(await fs.readFile(config.MANIFEST_FILE, 'utf8'));
+    const statuses = Object.values(manifest.pages).map((page) => page.status);
+    expect(statuses).toEqual(['ok', 'ok', 'ok', 'ok']);
+  });
+
+  test('a rebuild should report what changed since the previous build', async () => {
+    // Builds on top of the output of the previous test
+    const outputDir = path.join(tmpDir, 'output');
+    await fs.writeFile(
+      path.join(checkout, 'docs', 'api', 'en', 'core', 'Object3D.html'),
+      `${PAGES['api/en/core/Object3D']}<h3>[property:Euler rotation]</h3>`
+    );
+    Object.assign(config, {
+      OUTPUT_DIR: outputDir,
+      ASSET_MODE: 'remote',
+      WHATS_NEW: true,
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { scrapeDocumentation } = require('./scraper');
+      await scrapeDocumentation(null);
+    } finally {
+      log.mockRestore();
+    }
+
+    const changes = await fs.readFile(path.join(outputDir, 'CHANGES.md'), 'utf8');
+    expect(changes).toContain('0 added, 0 removed, 1 changed pages');
+    expect(changes).toContain('- Added properties: `.rotation : Euler`');
+    expect(await fs.readFile(path.join(outputDir, 'CHANGES.html'), 'utf8')).toContain(
+      '<a href="index.html#api-en-core-Object3D">Object3D</a>'
+    );
+
+    const html = await fs.readFile(path.join(outputDir, 'index.html'), 'utf8');
+    expect(html).toContain('<div class="manual" id="whats-new">');
+    expect(html).toContain('<a href="#api-en-core-Object3D">Object3D</a></h3>');
+  });
+
+  test('list-pages and validate should work on the checkout and its build', async () => {
+    Object.assign(config, {
+      OUTPUT_DIR: path.join(tmpDir, 'output'),
+      SECTIONS: ['Core', 'Next Steps'],
+      JSON: true,
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { listPages, validateOutput } = require('./scraper');
+      const pages = await listPages(null);
+      expect(pages.map((page) => page.path)).toEqual([
+        'manual/en/introduction/How-to-update-things',
+        'api/en/core/Object3D',
+      ]);
+      expect(JSON.parse(log.mock.calls.at(-1)[0])).toEqual(pages);
+
+      const summary = await validateOutput();
+      expect(summary.passed).toBe(true);
+      expect(summary.files.map((result) => path.basename(result.file))).toEqual(['index.html']);
+      // The fixture pages are a heading or two
+      expect(summary.counts['short-page']).toBe(3);
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('list-pages should apply a page list and exclude filters', async () => {
+    const pageList = path.join(tmpDir, 'pages.txt');
+    await fs.writeFile(
+      pageList,
+      '# Onboarding\nmanual/en/introduction/Creating-a-scene\napi/en/core/Object3D\n'
+    );
+    Object.assign(config, { PAGE_LIST: pageList, EXCLUDE_TEXT: ['object*'] });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { listPages } = require('./scraper');
+      const pages = await listPages(null);
+      expect(pages.map((page) => page.path)).toEqual(['manual/en/introduction/Creating-a-scene']);
+      expect(log.mock.calls.map(([line]) => line)).toContain(
+        'manual/en/introduction/Creating-a-scene\tManual > Getting Started\tCreating a scene'
+      );
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('bundle example mode should copy the embedded examples next to the manual', async () => {
+    const outputDir = path.join(tmpDir, 'bundled');
+    Object.assign(config, {
+      OUTPUT_DIR: outputDir,
+      FORMATS: 'html,site',
+      EXAMPLE_MODE: 'bundle',
+      SECTIONS: ['Animation / Tracks'],
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      const { scrapeDocumentation } = require('./scraper');
+      await scrapeDocumentation(null);
+      expect(warn.mock.calls.map(([line]) => line)).toContain(
+        '[WARN] 1 example page(s) could not be copied, they link to threejs.org'
+      );
+    } finally {
+      log.mockRestore();
+      warn.mockRestore();
+    }
+
+    const html = await fs.readFile(path.join(outputDir, 'index.html'), 'utf8');
+    expect(html).toContain('src="examples/docs/scenes/geometry-browser.html#BoxGeometry"');
+    // Not in the checkout, so it stays on threejs.org
+    expect(html).toContain('href="https://threejs.org/examples/#webgl_animation_keyframes"');
+    expect(
+      await fs.readFile(path.join(outputDir, 'examples', 'build', 'three.module.js'), 'utf8')
+    ).toBe(EXAMPLE_FILES['build/three.module.js']);
+
+    const page = await fs.readFile(
+      path.join(outputDir, 'site', 'api', 'en', 'animation', 'tracks', 'BooleanKeyframeTrack.html'),
+      'utf8'
+    );
+    expect(page).toContain(
+      'src="../../../../examples/docs/scenes/geometry-browser.html#BoxGeometry"'
+    );
+    await fs.access(
+      path.join(outputDir, 'site', 'examples', 'docs', 'scenes', 'geometry-browser.html')
+    );
+  });
+
+  test('the 404 page should link the bundled assets from the site root', async () => {
+    const outputDir = path.join(tmpDir, 'not-found');
+    Object.assign(config, {
+      OUTPUT_DIR: outputDir,
+      FORMATS: 'site',
+      ASSET_MODE: 'folder',
+      SITE_URL: 'https://example.com/docs',
+      SECTIONS: ['Animation / Tracks'],
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { scrapeDocumentation } = require('./scraper');
+      await scrapeDocumentation(null);
+    } finally {
+      log.mockRestore();
+    }
+
+    const notFound = await fs.readFile(path.join(outputDir, 'site', '404.html'), 'utf8');
+    expect(notFound).toMatch(/href="https:\/\/example\.com\/docs\/site\/assets\/[^"]+\.ico"/);
+    expect(notFound).not.toMatch(/(?:src|href)="assets\//);
+  });
+
+  test('example source panels should show the linked example from the checkout', async () => {
+    const outputDir = path.join(tmpDir, 'sources');
+    const example =
+      '<script type="module">\n  const mixer = new THREE.AnimationMixer();\n</script>';
+    const exampleFile = path.join(checkout, 'examples', 'webgl_animation_keyframes.html');
+    await fs.mkdir(path.dirname(exampleFile), { recursive: true });
+    await fs.writeFile(exampleFile, example);
+    Object.assign(config, {
+      OUTPUT_DIR: outputDir,
+      FORMATS: 'html,jsonl',
+      EXAMPLE_SOURCE: true,
+      SECTIONS: ['Animation / Tracks'],
+    });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { scrapeDocumentation } = require('./scraper');
+      await scrapeDocumentation(null);
+      expect(log.mock.calls.map(([line]) => line)).toContain(
+        '[INFO] Example sources: 1 of 1 examples'
+      );
+    } finally {
+      log.mockRestore();
+      // Other tests expect the example to be missing from the checkout
+      await fs.rm(exampleFile);
+    }
+
+    const html = await fs.readFile(path.join(outputDir, 'index.html'), 'utf8');
+    expect(html).toContain('<summary>Example source: keyframes</summary>');
+    expect(html).toContain(
+      '<code class="highlighted lang-html"><span class="tag">&lt;script</span> <span class="atn">type</span>'
+    );
+    expect(html).toContain('<span class="kwd">const</span> mixer');
+    // The sources are for readers, not for the corpus
+    const corpus = await fs.readFile(path.join(outputDir, 'corpus.jsonl'), 'utf8');
+    expect(corpus).toContain('BooleanKeyframeTrack');
+    expect(corpus).not.toContain('AnimationMixer');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Run Manifest
+ * ============
+ *
+ * @purpose
+ * Records the outcome of every page in a scrape so a failed or interrupted run can
+ * be inspected and resumed.
+ *
+ * @keyFacts
+ * - Stored as JSON on disk and rewritten after every page outcome
+ * - Outcomes: 'ok' (extracted this run), 'failed' (all retries exhausted, rendered as a
+ *   placeholder) and 'skipped' (completed by a previous run, reused on --resume)
+ * - Each entry keeps the error message, attempt count and timing
+ * - Pages are keyed by language and URL ("zh https://threejs.org/docs/#api/en/..."):
+ *   English fallbacks of a translated manual share the English URL but are their own pages
+ * - Writes are serialized so concurrent workers never interleave partial files
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const COMPLETED_STATUSES = ['ok', 'skipped'];
+
+// `link` is a page link of the manual in `link.lang`
+function getPageKey(link) {
+  return `${link.lang} ${link.url}`;
+}
+
+/**
+ * Loads the manifest at `filePath` when resuming, otherwise starts a fresh one.
+ */
+async function createRunManifest(filePath, { resume = false } = {}) {
+  let previous = null;
+  if (resume) {
+    try {
+      previous = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch {
+      previous = null;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const manifest = {
+    startedAt: now,
+    updatedAt: now,
+    resumedFrom: previous?.startedAt || null,
+    pages: { ...(previous?.pages || {}) },
+  };
+
+  let writeQueue = Promise.resolve();
+
+  function save() {
+    manifest.updatedAt = new Date().toISOString();
+    const data = JSON.stringify(manifest, null, 2);
+    writeQueue = writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, data);
+    });
+    return writeQueue;
+  }
+
+  function isCompleted(link) {
+    return COMPLETED_STATUSES.includes(manifest.pages[getPageKey(link)]?.status);
+  }
+
+  function record(link, outcome) {
+    manifest.pages[getPageKey(link)] = {
+      lang: link.lang,
+      url: link.url,
+      title: link.text,
+      path: link.path,
+      status: outcome.status,
+      error: outcome.error || null,
+      attempts: outcome.attempts ?? 0,
+      durationMs: outcome.durationMs ?? 0,
+      finishedAt: new Date().toISOString(),
+    };
+    return save();
+  }
+
+  /**
+   * Counts outcomes for the given links (defaults to every page in the manifest).
+   */
+  function summary(links = null) {
+    const keys = links ? links.map(getPageKey) : Object.keys(manifest.pages);
+    const counts = { total: keys.length, ok: 0, failed: 0, skipped: 0, pending: 0 };
+    const failures = [];
+    for (const key of keys) {
+      const entry = manifest.pages[key];
+      if (!entry) {
+        counts.pending++;
+        continue;
+      }
+      counts[entry.status]++;
+      if (entry.status === 'failed') {
+        failures.push({ lang: entry.lang, url: entry.url, title: entry.title, error: entry.error });
+      }
+    }
+    const failureRate = counts.total > 0 ? counts.failed / counts.total : 0;
+    return { ...counts, failureRate, failures };
+  }
+
+  return { data: manifest, isCompleted, record, save, summary };
+}
+
+module.exports = {
+  createRunManifest,
+};
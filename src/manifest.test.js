@@ -0,0 +1,88 @@
+const { describe, test, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('fs/promises', () => ({
+  mkdir: jest.fn().mockResolvedValue(undefined),
+  writeFile: jest.fn().mockResolvedValue(undefined),
+  readFile: jest.fn().mockRejectedValue(new Error('ENOENT')),
+}));
+
+const fs = require('fs/promises');
+const { createRunManifest } = require('./manifest');
+
+describe('Run Manifest', () => {
+  const good = { lang: 'en', url: 'https://threejs.org/docs/#a', text: 'A', path: 'a' };
+  const bad = { lang: 'en', url: 'https://threejs.org/docs/#b', text: 'B', path: 'b' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('record should persist each outcome to disk', async () => {
+    const manifest = await createRunManifest('.cache/run-manifest.json');
+
+    await manifest.record(good, { status: 'ok', attempts: 1, durationMs: 12 });
+
+    expect(fs.writeFile).toHaveBeenCalledWith('.cache/run-manifest.json', expect.any(String));
+    const saved = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(saved.pages[`en ${good.url}`]).toMatchObject({
+      lang: 'en',
+      url: good.url,
+      title: 'A',
+      path: 'a',
+      status: 'ok',
+      error: null,
+      attempts: 1,
+      durationMs: 12,
+    });
+  });
+
+  test('summary should count outcomes and compute the failure rate', async () => {
+    const manifest = await createRunManifest('manifest.json');
+    await manifest.record(good, { status: 'ok' });
+    await manifest.record(bad, { status: 'failed', error: 'Timeout' });
+
+    const summary = manifest.summary([
+      good,
+      bad,
+      { lang: 'en', url: 'https://threejs.org/docs/#c' },
+    ]);
+
+    expect(summary).toMatchObject({ total: 3, ok: 1, failed: 1, skipped: 0, pending: 1 });
+    expect(summary.failureRate).toBeCloseTo(1 / 3);
+    expect(summary.failures).toEqual([{ lang: 'en', url: bad.url, title: 'B', error: 'Timeout' }]);
+  });
+
+  test('the English fallback of a translation should be a page of its own', async () => {
+    const manifest = await createRunManifest('manifest.json');
+    const fallback = { ...good, lang: 'zh' };
+    await manifest.record(good, { status: 'ok' });
+    await manifest.record(fallback, { status: 'failed', error: 'Timeout' });
+
+    expect(manifest.isCompleted(good)).toBe(true);
+    expect(manifest.isCompleted(fallback)).toBe(false);
+    expect(manifest.summary()).toMatchObject({ total: 2, ok: 1, failed: 1 });
+    expect(manifest.summary([good])).toMatchObject({ total: 1, ok: 1, failed: 0 });
+  });
+
+  test('resume should load completed pages from the previous run', async () => {
+    fs.readFile.mockResolvedValueOnce(
+      JSON.stringify({
+        startedAt: '2024-01-01T00:00:00.000Z',
+        pages: { [`en ${good.url}`]: { status: 'ok' }, [`en ${bad.url}`]: { status: 'failed' } },
+      })
+    );
+
+    const manifest = await createRunManifest('manifest.json', { resume: true });
+
+    expect(manifest.data.resumedFrom).toBe('2024-01-01T00:00:00.000Z');
+    expect(manifest.isCompleted(good)).toBe(true);
+    expect(manifest.isCompleted(bad)).toBe(false);
+  });
+
+  test('a fresh run should ignore the previous manifest', async () => {
+    const manifest = await createRunManifest('manifest.json');
+
+    expect(fs.readFile).not.toHaveBeenCalled();
+    expect(manifest.isCompleted(good)).toBe(false);
+  });
+});
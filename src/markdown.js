@@ -0,0 +1,351 @@
+/**
+ * Markdown Export
+ * ===============
+ *
+ * @purpose
+ * Converts scraped pages to clean Markdown for LLM/RAG ingestion and other tooling
+ * that handles one large HTML file poorly.
+ *
+ * @keyFacts
+ * - Works on link-resolved documentation (see links.js), before assets are bundled
+ * - Layouts: 'pages' (one <docs path>.md per page with YAML front-matter) or 'single'
+ *   (one concatenated manual.md)
+ * - Code blocks are fenced with the language highlightCodeBlocks put in "lang-<name>"
+ * - Tables become GFM tables; permalink "#" links are dropped
+ * - Page and member anchors are kept as <a id="..."></a> so resolved links still land
+ *   on the right page/member; in the 'pages' layout they point at the other .md file
+ * - Relative images and links become absolute threejs.org URLs
+ */
+
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { getDocAnchor, createTargetLookup } = require('./links');
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BLOCKQUOTE',
+  'DD',
+  'DETAILS',
+  'DIV',
+  'DL',
+  'DT',
+  'FIGCAPTION',
+  'FIGURE',
+  'FOOTER',
+  'H1',
+  'H2',
+  'H3',
+  'H4',
+  'H5',
+  'H6',
+  'HEADER',
+  'HR',
+  'IFRAME',
+  'LI',
+  'MAIN',
+  'NAV',
+  'OL',
+  'P',
+  'PRE',
+  'SECTION',
+  'TABLE',
+  'UL',
+]);
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'BUTTON']);
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+// A fence longer than any backtick run inside the code
+function getFence(code, minimum) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+  return '`'.repeat(Math.max(minimum, longest + 1));
+}
+
+function renderInlineCode(code) {
+  const fence = getFence(code, 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+// Indents continuation lines (not the first line, not blank lines) by `prefix`
+function indent(text, prefix) {
+  return text
+    .split('\n')
+    .map((line, i) => (i === 0 || !line ? line : `${prefix}${line}`))
+    .join('\n');
+}
+
+function isBlock(node) {
+  return node.nodeType === 1 && BLOCK_TAGS.has(node.tagName);
+}
+
+/**
+ * Creates an HTML -> Markdown converter. `resolveHref(href)` maps a link target to
+ * its Markdown URL (or null to drop the link); `pageUrl` absolutizes relative URLs.
+ */
+function createConverter({ resolveHref = (href) => href, pageUrl = null } = {}) {
+  function absolutize(url) {
+    if (!url || !pageUrl || url.startsWith('#')) return url;
+    try {
+      return new URL(url, pageUrl).href;
+    } catch {
+      return url;
+    }
+  }
+
+  function renderInline(nodes) {
+    let output = '';
+    for (const node of nodes) {
+      if (node.nodeType === 3) {
+        output += escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+        continue;
+      }
+      if (node.nodeType !== 1 || SKIPPED_TAGS.has(node.tagName)) continue;
+
+      const children = Array.from(node.childNodes);
+      switch (node.tagName) {
+        case 'BR':
+          output += '  \n';
+          break;
+        case 'CODE':
+        case 'KBD':
+        case 'SAMP':
+          output += renderInlineCode(node.textContent.replace(/\s+/g, ' '));
+          break;
+        case 'STRONG':
+        case 'B': {
+          const text = renderInline(children).trim();
+          output += text ? `**${text}**` : '';
+          break;
+        }
+        case 'EM':
+        case 'I': {
+          const text = renderInline(children).trim();
+          output += text ? `*${text}*` : '';
+          break;
+        }
+        case 'IMG': {
+          const src = absolutize(node.getAttribute('src'));
+          if (src) output += `![${escapeMarkdown(node.getAttribute('alt') || '')}](${src})`;
+          break;
+        }
+        case 'A':
+          output += renderLink(node, children);
+          break;
+        default:
+          output += renderInline(children);
+      }
+    }
+    return output;
+  }
+
+  function renderLink(node, children) {
+    if (node.classList.contains('permalink')) return '';
+    const text = renderInline(children).trim();
+    const anchor = node.id ? `<a id="${node.id}"></a>` : '';
+    const href = node.getAttribute('href');
+    // Member headings link to themselves; keep just the anchor
+    if (!href || !text || (node.id && href === `#${node.id}`)) return anchor + text;
+    const target = resolveHref(href.startsWith('#') ? href : absolutize(href));
+    if (!target) return anchor + text;
+    return `${anchor}[${text}](${target})`;
+  }
+
+  function renderList(list) {
+    const ordered = list.tagName === 'OL';
+    const start = parseInt(list.getAttribute('start'), 10) || 1;
+    return Array.from(list.children)
+      .filter((item) => item.tagName === 'LI')
+      .map((item, i) => {
+        const marker = ordered ? `${start + i}. ` : '- ';
+        const body = renderBlocks(Array.from(item.childNodes)).join('\n\n');
+        return marker + indent(body, ' '.repeat(marker.length));
+      })
+      .join('\n');
+  }
+
+  function renderCell(cell) {
+    const blocks = renderBlocks(Array.from(cell.childNodes));
+    return blocks.join('<br>').replace(/\n/g, ' ').replace(/\|/g, '\\|').trim();
+  }
+
+  function renderTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).filter(
+      (row) => row.closest('table') === table
+    );
+    if (rows.length === 0) return '';
+    const cells = rows.map((row) =>
+      Array.from(row.children)
+        .filter((cell) => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(renderCell)
+    );
+    const width = Math.max(...cells.map((row) => row.length));
+    const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+    const [header, ...body] = cells.map(pad);
+    return [
+      `| ${header.join(' | ')} |`,
+      `| ${Array(width).fill('---').join(' | ')} |`,
+      ...body.map((row) => `| ${row.join(' | ')} |`),
+    ].join('\n');
+  }
+
+  function renderCodeBlock(pre) {
+    const code = pre.querySelector('code') || pre;
+    const className = `${code.className} ${pre.className}`;
+    const language = className.match(/\blang(?:uage)?-([\w+-]+)/)?.[1] || '';
+    const text = code.textContent.replace(/\n+$/, '');
+    const fence = getFence(text, 3);
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  function renderBlock(node) {
+    const children = Array.from(node.childNodes);
+    switch (node.tagName) {
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6': {
+        const text = renderInline(children).trim();
+        return text ? `${'#'.repeat(Number(node.tagName[1]))} ${text}` : '';
+      }
+      case 'P':
+      case 'DT':
+      case 'FIGCAPTION':
+        return renderInline(children).trim();
+      case 'PRE':
+        return renderCodeBlock(node);
+      case 'UL':
+      case 'OL':
+        return renderList(node);
+      case 'TABLE':
+        return renderTable(node);
+      case 'HR':
+        return '---';
+      case 'BLOCKQUOTE':
+        return renderBlocks(children)
+          .join('\n\n')
+          .split('\n')
+          .map((line) => (line ? `> ${line}` : '>'))
+          .join('\n');
+      case 'IFRAME': {
+        const src = absolutize(node.getAttribute('src'));
+        return src ? `[${escapeMarkdown(node.getAttribute('title') || src)}](${src})` : '';
+      }
+      default:
+        return renderBlocks(children).join('\n\n');
+    }
+  }
+
+  // Renders sibling nodes, grouping runs of inline content into paragraphs
+  function renderBlocks(nodes) {
+    const blocks = [];
+    let inline = [];
+    const flush = () => {
+      const text = renderInline(inline).trim();
+      if (text) blocks.push(text);
+      inline = [];
+    };
+    for (const node of nodes) {
+      if (node.nodeType === 1 && SKIPPED_TAGS.has(node.tagName)) continue;
+      if (!isBlock(node)) {
+        inline.push(node);
+        continue;
+      }
+      flush();
+      const block = renderBlock(node);
+      if (block) blocks.push(block);
+    }
+    flush();
+    return blocks;
+  }
+
+  return {
+    convert(html) {
+      const fragment = JSDOM.fragment(html);
+      return renderBlocks(Array.from(fragment.childNodes)).join('\n\n');
+    },
+  };
+}
+
+/**
+ * Converts an HTML string to Markdown (see createConverter for the options).
+ */
+function convertToMarkdown(html, options = {}) {
+  return createConverter(options).convert(html);
+}
+
+function getMarkdownFile(doc) {
+  return `${doc.path || getDocAnchor(doc)}.md`;
+}
+
+// Maps resolved in-manual links (#anchor or #anchor.member) to their Markdown target
+function createHrefResolver(documentation, layout, baseUrl) {
+  const findTarget = createTargetLookup(documentation);
+
+  return (currentDoc) => (href) => {
+    if (!href.startsWith('#')) return href;
+    const target = findTarget(href);
+    if (!target) return `${baseUrl}/docs/index.html${href}`;
+    if (layout === 'single') return href;
+
+    const from = path.posix.dirname(getMarkdownFile(currentDoc));
+    const file = path.posix.relative(from, getMarkdownFile(target));
+    return href === `#${getDocAnchor(target)}` ? file : `${file}${href}`;
+  };
+}
+
+function convertPage(doc, resolver, getPageUrl) {
+  const markdown = convertToMarkdown(doc.content || '', {
+    resolveHref: resolver(doc),
+    pageUrl: getPageUrl(doc),
+  });
+  const heading = /^# /m.test(markdown) ? '' : `# ${escapeMarkdown(doc.title)}\n\n`;
+  return `<a id="${getDocAnchor(doc)}"></a>\n\n${heading}${markdown}\n`;
+}
+
+function generateFrontMatter(doc) {
+  const fields = {
+    title: doc.title,
+    section: doc.section || 'Reference',
+    path: doc.path,
+    source: doc.url,
+  };
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+/**
+ * Generates the Markdown export of link-resolved `documentation`.
+ * Returns [{ file, content }] with files relative to the output directory.
+ */
+function generateMarkdown(documentation, options = {}) {
+  const layout = options.layout || 'pages';
+  const baseUrl = options.baseUrl || 'https://threejs.org';
+  const getPageUrl = options.getPageUrl || (() => null);
+  const resolver = createHrefResolver(documentation, layout, baseUrl);
+
+  if (layout === 'single') {
+    const title = options.title || 'Three.js Documentation';
+    const pages = documentation.map((doc) => convertPage(doc, resolver, getPageUrl));
+    return [{ file: 'manual.md', content: `# ${title}\n\n${pages.join('\n---\n\n')}` }];
+  }
+
+  return documentation.map((doc) => ({
+    file: path.posix.join('markdown', getMarkdownFile(doc)),
+    content: generateFrontMatter(doc) + convertPage(doc, resolver, getPageUrl),
+  }));
+}
+
+module.exports = {
+  convertToMarkdown,
+  generateMarkdown,
+};
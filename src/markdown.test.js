@@ -0,0 +1,119 @@
+const { describe, test, expect } = require('@jest/globals');
+const { convertToMarkdown, generateMarkdown } = require('./markdown');
+
+const DOCUMENTATION = [
+  {
+    title: 'Object3D',
+    path: 'api/en/core/Object3D',
+    url: 'https://threejs.org/docs/index.html#api/en/core/Object3D',
+    section: 'Reference',
+    anchor: 'api-en-core-Object3D',
+    content:
+      '<h1>Object3D</h1><p>See <a href="#api-en-math-Vector3.x">Vector3.x</a> and ' +
+      '<a href="https://threejs.org/docs/index.html#api/en/objects/Mesh" class="external">Mesh</a>.</p>' +
+      '<h3><a class="permalink links" href="#api-en-core-Object3D.position">#</a> .' +
+      '<a class="links" href="#api-en-core-Object3D.position" id="api-en-core-Object3D.position">position</a>' +
+      ' : <a class="param links" href="#api-en-math-Vector3">Vector3</a></h3>',
+  },
+  {
+    title: 'Vector3',
+    path: 'api/en/math/Vector3',
+    url: 'https://threejs.org/docs/index.html#api/en/math/Vector3',
+    section: 'Math',
+    anchor: 'api-en-math-Vector3',
+    content: '<p>A 3D vector.</p>',
+  },
+];
+
+describe('Markdown Export', () => {
+  test('convertToMarkdown should convert headings, paragraphs and inline formatting', () => {
+    const markdown = convertToMarkdown(
+      '<h1>Creating a scene</h1>\n<p>Use <strong>three.js</strong> to <em>render</em> a <code>Scene</code>.<br>Next line</p>'
+    );
+
+    expect(markdown).toBe(
+      '# Creating a scene\n\nUse **three.js** to *render* a `Scene`.  \nNext line'
+    );
+  });
+
+  test('convertToMarkdown should fence code blocks with their language', () => {
+    const markdown = convertToMarkdown(
+      '<pre><code class="prettyprint lang-js">const a = `b`;\nrender();\n</code></pre>' +
+        '<pre class="prettyprint lang-html">&lt;div&gt;&lt;/div&gt;</pre>'
+    );
+
+    expect(markdown).toBe('```js\nconst a = `b`;\nrender();\n```\n\n```html\n<div></div>\n```');
+  });
+
+  test('convertToMarkdown should convert tables to GFM tables', () => {
+    const markdown = convertToMarkdown(
+      '<table><tr><th>Name</th><th>Type</th></tr>' +
+        '<tr><td>a|b</td><td><code>Number</code></td></tr><tr><td>c</td></tr></table>'
+    );
+
+    expect(markdown).toBe('| Name | Type |\n| --- | --- |\n| a\\|b | `Number` |\n| c |  |');
+  });
+
+  test('convertToMarkdown should convert nested lists', () => {
+    const markdown = convertToMarkdown(
+      '<ol><li>First<ul><li>Nested</li></ul></li><li><p>Second</p><pre><code>x();</code></pre></li></ol>'
+    );
+
+    expect(markdown).toBe('1. First\n\n   - Nested\n2. Second\n\n   ```\n   x();\n   ```');
+  });
+
+  test('convertToMarkdown should absolutize relative images and links', () => {
+    const markdown = convertToMarkdown(
+      '<p><img src="resources/srgb_gamut.png" alt="sRGB"> <a href="../examples/#webgl_animation">demo</a></p>',
+      { pageUrl: 'https://threejs.org/docs/manual/en/introduction/Color-management.html' }
+    );
+
+    expect(markdown).toBe(
+      '![sRGB](https://threejs.org/docs/manual/en/introduction/resources/srgb_gamut.png) ' +
+        '[demo](https://threejs.org/docs/manual/en/examples/#webgl_animation)'
+    );
+  });
+
+  test('convertToMarkdown should escape Markdown syntax in text', () => {
+    expect(convertToMarkdown('<p>a_b * [c]</p>')).toBe('a\\_b \\* \\[c\\]');
+  });
+
+  test('generateMarkdown should write one file per page with front-matter', () => {
+    const files = generateMarkdown(DOCUMENTATION);
+
+    expect(files.map((file) => file.file)).toEqual([
+      'markdown/api/en/core/Object3D.md',
+      'markdown/api/en/math/Vector3.md',
+    ]);
+    expect(files[0].content).toBe(
+      [
+        '---',
+        'title: "Object3D"',
+        'section: "Reference"',
+        'path: "api/en/core/Object3D"',
+        'source: "https://threejs.org/docs/index.html#api/en/core/Object3D"',
+        '---',
+        '',
+        '<a id="api-en-core-Object3D"></a>',
+        '',
+        '# Object3D',
+        '',
+        'See [Vector3.x](../math/Vector3.md#api-en-math-Vector3.x) and ' +
+          '[Mesh](https://threejs.org/docs/index.html#api/en/objects/Mesh).',
+        '',
+        '### .<a id="api-en-core-Object3D.position"></a>position : [Vector3](../math/Vector3.md)',
+        '',
+      ].join('\n')
+    );
+    expect(files[1].content).toContain('# Vector3\n\nA 3D vector.');
+  });
+
+  test('generateMarkdown should concatenate pages in the single layout', () => {
+    const [file] = generateMarkdown(DOCUMENTATION, { layout: 'single', title: 'Manual' });
+
+    expect(file.file).toBe('manual.md');
+    expect(file.content).toMatch(/^# Manual\n\n<a id="api-en-core-Object3D"><\/a>\n\n# Object3D/);
+    expect(file.content).toContain('[Vector3.x](#api-en-math-Vector3.x)');
+    expect(file.content).toContain('\n---\n\n<a id="api-en-math-Vector3"></a>');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Doc Markup
+ * ==========
+ *
+ * @purpose
+ * Expands the markup of three.js doc sources ([page:Vector3 position], [name], ...)
+ * into the HTML the docs' own page.js produces, for content taken before that script
+ * has run or read from raw source files.
+ *
+ * @keyFacts
+ * - Tokens are [kind] or [kind:target title]; the title is optional and defaults to
+ *   the target. Unknown kinds and malformed tokens are left untouched
+ * - [name] / [path]: the page name (Object3D) and its source path (core/Object3D)
+ * - [page:Target title]: link to a page or member; [page:.member] is on the current page
+ * - [member|property|method:Type name]( signature ): member heading with a permalink,
+ *   an id="name" anchor, the expanded signature and a link to the type
+ * - [param:Type name]: "name : Type"; primitive types are not linked
+ * - [link:url title] and [example:name title]: external links opened in a new tab
+ * - *word* and `code` become <strong class="inline"> and <code>, as in page.js
+ * - Links get ./index.html#<docs path> when the page index knows the target page
+ */
+
+const TOKEN_PATTERN = /\[(\w+)(?::([^\]]*))?\]/g;
+const SIGNATURE_PATTERN = /^\s*(\(.*\))?/;
+const MARKUP_PATTERN =
+  /\[(?:name|path|(?:page|member|property|method|param|link|example):[^\]]+)\]/i;
+
+const MEMBER_KINDS = new Set(['member', 'property', 'method']);
+
+const PRIMITIVE_TYPES = new Set(
+  [
+    'undefined',
+    'null',
+    'this',
+    'Boolean',
+    'Object',
+    'Array',
+    'Number',
+    'String',
+    'Integer',
+    'Float',
+    'TypedArray',
+    'ArrayBuffer',
+  ].map((type) => type.toLowerCase())
+);
+
+// Allowed characters of token targets, mirroring the patterns in page.js
+// Titles are plain text; markup inside them means the token is not doc markup
+const TITLE_PATTERN = /^[^<>"]+$/;
+
+const TARGETS = {
+  page: /^\.?[\w.]+$/,
+  member: /^\w+$/,
+  param: /^[\w.]+$/,
+  link: /^[\w:/.\-()?#=!~]+$/,
+  example: /^\w+$/,
+};
+
+/**
+ * Builds the page index used to resolve links: page name -> docs path. It has no
+ * prototype, so pages named constructor or toString are indexed like any other.
+ */
+function createPageIndex(links) {
+  const pages = Object.create(null);
+  for (const link of links) {
+    if (link.text && link.path && !(link.text in pages)) {
+      pages[link.text] = link.path;
+    }
+  }
+  return pages;
+}
+
+/**
+ * Derives [name] and [path] for a docs path the way page.js does:
+ * api/en/core/Object3D -> Object3D, core/Object3D;
+ * manual/en/introduction/Creating-a-scene -> "Creating a scene", en/introduction/...
+ */
+function getPageContext(docPath, pages = Object.create(null)) {
+  const [section, ...rest] = docPath.split('/');
+  const fileName = rest[rest.length - 1] || section;
+  if (section === 'manual') {
+    return { name: fileName.replace(/-/g, ' '), path: rest.join('/'), pages };
+  }
+  return { name: fileName, path: rest.slice(1).join('/'), pages };
+}
+
+function isMarkup(html) {
+  return MARKUP_PATTERN.test(html);
+}
+
+// Like getPageURL in the docs' index.html: "Object3D.position" -> api/en/core/Object3D.position
+function resolveFragment(fragment, pages) {
+  const [pageName, ...member] = fragment.split('.');
+  const pagePath = Object.hasOwn(pages, pageName) ? pages[pageName] : null;
+  if (!pagePath) return null;
+  return member.length > 0 ? `${pagePath}.${member.join('.')}` : pagePath;
+}
+
+function renderLink(fragment, text, context, attributes = {}) {
+  const resolved = resolveFragment(fragment, context.pages);
+  const attrs = {
+    class: 'links',
+    ...(resolved ? { href: `./index.html#${resolved}` } : {}),
+    'data-fragment': fragment,
+    ...attributes,
+  };
+  const html = Object.entries(attrs)
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join('');
+  return `<a${html}>${text}</a>`;
+}
+
+function renderType(type, context) {
+  if (PRIMITIVE_TYPES.has(type.toLowerCase())) {
+    return `<span class="param">${type}</span>`;
+  }
+  return renderLink(type, type, context, { class: 'param links' });
+}
+
+// Splits "Vector3 position" into ["Vector3", "position"]; the title defaults to the target
+function splitArgs(args) {
+  const match = args.match(/^(\S+)(?:\s+([\s\S]+))?$/);
+  if (!match) return null;
+  return [match[1], match[2] ?? match[1]];
+}
+
+const RENDERERS = {
+  page([target, title], context) {
+    const fragment = target.startsWith('.') ? `${context.name}${target}` : target;
+    return renderLink(fragment, title, context, { title: fragment });
+  },
+
+  member([type, member], context, signature) {
+    const fragment = `${context.name}.${member}`;
+    const permalink = renderLink(fragment, '#', context, {
+      class: 'permalink links',
+      title: fragment,
+    });
+    const anchor = renderLink(fragment, member, context, { id: member });
+    const params = signature ? ` ${expandTokens(signature, context)}` : '';
+    return `${permalink} .${anchor}${params} : ${renderType(type, context)}`;
+  },
+
+  param: ([type, name], context) => `${name} : ${renderType(type, context)}`,
+
+  link: ([url, title]) => `<a href="${url}" target="_blank">${title}</a>`,
+
+  example: ([name, title]) => `<a href="../examples/#${name}" target="_blank">${title}</a>`,
+};
+RENDERERS.property = RENDERERS.member;
+RENDERERS.method = RENDERERS.member;
+
+function expandTokens(text, context) {
+  let output = '';
+  let lastIndex = 0;
+  const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [token, rawKind, rawArgs] = match;
+    const kind = rawKind.toLowerCase();
+    const render = RENDERERS[kind];
+    const isMember = MEMBER_KINDS.has(kind);
+    const targetPattern = TARGETS[isMember ? 'member' : kind];
+
+    const args = render && rawArgs ? splitArgs(rawArgs.trim()) : null;
+    if (!args || !targetPattern.test(args[0]) || !TITLE_PATTERN.test(args[1])) continue;
+
+    let end = match.index + token.length;
+    let signature = null;
+    if (isMember) {
+      // The signature runs to the last ")" on the line, like page.js
+      const [consumed, group] = text.slice(end).match(SIGNATURE_PATTERN);
+      signature = group || null;
+      end += consumed.length;
+    }
+
+    output += text.slice(lastIndex, match.index) + render(args, context, signature);
+    lastIndex = end;
+    pattern.lastIndex = end;
+  }
+
+  return output + text.slice(lastIndex);
+}
+
+/**
+ * Expands all doc markup in `html` (the body of a doc page).
+ * `context` is { name, path, pages } as returned by getPageContext.
+ */
+function expandMarkup(html, context) {
+  // [name] and [path] are substituted first so they can appear inside other tokens
+  const text = html
+    .replace(/\[name\]/gi, () => context.name)
+    .replace(/\[path\]/gi, () => context.path);
+  return expandTokens(text, context)
+    .replace(/\*([\u4e00-\u9fa5\w\-()\\]+)\*/g, '<strong class="inline">$1</strong>')
+    .replace(/`(.*?)`/gs, '<code class="notranslate" translate="no">$1</code>');
+}
+
+module.exports = {
+  createPageIndex,
+  getPageContext,
+  isMarkup,
+  expandMarkup,
+};
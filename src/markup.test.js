@@ -0,0 +1,153 @@
+const { describe, test, expect } = require('@jest/globals');
+const { createPageIndex, getPageContext, isMarkup, expandMarkup } = require('./markup');
+
+const PAGES = createPageIndex([
+  { text: 'Object3D', path: 'api/en/core/Object3D' },
+  { text: 'Vector3', path: 'api/en/math/Vector3' },
+  { text: 'Quaternion', path: 'api/en/math/Quaternion' },
+]);
+
+const CONTEXT = getPageContext('api/en/core/Object3D', PAGES);
+
+// One fixture per token type: [description, source markup, expected HTML]
+const FIXTURES = [
+  ['[name]', '<h1>[name]</h1>', '<h1>Object3D</h1>'],
+  [
+    '[path]',
+    '[link:https://github.com/mrdoob/three.js/blob/master/src/[path].js src/[path].js]',
+    '<a href="https://github.com/mrdoob/three.js/blob/master/src/core/Object3D.js" target="_blank">src/core/Object3D.js</a>',
+  ],
+  [
+    '[page:Target]',
+    '[page:Vector3]',
+    '<a class="links" href="./index.html#api/en/math/Vector3" data-fragment="Vector3" title="Vector3">Vector3</a>',
+  ],
+  [
+    '[page:Target title]',
+    '[page:Vector3 a vector]',
+    '<a class="links" href="./index.html#api/en/math/Vector3" data-fragment="Vector3" title="Vector3">a vector</a>',
+  ],
+  [
+    '[page:Class.member title]',
+    '[page:Object3D.position position]',
+    '<a class="links" href="./index.html#api/en/core/Object3D.position" data-fragment="Object3D.position" title="Object3D.position">position</a>',
+  ],
+  [
+    '[page:.member title] on the current page',
+    '[page:.quaternion rotation]',
+    '<a class="links" href="./index.html#api/en/core/Object3D.quaternion" data-fragment="Object3D.quaternion" title="Object3D.quaternion">rotation</a>',
+  ],
+  [
+    '[page:Unknown] without a known page',
+    '[page:Mesh]',
+    '<a class="links" data-fragment="Mesh" title="Mesh">Mesh</a>',
+  ],
+  [
+    '[property:Type name]',
+    '<h3>[property:Vector3 position]</h3>',
+    '<h3><a class="permalink links" href="./index.html#api/en/core/Object3D.position" data-fragment="Object3D.position" title="Object3D.position">#</a> .<a class="links" href="./index.html#api/en/core/Object3D.position" data-fragment="Object3D.position" id="position">position</a> : <a class="param links" href="./index.html#api/en/math/Vector3" data-fragment="Vector3">Vector3</a></h3>',
+  ],
+  [
+    '[member:Type name] with a primitive type',
+    '<h3>[member:Boolean visible]</h3>',
+    '<h3><a class="permalink links" href="./index.html#api/en/core/Object3D.visible" data-fragment="Object3D.visible" title="Object3D.visible">#</a> .<a class="links" href="./index.html#api/en/core/Object3D.visible" data-fragment="Object3D.visible" id="visible">visible</a> : <span class="param">Boolean</span></h3>',
+  ],
+  [
+    '[method:Type name]( signature )',
+    '<h3>[method:this applyQuaternion]( [param:Quaternion q] )</h3>',
+    '<h3><a class="permalink links" href="./index.html#api/en/core/Object3D.applyQuaternion" data-fragment="Object3D.applyQuaternion" title="Object3D.applyQuaternion">#</a> .<a class="links" href="./index.html#api/en/core/Object3D.applyQuaternion" data-fragment="Object3D.applyQuaternion" id="applyQuaternion">applyQuaternion</a> ( q : <a class="param links" href="./index.html#api/en/math/Quaternion" data-fragment="Quaternion">Quaternion</a> ) : <span class="param">this</span></h3>',
+  ],
+  [
+    '[param:Type name]',
+    '[param:Vector3 vector]',
+    'vector : <a class="param links" href="./index.html#api/en/math/Vector3" data-fragment="Vector3">Vector3</a>',
+  ],
+  [
+    '[param:Type] with a primitive type',
+    '[param:Float]',
+    'Float : <span class="param">Float</span>',
+  ],
+  [
+    '[link:url]',
+    '[link:https://threejs.org/examples/]',
+    '<a href="https://threejs.org/examples/" target="_blank">https://threejs.org/examples/</a>',
+  ],
+  [
+    '[link:url title]',
+    '[link:https://en.wikipedia.org/wiki/Euler_angles Euler angles]',
+    '<a href="https://en.wikipedia.org/wiki/Euler_angles" target="_blank">Euler angles</a>',
+  ],
+  [
+    '[example:name]',
+    '[example:webgl_animation_skinning_blending]',
+    '<a href="../examples/#webgl_animation_skinning_blending" target="_blank">webgl_animation_skinning_blending</a>',
+  ],
+  [
+    '[example:name title]',
+    '[example:webgl_animation_keyframes keyframes]',
+    '<a href="../examples/#webgl_animation_keyframes" target="_blank">keyframes</a>',
+  ],
+  ['*word*', 'This is *not* a copy.', 'This is <strong class="inline">not</strong> a copy.'],
+  [
+    '`code`',
+    'Call `object.updateMatrix()` first.',
+    'Call <code class="notranslate" translate="no">object.updateMatrix()</code> first.',
+  ],
+];
+
+describe('Doc Markup', () => {
+  test.each(FIXTURES)('expandMarkup should expand %s', (_description, source, expected) => {
+    expect(expandMarkup(source, CONTEXT)).toBe(expected);
+  });
+
+  test('expandMarkup should leave unknown and malformed tokens untouched', () => {
+    const source = 'array[0], [foo:bar], [page:], [page:Not a<b>target</b>] and [member:Foo-Bar x]';
+    expect(expandMarkup(source, CONTEXT)).toBe(source);
+  });
+
+  test('getPageContext should derive [name] and [path] like page.js', () => {
+    expect(getPageContext('api/en/core/Object3D')).toMatchObject({
+      name: 'Object3D',
+      path: 'core/Object3D',
+    });
+    expect(getPageContext('examples/zh/controls/OrbitControls')).toMatchObject({
+      name: 'OrbitControls',
+      path: 'controls/OrbitControls',
+    });
+    expect(getPageContext('manual/en/introduction/Creating-a-scene')).toMatchObject({
+      name: 'Creating a scene',
+      path: 'en/introduction/Creating-a-scene',
+    });
+  });
+
+  test('createPageIndex should keep the first page of each name', () => {
+    const pages = createPageIndex([
+      { text: 'Loader', path: 'api/en/loaders/Loader' },
+      { text: 'Loader', path: 'api/en/loaders/managers/Loader' },
+    ]);
+    expect(pages).toEqual({ Loader: 'api/en/loaders/Loader' });
+  });
+
+  test('pages named like Object.prototype members should resolve like other pages', () => {
+    const context = getPageContext(
+      'api/en/core/Object3D',
+      createPageIndex([{ text: 'constructor', path: 'api/en/core/constructor' }])
+    );
+
+    expect(expandMarkup('[page:constructor]', context)).toBe(
+      '<a class="links" href="./index.html#api/en/core/constructor" data-fragment="constructor" title="constructor">constructor</a>'
+    );
+    expect(expandMarkup('[page:toString]', context)).toBe(
+      '<a class="links" data-fragment="toString" title="toString">toString</a>'
+    );
+    expect(expandMarkup('[page:toString]', getPageContext('api/en/core/Object3D'))).toBe(
+      '<a class="links" data-fragment="toString" title="toString">toString</a>'
+    );
+  });
+
+  test('isMarkup should only detect doc markup tokens', () => {
+    expect(isMarkup('<h1>[name]</h1>')).toBe(true);
+    expect(isMarkup('See [page:Object3D].')).toBe(true);
+    expect(isMarkup('<a class="links" data-fragment="Object3D">Object3D</a> array[0]')).toBe(false);
+  });
+});
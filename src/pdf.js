@@ -0,0 +1,164 @@
+/**
+ * PDF Export
+ * ==========
+ *
+ * @purpose
+ * Renders the documentation as a printable PDF reference with the Puppeteer browser
+ * the scraper already launches.
+ *
+ * @keyFacts
+ * - Works on link-resolved documentation; the print document keeps the #anchor ids of
+ *   the single-file manual, so in-manual links stay clickable in the PDF
+ * - Layout: title page, table of contents (the panel's category tree, see toc.js), then
+ *   one section per entry starting on a new page (one class per page run)
+ * - Headings are shifted down one level under an h1 per category (Reference › Core), so
+ *   Chrome's document outline (bookmarks) reads Category > Page > Properties > member
+ * - Print CSS hides permalinks and interactive bits and wraps long code lines
+ * - Images should be inlined (asset bundler 'inline' mode) before rendering, so pages
+ *   read from a local checkout don't depend on the network
+ */
+
+const { getDocAnchor } = require('./links');
+const { escapeHTML } = require('./html');
+const { groupBySection, buildTocTree } = require('./toc');
+const { getHighlightStylesheet } = require('./highlight');
+
+const PRINT_STYLESHEET = `
+@page { size: A4; margin: 18mm 16mm 20mm; }
+html { font-family: 'Inter', 'Helvetica Neue', Arial, sans-serif; font-size: 10.5pt; line-height: 1.5; color: #111; }
+body { margin: 0; }
+h1, h2, h3, h4, h5, h6 { line-height: 1.25; break-after: avoid; }
+.cover { display: flex; flex-direction: column; justify-content: center; height: 240mm; }
+.cover h1 { font-size: 32pt; margin: 0; }
+.cover p { font-size: 14pt; color: #555; }
+.toc { break-before: page; }
+.toc ol { list-style: none; padding-left: 0; }
+.toc ol ol { padding-left: 1.5em; columns: 2; }
+.toc a { color: inherit; text-decoration: none; }
+.sectionTitle { break-before: page; font-size: 24pt; }
+.manual { break-before: page; }
+.sectionTitle + .manual { break-before: auto; }
+.manual h4 { font-family: 'Roboto Mono', monospace; font-size: 10pt; font-weight: 500; }
+a { color: #087ee8; }
+code, pre { font-family: 'Roboto Mono', monospace; font-size: 9pt; }
+pre { white-space: pre-wrap; word-wrap: break-word; padding: 8px; background: #f5f5f5; border-radius: 4px; break-inside: avoid; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 4px 6px; vertical-align: top; }
+tr { break-inside: avoid; }
+img { max-width: 100%; break-inside: avoid; }
+.param { color: #3e7b00; }
+.permalink, #button, button, script { display: none; }
+.placeholder, .fallbackNotice { padding: 8px 12px; border-left: 4px solid #f0ad4e; }
+`;
+
+const FOOTER_TEMPLATE = `
+<div style="width: 100%; font-size: 8px; color: #888; padding: 0 16mm; display: flex; justify-content: space-between;">
+  <span class="title"></span>
+  <span><span class="pageNumber"></span> / <span class="totalPages"></span></span>
+</div>
+`;
+
+// h1 -> h2, ..., h5 -> h6 (h6 stays)
+function demoteHeadings(html) {
+  return html.replace(/<(\/?)h([1-5])\b/gi, (_match, slash, level) => {
+    return `<${slash}h${Number(level) + 1}`;
+  });
+}
+
+// Live examples can't run on paper; link to them instead
+function replaceIframes(html) {
+  return html.replace(/<iframe\b[^>]*\bsrc="([^"]*)"[^>]*>\s*<\/iframe>/gi, (_match, src) => {
+    return `<p><a href="${src}">Open the live example</a></p>`;
+  });
+}
+
+function generateContents(tree) {
+  const renderNode = (node) => `
+      <li>
+        ${escapeHTML(node.title)}
+        <ol>
+          ${node.docs
+            .map((doc) => `<li><a href="#${getDocAnchor(doc)}">${escapeHTML(doc.title)}</a></li>`)
+            .join('')}
+          ${node.children.map(renderNode).join('')}
+        </ol>
+      </li>`;
+  return tree.map(renderNode).join('');
+}
+
+/**
+ * Generates the print document for link-resolved (and asset-inlined) `documentation`.
+ */
+function generatePrintHTML(documentation, options = {}) {
+  const title = options.title || 'Three.js Documentation';
+  const lang = options.lang || 'en';
+  const sections = groupBySection(documentation);
+
+  const body = sections
+    .map(
+      ({ categories, docs }) => `
+      <h1 class="sectionTitle">${escapeHTML(categories.join(' › '))}</h1>
+      ${docs
+        .map(
+          (doc) => `
+        <div class="manual" id="${getDocAnchor(doc)}">
+          ${demoteHeadings(replaceIframes(doc.content || ''))}
+        </div>
+      `
+        )
+        .join('')}
+    `
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+  <head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(title)}</title>
+    <style>${PRINT_STYLESHEET}${getHighlightStylesheet({ darkMode: false })}</style>
+  </head>
+  <body>
+    <div class="cover">
+      <h1>${escapeHTML(title)}</h1>
+      ${options.subtitle ? `<p>${escapeHTML(options.subtitle)}</p>` : ''}
+    </div>
+    <nav class="toc">
+      <h2>Contents</h2>
+      <ol>${generateContents(buildTocTree(documentation))}
+      </ol>
+    </nav>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Prints `html` to `outputPath` on a new page of `browser`.
+ */
+async function renderPdf(browser, html, outputPath, { timeout = 30000 } = {}) {
+  const page = await browser.newPage();
+  try {
+    await page.setContent(html, { waitUntil: 'load', timeout });
+    await page.pdf({
+      path: outputPath,
+      format: 'A4',
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: FOOTER_TEMPLATE,
+      outline: true,
+      tagged: true,
+      timeout,
+    });
+  } finally {
+    await page.close();
+  }
+}
+
+module.exports = {
+  generatePrintHTML,
+  renderPdf,
+};
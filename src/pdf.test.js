@@ -0,0 +1,72 @@
+const { describe, test, expect } = require('@jest/globals');
+const { generatePrintHTML, renderPdf } = require('./pdf');
+
+const DOCUMENTATION = [
+  {
+    title: 'Creating a scene',
+    section: 'Getting Started',
+    anchor: 'manual-en-introduction-Creating-a-scene',
+    content: '<h1>Creating a scene</h1><iframe src="https://threejs.org/examples/#webgl"></iframe>',
+  },
+  {
+    title: 'Object3D',
+    section: 'Core',
+    anchor: 'api-en-core-Object3D',
+    content: '<h1>Object3D</h1><h2>Properties</h2><h3>.position</h3>',
+  },
+  {
+    title: 'Raycaster',
+    section: 'Core',
+    anchor: 'api-en-core-Raycaster',
+    content: '<h1>Raycaster</h1>',
+  },
+];
+
+describe('PDF Export', () => {
+  test('generatePrintHTML should lay out a cover, contents and one section per entry', () => {
+    const html = generatePrintHTML(DOCUMENTATION, {
+      title: 'Three.js <Docs>',
+      subtitle: 'English',
+    });
+
+    expect(html).toContain('<h1>Three.js &lt;Docs&gt;</h1>');
+    expect(html).toContain('<p>English</p>');
+    expect(html).toContain(
+      '<li><a href="#api-en-core-Object3D">Object3D</a></li>' +
+        '<li><a href="#api-en-core-Raycaster">Raycaster</a></li>'
+    );
+    expect(html.match(/<h1 class="sectionTitle">/g)).toHaveLength(2);
+    expect(html).toMatch(
+      /<h1 class="sectionTitle">Core<\/h1>\s*<div class="manual" id="api-en-core-Object3D">/
+    );
+  });
+
+  test('generatePrintHTML should nest page headings under their section for the outline', () => {
+    const html = generatePrintHTML(DOCUMENTATION);
+
+    expect(html).toContain('<h2>Object3D</h2><h3>Properties</h3><h4>.position</h4>');
+    expect(html).not.toContain('<h1>Object3D</h1>');
+    expect(html).toContain(
+      '<p><a href="https://threejs.org/examples/#webgl">Open the live example</a></p>'
+    );
+    expect(html).not.toContain('<iframe');
+  });
+
+  test('renderPdf should print with an outline and close the page', async () => {
+    const page = {
+      setContent: jest.fn().mockResolvedValue(undefined),
+      pdf: jest.fn().mockRejectedValue(new Error('Printing failed')),
+      close: jest.fn().mockResolvedValue(undefined),
+    };
+    const browser = { newPage: jest.fn().mockResolvedValue(page) };
+
+    await expect(renderPdf(browser, '<p>x</p>', '/tmp/manual.pdf')).rejects.toThrow(
+      'Printing failed'
+    );
+    expect(page.setContent).toHaveBeenCalledWith('<p>x</p>', expect.any(Object));
+    expect(page.pdf).toHaveBeenCalledWith(
+      expect.objectContaining({ path: '/tmp/manual.pdf', outline: true, printBackground: true })
+    );
+    expect(page.close).toHaveBeenCalled();
+  });
+});
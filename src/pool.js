@@ -0,0 +1,72 @@
+/**
+ * Concurrency Helpers
+ * ===================
+ *
+ * @purpose
+ * Runs page extraction on a bounded pool of Puppeteer pages while keeping requests
+ * to threejs.org rate-limited.
+ *
+ * @keyFacts
+ * - Each worker owns one browser page; a page never navigates twice at once
+ * - Results are stored by input index, so output order matches the input order
+ * - The rate limiter is shared by all workers and spaces navigations globally
+ * - The first task error stops workers from picking up new items and is rethrown
+ */
+
+const { setTimeout } = global;
+
+/**
+ * Creates a limiter that lets at most one request start per `intervalMs` (a number,
+ * or a function read on every call so options applied later take effect).
+ * wait() resolves when the caller may start its request.
+ */
+function createRateLimiter(intervalMs) {
+  let nextSlot = 0;
+
+  return {
+    wait() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + (typeof intervalMs === 'function' ? intervalMs() : intervalMs);
+      const delay = slot - now;
+      if (delay <= 0) return Promise.resolve();
+      return new Promise((resolve) => {
+        setTimeout(resolve, delay);
+      });
+    },
+  };
+}
+
+/**
+ * Processes `items` with one async loop per worker. `task(item, worker, index)` is
+ * called for every item; the returned array is in input order.
+ */
+async function runPool(items, workers, task) {
+  if (workers.length === 0) {
+    throw new Error('At least one worker is required');
+  }
+
+  const results = new Array(items.length);
+  const queue = { nextIndex: 0, failed: false };
+
+  await Promise.all(
+    workers.map(async (worker) => {
+      while (!queue.failed && queue.nextIndex < items.length) {
+        const index = queue.nextIndex++;
+        results[index] = await Promise.resolve()
+          .then(() => task(items[index], worker, index))
+          .catch((error) => {
+            queue.failed = true;
+            throw error;
+          });
+      }
+    })
+  );
+
+  return results;
+}
+
+module.exports = {
+  createRateLimiter,
+  runPool,
+};
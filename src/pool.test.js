@@ -0,0 +1,61 @@
+const { describe, test, expect } = require('@jest/globals');
+const { createRateLimiter, runPool } = require('./pool');
+
+const { setTimeout } = global;
+
+const delay = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+describe('Concurrency Helpers', () => {
+  test('runPool should preserve input order regardless of completion order', async () => {
+    const items = [30, 5, 20, 1, 10];
+    const results = await runPool(items, ['a', 'b'], async (ms) => {
+      await delay(ms);
+      return ms * 2;
+    });
+
+    expect(results).toEqual([60, 10, 40, 2, 20]);
+  });
+
+  test('runPool should never run more tasks than workers', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await runPool(Array(8).fill(5), ['a', 'b', 'c'], async (ms) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  test('runPool should pass each worker to its tasks', async () => {
+    const seen = await runPool([1, 2, 3], ['page1'], async (_item, worker) => worker);
+
+    expect(seen).toEqual(['page1', 'page1', 'page1']);
+  });
+
+  test('runPool should stop picking up items after a failure', async () => {
+    const started = [];
+    const run = runPool([1, 2, 3, 4], ['a'], async (item) => {
+      started.push(item);
+      if (item === 2) throw new Error('boom');
+    });
+
+    await expect(run).rejects.toThrow('boom');
+    expect(started).toEqual([1, 2]);
+  });
+
+  test('createRateLimiter should space out requests', async () => {
+    const limiter = createRateLimiter(20);
+    const start = Date.now();
+
+    await Promise.all([limiter.wait(), limiter.wait(), limiter.wait()]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Reader Preferences
+ * ==================
+ *
+ * @purpose
+ * Lets readers of the generated manual pick a theme, font size, content width and
+ * code wrapping from a menu in the header, and keeps their choice between visits.
+ *
+ * @keyFacts
+ * - Choices are data-* attributes on <html> (data-theme="dark"); the stylesheet only
+ *   has rules for the non-default values, so without stored choices the page looks
+ *   exactly like page.css makes it (theme from the OS setting)
+ * - They are stored in localStorage as { attribute: value } and applied by an inline
+ *   script in <head>, before the body is parsed, so pages don't flash the defaults
+ * - A forced theme overrides page.css's custom properties and the body/panel colors;
+ *   the code colors follow it too (see highlight.js)
+ * - Everything is inline, so the menu works offline and from file:// URLs. Without
+ *   localStorage (private modes, blocked storage) choices last until the page closes
+ */
+
+const { escapeHTML } = require('./html');
+
+const STORAGE_KEY = 'threejs-manual-preferences';
+
+// The first option of each preference is the default
+const PREFERENCES = [
+  {
+    attribute: 'theme',
+    label: 'Theme',
+    options: [
+      ['system', 'System'],
+      ['light', 'Light'],
+      ['dark', 'Dark'],
+    ],
+  },
+  {
+    attribute: 'font-size',
+    label: 'Font size',
+    options: [
+      ['medium', 'Medium'],
+      ['small', 'Small'],
+      ['large', 'Large'],
+    ],
+  },
+  {
+    attribute: 'width',
+    label: 'Width',
+    options: [
+      ['default', 'Default'],
+      ['narrow', 'Narrow'],
+      ['wide', 'Full width'],
+    ],
+  },
+  {
+    attribute: 'code-wrap',
+    label: 'Code lines',
+    options: [
+      ['scroll', 'Scroll'],
+      ['wrap', 'Wrap'],
+    ],
+  },
+];
+
+const STYLESHEET = `
+#preferences { position: relative; }
+#preferences summary { cursor: pointer; list-style: none; padding: 4px 8px; font-weight: 600; user-select: none; }
+#preferences summary::-webkit-details-marker { display: none; }
+#preferencesForm { position: absolute; right: 0; top: 100%; z-index: 10; display: grid; gap: 8px; min-width: 220px; padding: 12px; border: 1px solid rgba(128, 128, 128, 0.3); border-radius: 6px; background: var(--background-color, #fff); box-shadow: 0 4px 16px rgba(0, 0, 0, 0.15); }
+#preferencesForm label { display: flex; justify-content: space-between; align-items: center; gap: 12px; font-size: 14px; }
+html[data-theme="light"] { color-scheme: light; --background-color: #fff; --text-color: #444; --secondary-text-color: #9e9e9e; --border-style: 1px solid #e8e8e8; }
+html[data-theme="dark"] { color-scheme: dark; --background-color: #222; --text-color: #bbb; --secondary-text-color: #666; --border-style: 1px solid #444; }
+html[data-theme] body, html[data-theme] #panel, html[data-theme] #preferencesForm { background-color: var(--background-color); color: var(--text-color); }
+html[data-font-size="small"] { --font-size: 14px; --line-height: 22px; }
+html[data-font-size="large"] { --font-size: 18px; --line-height: 30px; }
+html[data-font-size] #viewer { font-size: var(--font-size); line-height: var(--line-height); }
+html[data-width="narrow"] #viewer .manual { max-width: 680px; }
+html[data-width="wide"] #viewer, html[data-width="wide"] #viewer .manual { max-width: none; }
+html[data-code-wrap="wrap"] #viewer pre, html[data-code-wrap="wrap"] #viewer pre code { white-space: pre-wrap; overflow-wrap: anywhere; }
+`;
+
+// Attribute -> values other than the default, for checking stored choices
+const ALLOWED_VALUES = Object.fromEntries(
+  PREFERENCES.map(({ attribute, options }) => [attribute, options.slice(1).map(([value]) => value)])
+);
+
+function generatePreferencesStyles() {
+  return STYLESHEET;
+}
+
+/**
+ * The inline <head> script applying stored choices before the first paint.
+ */
+function generatePreferencesHeadScript() {
+  return `
+    <script>
+      // Reader preferences, applied before the page renders
+      (function() {
+        try {
+          const allowed = ${JSON.stringify(ALLOWED_VALUES)};
+          const stored = JSON.parse(localStorage.getItem('${STORAGE_KEY}')) || {};
+          Object.keys(allowed).forEach(function(attribute) {
+            if (allowed[attribute].indexOf(stored[attribute]) !== -1) {
+              document.documentElement.setAttribute('data-' + attribute, stored[attribute]);
+            }
+          });
+        } catch (error) {}
+      })();
+    </script>
+  `;
+}
+
+// The menu in the header, one <select> per preference
+function generatePreferencesMenu() {
+  const fields = PREFERENCES.map(
+    ({ attribute, label, options }) => `
+        <label>${escapeHTML(label)}
+          <select name="${attribute}">
+            ${options.map(([value, text]) => `<option value="${value}">${escapeHTML(text)}</option>`).join('')}
+          </select>
+        </label>`
+  ).join('');
+  return `
+    <details id="preferences">
+      <summary title="Reader preferences" aria-label="Reader preferences">Aa</summary>
+      <form id="preferencesForm">${fields}
+      </form>
+    </details>
+  `;
+}
+
+/**
+ * The script behind the menu: shows the applied choices, applies and stores changes,
+ * and closes the menu on outside clicks.
+ */
+function generatePreferencesScript() {
+  return `
+    <script>
+      (function() {
+        const menu = document.getElementById('preferences');
+        const form = document.getElementById('preferencesForm');
+        if (!menu || !form) return;
+        const root = document.documentElement;
+        const selects = Array.prototype.slice.call(form.querySelectorAll('select'));
+
+        selects.forEach(function(select) {
+          select.value = root.getAttribute('data-' + select.name) || select.options[0].value;
+          select.addEventListener('change', function() {
+            const stored = {};
+            selects.forEach(function(field) {
+              if (field.value === field.options[0].value) {
+                root.removeAttribute('data-' + field.name);
+              } else {
+                root.setAttribute('data-' + field.name, field.value);
+                stored[field.name] = field.value;
+              }
+            });
+            try {
+              localStorage.setItem('${STORAGE_KEY}', JSON.stringify(stored));
+            } catch (error) {}
+          });
+        });
+
+        document.addEventListener('click', function(event) {
+          if (menu.open && !menu.contains(event.target)) menu.open = false;
+        });
+      })();
+    </script>
+  `;
+}
+
+module.exports = {
+  STORAGE_KEY,
+  PREFERENCES,
+  generatePreferencesStyles,
+  generatePreferencesHeadScript,
+  generatePreferencesMenu,
+  generatePreferencesScript,
+};
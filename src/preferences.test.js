@@ -0,0 +1,105 @@
+const { describe, test, expect } = require('@jest/globals');
+const { JSDOM } = require('jsdom');
+const {
+  STORAGE_KEY,
+  PREFERENCES,
+  generatePreferencesStyles,
+  generatePreferencesHeadScript,
+  generatePreferencesMenu,
+  generatePreferencesScript,
+} = require('./preferences');
+
+// A page with the menu and both scripts, opened with `stored` in localStorage
+function openPage(stored) {
+  return new JSDOM(
+    `<!DOCTYPE html><html><head>${generatePreferencesHeadScript()}</head>
+    <body><div id="header">${generatePreferencesMenu()}</div><div id="viewer"></div>
+    ${generatePreferencesScript()}</body></html>`,
+    {
+      url: 'https://example.com/docs/index.html',
+      runScripts: 'dangerously',
+      beforeParse(window) {
+        if (stored !== undefined) window.localStorage.setItem(STORAGE_KEY, stored);
+      },
+    }
+  ).window;
+}
+
+function select(window, name, value) {
+  const field = window.document.querySelector(`#preferencesForm select[name="${name}"]`);
+  field.value = value;
+  field.dispatchEvent(new window.Event('change'));
+}
+
+describe('Reader Preferences', () => {
+  test('the menu should offer every preference with its default first', () => {
+    const { document } = new JSDOM(generatePreferencesMenu()).window;
+
+    const fields = Array.from(document.querySelectorAll('select')).map((field) => [
+      field.name,
+      field.options[0].value,
+      field.options.length,
+    ]);
+    expect(fields).toEqual([
+      ['theme', 'system', 3],
+      ['font-size', 'medium', 3],
+      ['width', 'default', 3],
+      ['code-wrap', 'scroll', 2],
+    ]);
+    expect(PREFERENCES.map((preference) => preference.attribute)).toEqual(
+      fields.map(([name]) => name)
+    );
+  });
+
+  test('stored choices should be applied to <html> and shown in the menu', () => {
+    const window = openPage(JSON.stringify({ theme: 'dark', width: 'ultra', 'code-wrap': 'wrap' }));
+    const root = window.document.documentElement;
+
+    expect(root.getAttribute('data-theme')).toBe('dark');
+    expect(root.getAttribute('data-code-wrap')).toBe('wrap');
+    // Unknown values are ignored
+    expect(root.hasAttribute('data-width')).toBe(false);
+    expect(window.document.querySelector('select[name="theme"]').value).toBe('dark');
+    expect(window.document.querySelector('select[name="width"]').value).toBe('default');
+    window.close();
+  });
+
+  test('changes should be applied and stored, defaults removed', () => {
+    const window = openPage();
+    const root = window.document.documentElement;
+
+    expect(root.hasAttribute('data-theme')).toBe(false);
+    select(window, 'theme', 'light');
+    select(window, 'font-size', 'large');
+    expect(root.getAttribute('data-theme')).toBe('light');
+    expect(root.getAttribute('data-font-size')).toBe('large');
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual({
+      theme: 'light',
+      'font-size': 'large',
+    });
+
+    select(window, 'theme', 'system');
+    expect(root.hasAttribute('data-theme')).toBe(false);
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual({ 'font-size': 'large' });
+    window.close();
+  });
+
+  test('unreadable storage should leave the page on its defaults', () => {
+    const window = openPage('{not json');
+
+    expect(window.document.documentElement.getAttributeNames()).toEqual([]);
+    expect(window.document.querySelector('select[name="font-size"]').value).toBe('medium');
+    window.close();
+  });
+
+  test('the stylesheet should only style the non-default values', () => {
+    const styles = generatePreferencesStyles();
+
+    PREFERENCES.forEach(({ attribute, options }) => {
+      expect(styles).not.toContain(`data-${attribute}="${options[0][0]}"`);
+      options.slice(1).forEach(([value]) => {
+        expect(styles).toContain(`html[data-${attribute}="${value}"]`);
+      });
+    });
+  });
+});
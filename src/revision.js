@@ -0,0 +1,189 @@
+/**
+ * Pinned Revisions
+ * ================
+ *
+ * @purpose
+ * Serves the docs/ folder of a specific three.js release locally so the scraper reads
+ * that revision instead of whatever threejs.org currently publishes.
+ *
+ * @keyFacts
+ * - A revision is a release tag such as r160
+ * - Sources: a local checkout, a local .tar.gz, or the tag tarball downloaded from GitHub
+ * - Tarballs are extracted once into .cache/revisions/<revision>/ (or local-<hash>/ for
+ *   an unpinned tarball used by the local source)
+ * - The checkout is verified against REVISION in src/constants.js
+ * - A static HTTP server on 127.0.0.1 makes docs/index.html behave like threejs.org/docs
+ */
+
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { Buffer } = require('node:buffer');
+
+const execFileAsync = promisify(execFile);
+
+const TARBALL_URL = 'https://github.com/mrdoob/three.js/archive/refs/tags/{revision}.tar.gz';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+};
+
+function parseRevision(value) {
+  if (!value) return null;
+  const match = String(value).match(/^r?(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid revision "${value}": expected a release tag such as r160`);
+  }
+  return `r${match[1]}`;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function extractTarball(archive, targetDir) {
+  await fs.mkdir(targetDir, { recursive: true });
+  await execFileAsync('tar', ['-xzf', archive, '-C', targetDir, '--strip-components=1']);
+}
+
+async function downloadTarball(revision, archive, fetchFn) {
+  const url = TARBALL_URL.replace('{revision}', revision);
+  const response = await fetchFn(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url}: HTTP ${response.status}`);
+  }
+  await fs.mkdir(path.dirname(archive), { recursive: true });
+  await fs.writeFile(archive, Buffer.from(await response.arrayBuffer()));
+}
+
+async function verifyRevision(rootDir, revision) {
+  if (!(await exists(path.join(rootDir, 'docs', 'index.html')))) {
+    throw new Error(`No docs/index.html found in ${rootDir}`);
+  }
+  try {
+    const constants = await fs.readFile(path.join(rootDir, 'src', 'constants.js'), 'utf8');
+    const found = constants.match(/REVISION\s*=\s*['"](\d+)/)?.[1];
+    if (revision && found && `r${found}` !== revision) {
+      throw new Error(`Source in ${rootDir} is r${found}, expected ${revision}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Unpinned tarballs are keyed by path, size and mtime so a replaced file is re-extracted
+function getTarballDirName(source, stat) {
+  const key = `${path.resolve(source)}:${stat.size}:${stat.mtimeMs}`;
+  return `local-${crypto.createHash('md5').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Returns the root directory of a three.js source tree for `revision`, extracting or
+ * downloading it into `cacheDir` when needed. Without a revision, `source` is required
+ * and used as-is.
+ */
+async function prepareRevisionSource({ revision, source = null, cacheDir, fetch: fetchFn, log }) {
+  let rootDir;
+  const stat = source ? await fs.stat(source).catch(() => null) : null;
+
+  if (source && !stat) {
+    throw new Error(`Revision source not found: ${source}`);
+  }
+  if (!source && !revision) {
+    throw new Error('A revision or a source checkout/tarball is required');
+  }
+
+  if (stat?.isDirectory()) {
+    rootDir = source;
+  } else {
+    rootDir = path.join(cacheDir, revision || getTarballDirName(source, stat));
+    if (!(await exists(path.join(rootDir, 'docs', 'index.html')))) {
+      let archive = source;
+      if (!archive) {
+        archive = path.join(cacheDir, `${revision}.tar.gz`);
+        if (!(await exists(archive))) {
+          log?.info(`Downloading three.js ${revision}`);
+          await downloadTarball(revision, archive, fetchFn || global.fetch);
+        }
+      }
+      log?.info(`Extracting ${archive} to ${rootDir}`);
+      await extractTarball(archive, rootDir);
+    }
+  }
+
+  await verifyRevision(rootDir, revision);
+  return rootDir;
+}
+
+/**
+ * Serves `rootDir` over HTTP on `port` (a free local port by default).
+ * Resolves to { url, close }.
+ */
+function startStaticServer(rootDir, { port = 0 } = {}) {
+  const root = path.resolve(rootDir);
+
+  const server = http.createServer(async (request, response) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch {
+      response.writeHead(400).end();
+      return;
+    }
+    let filePath = path.join(root, pathname);
+    // Only files under root (not siblings such as <root>-other)
+    if (filePath !== root && !filePath.startsWith(`${root}${path.sep}`)) {
+      response.writeHead(403).end();
+      return;
+    }
+    try {
+      if ((await fs.stat(filePath)).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+      const data = await fs.readFile(filePath);
+      const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()];
+      response.writeHead(200, type ? { 'Content-Type': type } : {});
+      response.end(data);
+    } catch {
+      response.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () =>
+          new Promise((done) => {
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  parseRevision,
+  prepareRevisionSource,
+  startStaticServer,
+};
@@ -0,0 +1,132 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseRevision, prepareRevisionSource, startStaticServer } = require('./revision');
+
+const { fetch } = global;
+
+async function createCheckout(dir, revision) {
+  await fs.mkdir(path.join(dir, 'docs', 'api', 'en'), { recursive: true });
+  await fs.mkdir(path.join(dir, 'src'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'docs', 'index.html'), '<title>docs</title>');
+  await fs.writeFile(path.join(dir, 'docs', 'api', 'en', 'Object3D.html'), '<h1>Object3D</h1>');
+  await fs.writeFile(
+    path.join(dir, 'src', 'constants.js'),
+    `export const REVISION = '${revision}';\n`
+  );
+}
+
+describe('Pinned Revisions', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-revision-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('parseRevision should normalize release tags', () => {
+    expect(parseRevision('r160')).toBe('r160');
+    expect(parseRevision('160')).toBe('r160');
+    expect(parseRevision(null)).toBeNull();
+    expect(() => parseRevision('dev')).toThrow('Invalid revision "dev"');
+  });
+
+  test('prepareRevisionSource should use a matching local checkout', async () => {
+    const checkout = path.join(tmpDir, 'checkout');
+    await createCheckout(checkout, '160');
+
+    await expect(
+      prepareRevisionSource({ revision: 'r160', source: checkout, cacheDir: tmpDir })
+    ).resolves.toBe(checkout);
+    await expect(
+      prepareRevisionSource({ revision: 'r161', source: checkout, cacheDir: tmpDir })
+    ).rejects.toThrow('is r160, expected r161');
+  });
+
+  test('prepareRevisionSource should extract a tarball into the cache', async () => {
+    const tree = path.join(tmpDir, 'three.js-r159');
+    await createCheckout(tree, '159');
+    const archive = path.join(tmpDir, 'r159.tar.gz');
+    execFileSync('tar', ['-czf', archive, '-C', tmpDir, 'three.js-r159']);
+
+    const cacheDir = path.join(tmpDir, 'revisions');
+    const rootDir = await prepareRevisionSource({ revision: 'r159', source: archive, cacheDir });
+
+    expect(rootDir).toBe(path.join(cacheDir, 'r159'));
+    await expect(fs.readFile(path.join(rootDir, 'docs', 'index.html'), 'utf8')).resolves.toBe(
+      '<title>docs</title>'
+    );
+  });
+
+  test('prepareRevisionSource should download the tag tarball when no source is given', async () => {
+    const tree = path.join(tmpDir, 'three.js-r158');
+    await createCheckout(tree, '158');
+    const archive = path.join(tmpDir, 'download.tar.gz');
+    execFileSync('tar', ['-czf', archive, '-C', tmpDir, 'three.js-r158']);
+    const data = await fs.readFile(archive);
+    const fetch = jest.fn().mockResolvedValue({ ok: true, arrayBuffer: async () => data });
+
+    const cacheDir = path.join(tmpDir, 'downloads');
+    await prepareRevisionSource({ revision: 'r158', cacheDir, fetch });
+
+    expect(fetch).toHaveBeenCalledWith(
+      'https://github.com/mrdoob/three.js/archive/refs/tags/r158.tar.gz'
+    );
+    await expect(fs.access(path.join(cacheDir, 'r158', 'docs', 'index.html'))).resolves.toBe(
+      undefined
+    );
+  });
+
+  test('prepareRevisionSource should extract an unpinned tarball by content', async () => {
+    const tree = path.join(tmpDir, 'three.js-dev');
+    await createCheckout(tree, '161');
+    const archive = path.join(tmpDir, 'dev.tar.gz');
+    execFileSync('tar', ['-czf', archive, '-C', tmpDir, 'three.js-dev']);
+
+    const cacheDir = path.join(tmpDir, 'unpinned');
+    const rootDir = await prepareRevisionSource({ revision: null, source: archive, cacheDir });
+
+    expect(path.basename(rootDir)).toMatch(/^local-[0-9a-f]{12}$/);
+    await expect(fs.access(path.join(rootDir, 'docs', 'index.html'))).resolves.toBe(undefined);
+    await expect(prepareRevisionSource({ revision: null, cacheDir })).rejects.toThrow(
+      'A revision or a source checkout/tarball is required'
+    );
+  });
+
+  test('startStaticServer should serve the checkout over HTTP', async () => {
+    const checkout = path.join(tmpDir, 'served');
+    await createCheckout(checkout, '160');
+    const server = await startStaticServer(checkout);
+
+    try {
+      const page = await fetch(`${server.url}/docs/api/en/Object3D.html`);
+      expect(page.status).toBe(200);
+      expect(page.headers.get('content-type')).toContain('text/html');
+      expect(await page.text()).toBe('<h1>Object3D</h1>');
+
+      const missing = await fetch(`${server.url}/docs/missing.html`);
+      expect(missing.status).toBe(404);
+
+      const traversal = await fetch(`${server.url}/..%2F..%2Fetc%2Fpasswd`);
+      expect([403, 404]).toContain(traversal.status);
+
+      // A sibling directory sharing the root's name as a prefix is outside it
+      await fs.mkdir(`${checkout}-other`, { recursive: true });
+      await fs.writeFile(path.join(`${checkout}-other`, 'secret.txt'), 'secret');
+      const sibling = await fetch(`${server.url}/..%2Fserved-other%2Fsecret.txt`);
+      expect(sibling.status).toBe(403);
+
+      // Malformed escapes are rejected instead of crashing the server
+      const malformed = await fetch(`${server.url}/%E0%A4%A`);
+      expect(malformed.status).toBe(400);
+      expect((await fetch(`${server.url}/docs/index.html`)).status).toBe(200);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * Three.js Documentation Scraper
  * =============================
@@ -9,16 +10,22 @@
  *
  * @keyFacts
  * - Three.js docs use iframes for content loading
+ * - --local <checkout|tarball> builds from docs/list.json without a browser
  * - Documentation is split across 300+ pages
+ * - Commands and options are parsed by cli.js (`build --help`); env vars are fallbacks
+ * - generator.js exposes the build to Node (createGenerator): transforms, writers, events
  * - DEV_MODE processes only 10 pages for testing
  * - Each page has its own HTML structure and navigation
- * - Code blocks use Google's prettify for syntax highlighting
+ * - Code blocks are highlighted when the manual is generated (highlight.js), with a
+ *   copy button added by the page script
  * - Styling is controlled by page.css and main.css
- * - Dark/light mode support is built into the CSS
+ * - Dark/light mode follows the OS unless the reader picks a theme; the header's
+ *   preferences menu also sets font size, width and code wrapping (preferences.js)
  * - Content is dynamically loaded based on URL hash
  * - Table of contents is hierarchically structured
- * - Links use [page:Class property] syntax
- * - Code examples are embedded in iframes
+ * - Links use [page:Class property] syntax, expanded by markup.js when page.js hasn't run
+ * - Live examples are embedded in iframes; EXAMPLE_MODE links, screenshots or bundles
+ *   them (examples.js); EXAMPLE_SOURCE adds the source of linked examples to the page
  * - Font stack: Inter for text, Roboto Mono for code
  * - Responsive design breakpoints at 640px and 1700px
  *
@@ -42,6 +49,8 @@
  *    Attempt: Basic <pre><code> tags
  *    Failed: Lost syntax highlighting and formatting
  *    Solution: Integrated Google Prettify with Three.js's theme
+ *    Failed: Plain text offline, every snippet highlighted as JavaScript
+ *    Solution: Highlighting at build time with per-language tokenizers
  *
  * 5. Navigation
  *    Attempt: Simple list of links
@@ -66,7 +75,8 @@
  * 9. Cache Management
  *    Attempt: Simple file caching
  *    Failed: Stale content and memory issues
- *    Solution: Versioned cache with clear command
+ *    Solution: Versioned cache entries that record when and from what they were
+ *    fetched, revalidated against the source once they are older than CACHE_TTL
  *
  * 10. HTML Structure
  *     Attempt: Single page layout
@@ -80,7 +90,6 @@
  *
  * Current Challenges:
  * - Some code blocks lose formatting in complex cases
- * - Special link syntax ([page:Class property]) needs better parsing
  *
  * Key Insights:
  * - Three.js's documentation is highly interactive
@@ -98,24 +107,154 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs/promises');
 const path = require('path');
-const crypto = require('crypto');
 const { setTimeout } = global;
 const { Buffer } = require('node:buffer');
+const { getAnchorId, getDocAnchor, resolveLinks, createTargetLookup } = require('./links');
+const { createAssetBundler } = require('./assets');
+const {
+  EXAMPLE_MODES,
+  hasExampleFrames,
+  replaceExampleFrames,
+  findExampleLinks,
+  addExampleSources,
+  createExampleMirror,
+} = require('./examples');
+const { createRateLimiter, runPool } = require('./pool');
+const { createRunManifest } = require('./manifest');
+const { parseDuration, hashContent, createPageCache } = require('./cache');
+const { parseArgs, loadConfigFile, resolveOptions, generateHelp, LOG_LEVELS } = require('./cli');
+const { parsePageList, hasFilters, selectPages, findUnknownPages } = require('./selection');
+const {
+  validateFile,
+  parseThresholds,
+  summarizeValidation,
+  generateJsonReport,
+  generateJUnitReport,
+} = require('./validate');
+const { escapeHTML } = require('./html');
+const { highlightCodeBlocks, getHighlightStylesheet } = require('./highlight');
+const {
+  generatePreferencesStyles,
+  generatePreferencesHeadScript,
+  generatePreferencesMenu,
+  generatePreferencesScript,
+} = require('./preferences');
+const {
+  buildSearchIndex,
+  generateSearchIndex,
+  generateSearchIndexFile,
+  generateSearchScript,
+} = require('./search');
+const { parseRevision, prepareRevisionSource, startStaticServer } = require('./revision');
+const { processDocument } = require('./content');
+const { createLocalSource } = require('./local-source');
+const { createPageIndex, getPageContext, isMarkup, expandMarkup } = require('./markup');
+const { generateMarkdown } = require('./markdown');
+const { buildCorpus, generateCorpusJSON, generateCorpusJSONL } = require('./corpus');
+const { buildTocTree } = require('./toc');
+const {
+  createSnapshot,
+  isCompatibleSnapshot,
+  diffSnapshots,
+  hasChanges,
+  generateChangelogMarkdown,
+  generateChangelogHTML,
+} = require('./changelog');
+const { generateEpub } = require('./epub');
+const { generatePrintHTML, renderPdf } = require('./pdf');
+const {
+  getSiteFile,
+  getRootPrefix,
+  rewriteSiteLinks,
+  prefixAssetRefs,
+  generatePagination,
+  generateSitemap,
+} = require('./site');
 
 // Configuration object
 const config = {
-  DEV_MODE: process.env.DEV_MODE === 'true',
+  DEV_MODE: false,
   DEV_PAGE_LIMIT: 10,
+  // Maximum number of pages to build (DEV_PAGE_LIMIT in DEV_MODE)
+  PAGE_LIMIT: null,
+  // Only pages in these sections/categories, matching these docs path/title globs or
+  // listed in the PAGE_LIST file, and none matching the EXCLUDE_* filters (selection.js)
+  SECTIONS: [],
+  PAGES: [],
+  TEXT: [],
+  PAGE_LIST: null,
+  EXCLUDE_SECTIONS: [],
+  EXCLUDE_PAGES: [],
+  EXCLUDE_TEXT: [],
+  // Named option set of the config file, e.g. a subset manual
+  PRESET: null,
   BASE_URL: 'https://threejs.org',
-  DOCS_URL: 'https://threejs.org/docs/index.html#manual/en/introduction/Creating-a-scene',
+  DOCS_PATH: 'docs/index.html#manual/{lang}/introduction/Creating-a-scene',
+  // Pinned release (e.g. r160) served from a local checkout/tarball instead of BASE_URL
+  REVISION: null,
+  REVISION_SOURCE: null,
+  // three.js checkout or tarball to build from without a browser
+  LOCAL_SOURCE: null,
+  DEFAULT_LANGUAGE: 'en',
+  // --lang: a code, a comma-separated list or "all"
+  DOCS_LANG: null,
+  LANGUAGES: {
+    en: 'English',
+    ar: 'العربية',
+    fr: 'Français',
+    it: 'Italiano',
+    ja: '日本語',
+    ko: '한국어',
+    'pt-br': 'Português (Brasil)',
+    ru: 'Русский',
+    zh: '中文',
+  },
   TIMEOUT: 30000,
+  CONCURRENCY: 4,
+  REQUEST_INTERVAL: 200,
+  PAGE_RETRIES: 2,
+  RETRY_DELAY: 1000,
+  MAX_FAILURE_RATE: 0.1,
   OUTPUT_DIR: 'docs',
   CACHE_DIR: '.cache',
-  USE_CACHE: process.env.NO_CACHE !== 'true',
-  CACHE_VERSION: '1',
+  USE_CACHE: true,
+  CACHE_VERSION: '5',
+  // Cached pages older than this (e.g. 7d) are revalidated against the source; unset = never
+  CACHE_TTL: null,
+  // Overrides CACHE_TTL for one run (e.g. 1d before a weekly publish)
+  REFRESH_OLDER_THAN: null,
+  MANIFEST_FILE: path.join('.cache', 'run-manifest.json'),
+  // 'inline' (data URIs, single file), 'folder' (docs/assets/) or 'remote' (hotlinked)
+  ASSET_MODE: 'inline',
+  // Live examples: 'link' (to threejs.org), 'screenshot' (taken during extraction) or
+  // 'bundle' (copied into examples/)
+  EXAMPLE_MODE: 'link',
+  // Shows the HTML of each linked example in a collapsible panel (kept in the page cache)
+  EXAMPLE_SOURCE: false,
+  // Comma-separated output formats (see OUTPUT_FORMATS)
+  FORMATS: 'html',
+  // 'pages' (one .md per page) or 'single' (manual.md)
+  MARKDOWN_LAYOUT: 'pages',
+  // Public URL of OUTPUT_DIR, for the multi-page site's sitemap.xml and 404 page
+  SITE_URL: null,
+  // Adds the changes since the previous build as a "What's New" page to the manual
+  WHATS_NEW: false,
+  RESUME: false,
+  CLEAR_CACHE: false,
+  // `cache prune --older-than`, `serve --port` and `list-pages --json`
+  OLDER_THAN: null,
+  // `validate`: report file (.json or JUnit .xml), issues allowed per type
+  // ("broken-anchor=5") and the text length under which a page is short
+  REPORT_FILE: null,
+  MAX_ISSUES: [],
+  MIN_PAGE_LENGTH: 100,
+  PORT: 8080,
+  JSON: false,
+  // debug, info, warn, error or silent
+  LOG_LEVEL: 'info',
   SELECTORS: {
     panel: '#panel',
-    docLinks: '#panel a[href*="/en/"]',
+    docLinks: '#panel a[href*="/{lang}/"]',
     iframe: 'iframe',
     content: {
       manual: '.manual-content',
@@ -124,22 +263,112 @@ const config = {
   },
 };
 
+// Applies options resolved by cli.js on top of the defaults above
+function applyOptions(options) {
+  Object.assign(config, options);
+  if (options.SITE_URL !== undefined) {
+    config.SITE_URL = options.SITE_URL.replace(/\/+$/, '') || null;
+  }
+  if (options.CONCURRENCY !== undefined) {
+    config.CONCURRENCY = Math.max(1, options.CONCURRENCY);
+  }
+  if (options.CACHE_DIR !== undefined) {
+    config.MANIFEST_FILE = path.join(options.CACHE_DIR, 'run-manifest.json');
+  }
+}
+
 // Enhance logging functions
+// Messages below LOG_LEVEL are dropped; sections count as info, timings as debug
+const logs = (level) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(config.LOG_LEVEL);
 const log = {
-  info: (msg, ...args) => console.log(`[INFO] ${msg}`, ...args),
-  error: (msg, ...args) => console.error(`[ERROR] ${msg}`, ...args),
-  debug: (msg, ...args) => console.log(`[DEBUG] ${msg}`, ...args),
-  section: (msg) => console.log(`\n=== ${msg} ===`),
-  perf: (msg, startTime) => console.log(`[PERF] ${msg}: ${Date.now() - startTime}ms`),
+  info: (msg, ...args) => logs('info') && console.log(`[INFO] ${msg}`, ...args),
+  warn: (msg, ...args) => logs('warn') && console.warn(`[WARN] ${msg}`, ...args),
+  error: (msg, ...args) => logs('error') && console.error(`[ERROR] ${msg}`, ...args),
+  debug: (msg, ...args) => logs('debug') && console.log(`[DEBUG] ${msg}`, ...args),
+  section: (msg) => logs('info') && console.log(`\n=== ${msg} ===`),
+  perf: (msg, startTime) =>
+    logs('debug') && console.log(`[PERF] ${msg}: ${Date.now() - startTime}ms`),
 };
 
-// Command line argument parsing
-const CLEAR_CACHE = process.argv.includes('--clear-cache');
+// Options given in the environment. The command line and config file are read by main
+// only, so requiring the package never picks up the host process's arguments. A bad
+// value must not break require(); main resolves the environment again and fails on it
+try {
+  applyOptions(resolveOptions({}, {}, process.env));
+} catch (error) {
+  log.warn(`Ignoring the environment options, using the defaults: ${error.message}`);
+}
+
+// Shared by every pool page so navigations stay spaced out
+const rateLimiter = createRateLimiter(() => config.REQUEST_INTERVAL);
+
+// fetch for requests to the docs host outside the browser, spaced like the navigations
+async function throttledFetch(...args) {
+  await rateLimiter.wait();
+  return global.fetch(...args);
+}
+
+// --lang accepts a code (zh), a comma-separated list (en,zh,ja) or "all"
+function parseLanguages(value) {
+  if (!value) return [config.DEFAULT_LANGUAGE];
+  if (value === 'all') return Object.keys(config.LANGUAGES);
+  const languages = value.split(',').map((lang) => lang.trim().toLowerCase());
+  const unknown = languages.filter((lang) => !config.LANGUAGES[lang]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown language(s): ${unknown.join(', ')}. Available: ${Object.keys(config.LANGUAGES).join(', ')}`
+    );
+  }
+  return [...new Set(languages)];
+}
+
+const OUTPUT_FORMATS = ['html', 'site', 'markdown', 'json', 'jsonl', 'epub', 'pdf'];
+const MARKDOWN_LAYOUTS = ['pages', 'single'];
+
+// --format accepts one or more of OUTPUT_FORMATS (html,markdown,epub)
+function parseFormats(value) {
+  const formats = String(value || 'html')
+    .split(',')
+    .map((format) => format.trim().toLowerCase())
+    .map((format) => (format === 'md' ? 'markdown' : format));
+  const unknown = formats.filter((format) => !OUTPUT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown format(s): ${unknown.join(', ')}. Available: ${OUTPUT_FORMATS.join(', ')}`
+    );
+  }
+  if (formats.includes('markdown') && !MARKDOWN_LAYOUTS.includes(config.MARKDOWN_LAYOUT)) {
+    throw new Error(
+      `Unknown Markdown layout "${config.MARKDOWN_LAYOUT}". Available: ${MARKDOWN_LAYOUTS.join(', ')}`
+    );
+  }
+  return [...new Set(formats)];
+}
+
+// Set while a pinned revision is served locally. Pages are navigated on the source
+// URL but identified (cache, manifest, links) by their BASE_URL address.
+let revisionSourceUrl = null;
+
+function getSourceUrl() {
+  return revisionSourceUrl || config.BASE_URL;
+}
+
+function toCanonicalUrl(url) {
+  return revisionSourceUrl ? url.replace(revisionSourceUrl, config.BASE_URL) : url;
+}
+
+function toSourceUrl(url) {
+  return revisionSourceUrl ? url.replace(config.BASE_URL, revisionSourceUrl) : url;
+}
+
+function getLanguageFromUrl(url) {
+  return url.match(/#(?:manual|api|examples)\/([\w-]+)\//)?.[1] || null;
+}
 
 // Cache management functions
 async function initializeCache() {
   log.debug('Initializing cache system');
-  if (CLEAR_CACHE) {
+  if (config.CLEAR_CACHE) {
     try {
       log.debug('Attempting to clear cache directory');
       await fs.rm(config.CACHE_DIR, { recursive: true, force: true });
@@ -152,41 +381,56 @@ async function initializeCache() {
   await fs.mkdir(config.CACHE_DIR, { recursive: true });
 }
 
-function getCacheKey(url) {
-  const hash = crypto.createHash('md5').update(url).digest('hex');
-  const cacheKey = path.join(config.CACHE_DIR, `${hash}_v${config.CACHE_VERSION}.json`);
-  log.debug(`Generated cache key for ${url}: ${cacheKey}`);
-  return cacheKey;
+// Pages are cached per language (.cache/zh/...) so locales can be cleared independently
+function getPageCache() {
+  return createPageCache({
+    dir: config.CACHE_DIR,
+    version: config.CACHE_VERSION,
+    revision: config.REVISION,
+    maxAge: parseDuration(config.REFRESH_OLDER_THAN ?? config.CACHE_TTL),
+    fetch: throttledFetch,
+    log,
+  });
 }
 
-async function getFromCache(url) {
+// The docs page source behind an index.html#<path> URL, used to revalidate cached pages
+function getPageSourceUrl(url) {
+  const docPath = url.split('#')[1];
+  return docPath ? `${toSourceUrl(config.BASE_URL)}/docs/${docPath}.html` : toSourceUrl(url);
+}
+
+// Outcome counts of cache lookups during this run
+const cacheStats = { fresh: 0, unchanged: 0, changed: 0, miss: 0 };
+
+/**
+ * Returns the cached content of `url` if it is fresh or unchanged at the source,
+ * otherwise { data: null } with the validators to save the re-extracted page with.
+ */
+async function lookupCache(url) {
   if (!config.USE_CACHE) {
     log.debug('Cache disabled, skipping cache lookup');
-    return null;
-  }
-  try {
-    const cacheFile = getCacheKey(url);
-    log.debug(`Attempting to read cache file: ${cacheFile}`);
-    const data = await fs.readFile(cacheFile, 'utf8');
-    log.debug(`Cache hit for ${url} (${Buffer.byteLength(data, 'utf8')} bytes)`);
-    return JSON.parse(data);
-  } catch (error) {
-    log.debug(`Cache miss for ${url}: ${error.code}`);
-    return null;
+    return { status: 'disabled', data: null, validators: null };
   }
+  const result = await getPageCache().lookup(url, getPageSourceUrl(url));
+  cacheStats[result.status]++;
+  log.debug(`Cache ${result.status} for ${url}`);
+  return result;
+}
+
+async function getFromCache(url) {
+  return (await lookupCache(url)).data;
 }
 
-async function saveToCache(url, data) {
+// Without validators the first revalidation of the entry re-extracts the page
+async function saveToCache(url, data, validators = {}) {
   if (!config.USE_CACHE) {
     log.debug('Cache disabled, skipping cache save');
     return;
   }
+  const pageCache = getPageCache();
   try {
-    const cacheFile = getCacheKey(url);
-    const jsonData = JSON.stringify(data, null, 2);
-    log.debug(`Writing ${Buffer.byteLength(jsonData, 'utf8')} bytes to cache for ${url}`);
-    await fs.writeFile(cacheFile, jsonData);
-    log.debug(`Successfully cached ${url}`);
+    await pageCache.write(url, data, validators);
+    log.debug(`Successfully cached ${url} in ${pageCache.getFile(url)}`);
   } catch (error) {
     log.error(`Failed to write cache for ${url}:`, error);
   }
@@ -212,44 +456,80 @@ async function createBrowser() {
   }
 }
 
-async function extractLinks(page) {
+async function createPagePool(browser, page, size) {
+  const pages = [page];
+  if (!browser) return pages;
+
+  log.debug(`Opening ${size - 1} additional pages for the page pool`);
+  while (pages.length < size) {
+    const poolPage = await browser.newPage();
+    await poolPage.setDefaultTimeout(config.TIMEOUT);
+    pages.push(poolPage);
+  }
+  return pages;
+}
+
+async function closePagePool(pages) {
+  // The first page belongs to createBrowser and is closed with the browser
+  await Promise.all(pages.slice(1).map((poolPage) => poolPage.close()));
+}
+
+async function extractLinks(page, lang = config.DEFAULT_LANGUAGE) {
   const maxRetries = 2;
   let attempts = 0;
-  log.debug(`Starting link extraction (max retries: ${maxRetries})`);
+  const docsUrl = `${getSourceUrl()}/${config.DOCS_PATH.replace('{lang}', lang)}`;
+  const selectors = {
+    ...config.SELECTORS,
+    docLinks: config.SELECTORS.docLinks.replace('{lang}', lang),
+  };
+  log.debug(`Starting link extraction for "${lang}" (max retries: ${maxRetries})`);
 
   while (attempts < maxRetries) {
     try {
       const startTime = Date.now();
-      log.debug(`Navigating to docs URL: ${config.DOCS_URL}`);
-      await page.goto(config.DOCS_URL, { waitUntil: 'networkidle0' });
+      log.debug(`Navigating to docs URL: ${docsUrl}`);
+      await page.goto(docsUrl, { waitUntil: 'networkidle0' });
+      if (lang !== config.DEFAULT_LANGUAGE) {
+        // The docs build the panel from the language remembered in localStorage
+        log.debug(`Switching docs language to ${lang}`);
+        await page.evaluate((value) => window.localStorage.setItem('language', value), lang);
+        await page.reload({ waitUntil: 'networkidle0' });
+      }
       log.debug('Waiting for panel selector');
       await page.waitForSelector(config.SELECTORS.panel);
       log.perf('Page navigation completed', startTime);
 
       log.debug('Evaluating page for documentation links');
-      const links = await page.evaluate((selectors) => {
-        const findSection = (link) => {
-          const sectionEl = link.closest('div')?.previousElementSibling;
-          if (sectionEl?.tagName === 'H2') return sectionEl.textContent.trim();
-          const subSectionEl = link.closest('div')?.querySelector('h3');
-          if (subSectionEl) return subSectionEl.textContent.trim();
-          return 'Reference';
+      const sourceLinks = await page.evaluate((selectors) => {
+        // The panel has an h2 per group (Manual, Reference, ...) followed by one div per
+        // category (h3 + list of links)
+        const findCategories = (link) => {
+          const categoryEl = link.closest('div');
+          const category = categoryEl?.querySelector('h3')?.textContent.trim();
+          let groupEl = categoryEl?.previousElementSibling;
+          while (groupEl && groupEl.tagName !== 'H2') groupEl = groupEl.previousElementSibling;
+          return [groupEl?.textContent.trim(), category].filter(Boolean);
         };
 
         const links = Array.from(document.querySelectorAll(selectors.docLinks));
         console.debug(`Found ${links.length} raw links`);
 
-        return links.map((link) => ({
-          url: link.href,
-          text: link.textContent.trim(),
-          path: link.getAttribute('href').split('#')[1] || link.getAttribute('href'),
-          section: findSection(link),
-        }));
-      }, config.SELECTORS);
+        return links.map((link) => {
+          const categories = findCategories(link);
+          return {
+            url: link.href,
+            text: link.textContent.trim(),
+            path: link.getAttribute('href').split('#')[1] || link.getAttribute('href'),
+            section: categories[categories.length - 1] || 'Reference',
+            categories,
+          };
+        });
+      }, selectors);
+      const links = sourceLinks.map((link) => ({ ...link, url: toCanonicalUrl(link.url) }));
 
       log.debug(`Link extraction details:
         Total links: ${links.length}
-        Unique sections: ${new Set(links.map((l) => l.section)).size}
+        Unique categories: ${new Set(links.map((l) => (l.categories || []).join(' > '))).size}
         External links: ${links.filter((l) => !l.url.includes(config.BASE_URL)).length}
       `);
 
@@ -275,23 +555,84 @@ async function extractLinks(page) {
   }
 }
 
+/**
+ * Lines up a translated link list with the English one. Untranslated pages fall back
+ * to the English link (flagged with `fallback`); both variants keep the other path as
+ * an alias so cross-references in either language resolve.
+ */
+function mergeTranslatedLinks(englishLinks, translatedLinks, lang) {
+  const translated = new Map(translatedLinks.map((link) => [link.path, link]));
+  const matched = new Set();
+
+  const merged = englishLinks.map((link) => {
+    const translatedPath = link.path.replace(/^(\w+)\/en\//, `$1/${lang}/`);
+    const match = translated.get(translatedPath);
+    if (match) {
+      matched.add(translatedPath);
+      return { ...match, aliases: [link.path] };
+    }
+    return { ...link, aliases: [translatedPath], fallback: true };
+  });
+
+  // Pages that only exist in the translation
+  translatedLinks.filter((link) => !matched.has(link.path)).forEach((link) => merged.push(link));
+  return merged;
+}
+
+/**
+ * Records the validators of the page source the viewer frame loads while `url` is
+ * extracted, so a cache miss doesn't need another request for them. Returns a function
+ * that stops listening and resolves to the validators ({} if the source wasn't seen).
+ */
+function captureSourceValidators(page, url) {
+  const sourceUrl = getPageSourceUrl(url);
+  let validators = Promise.resolve({});
+  const onResponse = (response) => {
+    if (response.url() !== sourceUrl || !response.ok()) return;
+    const headers = response.headers();
+    validators = response.buffer().then(
+      (body) => ({
+        etag: headers.etag || null,
+        lastModified: headers['last-modified'] || null,
+        contentHash: hashContent(body),
+      }),
+      (error) => {
+        log.debug(`No validators for ${url}: ${error.message}`);
+        return {};
+      }
+    );
+  };
+  page.on('response', onResponse);
+  return () => {
+    page.off('response', onResponse);
+    return validators;
+  };
+}
+
 // Content extraction functions
-async function extractContent(page, url, title) {
+async function extractContent(page, url, title, pages = {}) {
   const startTime = Date.now();
   log.section(`Extracting Content: ${title}`);
   log.debug(`Processing URL: ${url}`);
 
-  const cached = await getFromCache(url);
-  if (cached) {
+  const cached = await lookupCache(url);
+  // Pages cached without their screenshots are extracted again to take them
+  const missingScreenshots =
+    config.EXAMPLE_MODE === 'screenshot' &&
+    !cached.data?.screenshots &&
+    hasExampleFrames(cached.data?.content);
+  if (cached.data && !missingScreenshots) {
     log.debug(
-      `Using cached content for: ${cached.title} (${Buffer.byteLength(cached.content, 'utf8')} bytes)`
+      `Using cached content for: ${cached.data.title} (${Buffer.byteLength(cached.data.content, 'utf8')} bytes)`
     );
-    return cached;
+    return cached.data;
   }
 
+  const stopCapture = captureSourceValidators(page, url);
   try {
-    log.debug(`Navigating to: ${url}`);
-    await page.goto(url, { waitUntil: 'networkidle0' });
+    await rateLimiter.wait();
+    log.debug(`Navigating to: ${toSourceUrl(url)}`);
+    await page.goto(toSourceUrl(url), { waitUntil: 'networkidle0' });
 
     try {
       log.debug('Waiting for iframe to appear');
@@ -315,16 +656,26 @@ async function extractContent(page, url, title) {
     log.debug('Waiting for iframe body');
     await frame.waitForSelector('body');
 
+    await expandFrameMarkup(frame, url, pages);
+
     log.debug('Extracting content from frame');
     const content = await extractFrameContent(frame);
     if (!content || content.error) {
       throw new Error(content?.error || 'No content found');
     }
+    const screenshots =
+      config.EXAMPLE_MODE === 'screenshot' && hasExampleFrames(content.html)
+        ? await captureExampleFrames(frame)
+        : null;
 
     const result = {
       title,
       content: content.html,
+      text: content.text.replace(/\s+/g, ' ').trim(),
+      headings: content.headings || [],
+      members: content.members || [],
       hasMalformedHTML: content.hasMalformedHTML,
+      ...(screenshots && { screenshots }),
     };
 
     log.debug(`Content extraction stats:
@@ -333,88 +684,112 @@ async function extractContent(page, url, title) {
       Has malformed HTML: ${content.hasMalformedHTML}
     `);
 
-    await saveToCache(url, result);
+    // A changed page comes with the validators of its revalidation request
+    await saveToCache(url, result, cached.validators || (await stopCapture()));
     log.perf(`Content extraction completed for ${title}`, startTime);
     return result;
   } catch (error) {
     log.error(`Failed to extract content from ${url}:`, error);
     throw error;
+  } finally {
+    stopCapture();
   }
 }
 
-async function extractFrameContent(frame) {
-  const result = await frame.evaluate((config) => {
-    const findContent = () => {
-      let content = document.querySelector(config.SELECTORS.content.manual);
-      if (content) return content;
-
-      const elements = document.querySelectorAll(config.SELECTORS.content.fallback);
-      if (elements.length > 0) {
-        content = document.createElement('div');
-        elements.forEach((el) => content.appendChild(el.cloneNode(true)));
-        return content;
+// Retries a page with exponential backoff; the final error carries the attempt count
+async function extractContentWithRetry(source, worker, link) {
+  const retries = source.retries ?? config.PAGE_RETRIES;
+  let attempts = 0;
+  while (true) {
+    attempts++;
+    try {
+      const content = await source.extract(worker, link);
+      return { content, attempts };
+    } catch (error) {
+      if (attempts > retries) {
+        error.attempts = attempts;
+        throw error;
       }
-      return null;
-    };
-
-    const processCodeBlocks = (content) => {
-      content.querySelectorAll('pre, code').forEach((el) => {
-        if (el.tagName === 'PRE') {
-          const code = el.querySelector('code') || el;
-          const language = code.className?.match(/language-(\w+)/)?.[1] || 'javascript';
-          code.className = `prettyprint lang-${language}`;
-          code.style.whiteSpace = 'pre';
-        } else if (el.tagName === 'CODE' && !el.parentElement.matches('pre')) {
-          el.className = 'inline';
-          el.style.whiteSpace = 'pre';
-        }
-      });
-    };
-
-    const fixRelativePaths = (content) => {
-      content.querySelectorAll('img, a').forEach((el) => {
-        if (el.src?.startsWith('/')) {
-          el.src = `${config.BASE_URL}${el.src}`;
-        }
-        if (el.href?.startsWith('/')) {
-          el.href = `${config.BASE_URL}${el.href}`;
-        }
+      const delay = config.RETRY_DELAY * 2 ** (attempts - 1);
+      log.debug(`Retrying ${link.text} in ${delay}ms (attempt ${attempts + 1})`);
+      await new Promise((resolve) => {
+        setTimeout(resolve, delay);
       });
-    };
-
-    const content = findContent();
-    if (!content) {
-      return { error: 'No content found' };
     }
+  }
+}
 
-    // Process content before getting HTML
-    processCodeBlocks(content);
-    fixRelativePaths(content);
+// Expands [page:...] markup left in the frame when the docs' page.js has not run
+async function expandFrameMarkup(frame, url, pages) {
+  const html = await frame.evaluate(() => document.body.innerHTML);
+  if (typeof html !== 'string' || !isMarkup(html)) return;
 
-    // Check for malformed HTML
-    const malformedPatterns = ['</div></p>', '<p></div>', '<div></p>'];
-    const hasMalformedHTML = malformedPatterns.some((pattern) =>
-      content.innerHTML.includes(pattern)
-    );
+  log.debug('Expanding unprocessed doc markup');
+  const docPath = url.split('#')[1] || '';
+  await frame.evaluate(
+    (expanded) => {
+      document.body.innerHTML = expanded;
+    },
+    expandMarkup(html, getPageContext(docPath, pages))
+  );
+}
 
-    return {
-      html: content.innerHTML,
-      text: content.textContent,
-      hasMalformedHTML,
-    };
-  }, config);
+async function extractFrameContent(frame) {
+  return frame.evaluate(processDocument, config);
+}
 
-  return result;
+// Screenshots of the example iframes of a page as data URIs, by their (canonical) src
+async function captureExampleFrames(frame) {
+  const screenshots = {};
+  for (const handle of await frame.$$('iframe[src]')) {
+    try {
+      const src = toCanonicalUrl(await handle.evaluate((el) => el.src));
+      const data = await handle.screenshot({ type: 'png', encoding: 'base64' });
+      screenshots[src] = `data:image/png;base64,${data}`;
+    } catch (error) {
+      log.debug(`Failed to capture an example frame: ${error.message}`);
+    }
+  }
+  log.debug(`Captured ${Object.keys(screenshots).length} example screenshot(s)`);
+  return screenshots;
 }
 
 // Add these functions before generateHTML
-function generateHeader() {
+function generatePlaceholder(link, error) {
+  return `
+    <h1>${escapeHTML(link.text)}</h1>
+    <div class="placeholder">
+      <p>This page could not be scraped: ${escapeHTML(error.message)}</p>
+      <p><a href="${escapeHTML(link.url)}" target="_blank" rel="noopener">View it on threejs.org</a></p>
+    </div>
+  `;
+}
+
+function generateFallbackNotice(lang) {
+  return `
+    <p class="fallbackNotice">
+      This page is not available in ${config.LANGUAGES[lang] || lang} yet; showing the English version.
+    </p>
+  `;
+}
+
+function generateHeader(options = {}) {
+  const {
+    lang = config.DEFAULT_LANGUAGE,
+    languages = [],
+    languageIndex = '../index.html',
+  } = options;
+  const languageLink =
+    languages.length > 1 ? `<a href="${languageIndex}">${config.LANGUAGES[lang] || lang}</a>` : '';
   return `
     <div id="header">
       <h1><a href="${config.BASE_URL}">three.js</a></h1>
       <div id="sections">
         <span class="selected">docs</span>
+        ${config.REVISION ? `<span class="revision">${config.REVISION}</span>` : ''}
+        ${languageLink}
       </div>
+      ${generatePreferencesMenu()}
       <div id="expandButton"></div>
     </div>
   `;
@@ -426,36 +801,44 @@ function generateSearch() {
       <input type="text" id="filterInput" placeholder="Search" autocorrect="off" autocapitalize="off" spellcheck="false" />
       <div id="clearSearchButton"></div>
     </div>
+    <div id="searchResults"></div>
   `;
 }
 
-function generateTableOfContents(documentation) {
-  const sections = documentation.reduce((acc, doc) => {
-    const section = doc.section || 'Reference';
-    if (!acc[section]) acc[section] = [];
-    acc[section].push(doc);
-    return acc;
-  }, {});
-
-  return Object.entries(sections)
-    .map(
-      ([section, docs]) => `
-      <h2>${section}</h2>
-      <div class="subsection">
-        <ul>
-          ${docs
+// Nested, collapsible tree of the panel's categories (see toc.js). Links point at
+// in-page anchors unless `getHref` maps entries to files (site output).
+function generateTableOfContents(documentation, options = {}) {
+  const { getHref = (doc) => `#${getDocAnchor(doc)}`, current = null } = options;
+
+  const renderNode = (node, depth) => {
+    const level = Math.min(depth + 2, 6);
+    return `
+      <details class="tocSection" open>
+        <summary><h${level}>${escapeHTML(node.title)}</h${level}></summary>
+        ${
+          node.docs.length > 0
+            ? `<ul>
+          ${node.docs
             .map(
               (doc) => `
             <li>
-              <a href="#${encodeURIComponent(doc.title)}">${doc.title}</a>
+              <a href="${getHref(doc)}" data-anchor="${getDocAnchor(doc)}"${
+                doc === current ? ' class="selected"' : ''
+              }>${escapeHTML(doc.title)}</a>
             </li>
           `
             )
             .join('')}
-        </ul>
-      </div>
-    `
-    )
+        </ul>`
+            : ''
+        }
+        ${node.children.map((child) => renderNode(child, depth + 1)).join('')}
+      </details>
+    `;
+  };
+
+  return buildTocTree(documentation)
+    .map((node) => renderNode(node, 0))
     .join('');
 }
 
@@ -463,7 +846,7 @@ function generateContent(documentation) {
   return documentation
     .map(
       (doc) => `
-      <div class="manual" id="${encodeURIComponent(doc.title)}">
+      <div class="manual" id="${getDocAnchor(doc)}">
         ${doc.content}
       </div>
     `
@@ -503,149 +886,1390 @@ function generateScript() {
 
       clearSearchButton.onclick = function() {
         filterInput.value = '';
+        filterInput.dispatchEvent(new Event('input'));
         filterInput.focus();
       };
+
+      // Keep the current page of the multi-page site in view
+      const selectedLink = document.querySelector('#content a.selected');
+      if (selectedLink) selectedLink.scrollIntoView({ block: 'center' });
+
+      // Highlight the page being read and its categories in the table of contents
+      const tocLinks = {};
+      document.querySelectorAll('#content a[data-anchor]').forEach(function(link) {
+        tocLinks[link.getAttribute('data-anchor')] = link;
+      });
+      let activeLink = null;
+
+      function setActive(anchor) {
+        const link = tocLinks[anchor];
+        if (!link || link === activeLink) return;
+        document.querySelectorAll('#content .active').forEach(function(element) {
+          element.classList.remove('active');
+        });
+        link.classList.add('active');
+        for (let section = link.closest('details'); section; section = section.parentElement.closest('details')) {
+          section.classList.add('active');
+          section.open = true;
+        }
+        if (!panel.classList.contains('searchFocused')) link.scrollIntoView({ block: 'nearest' });
+        activeLink = link;
+      }
+
+      if (window.IntersectionObserver) {
+        // A page is "being read" once it reaches the top fifth of the viewport
+        const observer = new IntersectionObserver(function(entries) {
+          entries.forEach(function(entry) {
+            if (entry.isIntersecting) setActive(entry.target.id);
+          });
+        }, { rootMargin: '0px 0px -80% 0px' });
+        document.querySelectorAll('#viewer .manual[id]').forEach(function(page) {
+          observer.observe(page);
+        });
+      }
+
+      // Copy buttons on code blocks (highlighted when the manual was generated)
+      if (navigator.clipboard) {
+        document.querySelectorAll('#viewer pre > code').forEach(function(code) {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'copyCode';
+          button.textContent = 'Copy';
+          button.addEventListener('click', function() {
+            navigator.clipboard.writeText(code.textContent).then(function() {
+              button.textContent = 'Copied';
+              setTimeout(function() { button.textContent = 'Copy'; }, 1500);
+            });
+          });
+          code.parentElement.append(button);
+        });
+      }
     </script>
   `;
 }
 
 // HTML generation functions
-function generateHTML(documentation) {
+function generateHTML(documentation, options = {}) {
+  const { lang = config.DEFAULT_LANGUAGE } = options;
   return `
     <!DOCTYPE html>
-    <html lang="en">
+    <html lang="${lang}">
       <head>
         ${generateHead()}
       </head>
       <body>
-        ${generateBody(documentation)}
+        ${generateBody(documentation, options)}
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * One page of the multi-page site: the manual's panel around a single entry (or the
+ * site's index/404 content). `root` is the prefix from `file` back to the site root.
+ */
+function generateSitePage(documentation, options) {
+  const { lang = config.DEFAULT_LANGUAGE, root, title, content, current = null } = options;
+  return `
+    <!DOCTYPE html>
+    <html lang="${lang}" data-root="${root}">
+      <head>
+        ${generateHead(title ? `${title} – ${getManualTitle()}` : getManualTitle())}
+      </head>
+      <body>
+        ${generatePanel(documentation, {
+          ...options,
+          current,
+          getHref: (doc) => `${root}${getSiteFile(doc)}`,
+          languageIndex: `${root}../../index.html`,
+        })}
+        <div id="viewer">
+          ${content}
+        </div>
+        <script src="${root}search-index.js"></script>
+        ${generateScript()}
+        ${generateSearchScript()}
+        ${generatePreferencesScript()}
+      </body>
+    </html>
+  `;
+}
+
+// Landing page of a multi-language build linking to each <lang>/index.html
+// (<lang>/site/index.html when only the multi-page site is built)
+function generateLanguageIndex(languages, entry = 'index.html') {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Three.js Documentation</title>
+        <style>
+          body { font-family: sans-serif; max-width: 480px; margin: 64px auto; padding: 0 16px; }
+          ul { list-style: none; padding: 0; }
+          li a { display: block; padding: 8px 0; font-size: 1.2em; }
+        </style>
+      </head>
+      <body>
+        <h1>three.js docs</h1>
+        <ul>
+          ${languages
+            .map(
+              (lang) => `
+            <li><a href="${lang}/${entry}" hreflang="${lang}">${config.LANGUAGES[lang]}</a></li>
+          `
+            )
+            .join('')}
+        </ul>
       </body>
     </html>
   `;
 }
 
-function generateHead() {
+function generateHead(title = getManualTitle()) {
   return `
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, user-scalable=no, minimum-scale=1.0, maximum-scale=1.0">
-    <title>Three.js Documentation</title>
+    <title>${escapeHTML(title)}</title>
     <link rel="shortcut icon" href="${config.BASE_URL}/files/favicon_white.ico" media="(prefers-color-scheme: dark)"/>
     <link rel="shortcut icon" href="${config.BASE_URL}/files/favicon.ico" media="(prefers-color-scheme: light)" />
     <link rel="stylesheet" type="text/css" href="${config.BASE_URL}/docs/page.css">
-    <script src="https://cdn.jsdelivr.net/gh/google/code-prettify@master/loader/run_prettify.js"></script>
+    ${generatePreferencesHeadScript()}
+    <style>
+      ${getHighlightStylesheet()}
+      ${generatePreferencesStyles()}
+      a.external::after { content: '\\2197'; font-size: 0.8em; margin-left: 2px; }
+      #searchResults ul { list-style: none; margin: 0 0 16px; padding: 0; }
+      #searchResults a { display: block; padding: 6px 8px; border-radius: 4px; text-decoration: none; }
+      #searchResults a.selected, #searchResults a:hover { background: rgba(8, 126, 232, 0.12); }
+      #searchResults .section { display: block; font-size: 0.75em; opacity: 0.6; }
+      #searchResults .snippet { display: block; font-size: 0.85em; opacity: 0.8; }
+      #searchResults .noResults { padding: 0 8px; opacity: 0.6; }
+      #sections .revision { opacity: 0.6; }
+      a.example img { display: block; max-width: 100%; border-radius: 4px; }
+      .exampleSource { margin: 16px 0; }
+      .exampleSource summary { cursor: pointer; }
+      .exampleSource pre { max-height: 480px; overflow: auto; }
+      #viewer pre { position: relative; }
+      .copyCode { position: absolute; top: 6px; right: 6px; padding: 2px 8px; font-size: 12px; border: 1px solid rgba(128, 128, 128, 0.4); border-radius: 4px; background: inherit; color: inherit; opacity: 0; cursor: pointer; }
+      #viewer pre:hover .copyCode, .copyCode:focus { opacity: 0.8; }
+      .fallbackNotice { padding: 8px 12px; border-left: 4px solid #f0ad4e; background: rgba(240, 173, 78, 0.12); }
+      #searchResults mark { background: rgba(255, 200, 0, 0.4); color: inherit; }
+      .pagination { display: flex; justify-content: space-between; gap: 16px; margin: 48px 0 24px; padding-top: 16px; border-top: 1px solid rgba(128, 128, 128, 0.3); }
+      .pagination .next { margin-left: auto; text-align: right; }
+      #content summary { cursor: pointer; list-style: none; }
+      #content summary::-webkit-details-marker { display: none; }
+      #content summary > * { display: inline-block; }
+      #content summary::before { content: '\\25BE'; display: inline-block; width: 1em; opacity: 0.5; }
+      #content details:not([open]) > summary::before { content: '\\25B8'; }
+      #content details details { margin-left: 1em; }
+      #content .tocSection.active > summary, #content a.active, #content a.selected { color: #049ef4; }
+    </style>
   `;
 }
 
-function generateBody(documentation) {
+// Navigation panel: header, search box and table of contents
+function generatePanel(documentation, options = {}) {
   return `
     <div id="panel">
-      ${generateHeader()}
+      ${generateHeader(options)}
       <div id="panelScrim"></div>
       <div id="contentWrapper">
         ${generateSearch()}
         <div id="content">
-          ${generateTableOfContents(documentation)}
+          ${generateTableOfContents(documentation, options)}
         </div>
       </div>
     </div>
+  `;
+}
+
+function generateBody(documentation, options = {}) {
+  return `
+    ${generatePanel(documentation, options)}
     <div id="viewer">
       ${generateContent(documentation)}
     </div>
+    ${generateSearchIndex(buildSearchIndex(documentation))}
     ${generateScript()}
+    ${generateSearchScript()}
+    ${generatePreferencesScript()}
   `;
 }
 
+function getManualTitle() {
+  return `Three.js Documentation${config.REVISION ? ` (${config.REVISION})` : ''}`;
+}
+
+// The content of each page is loaded from docs/<path>.html, so relative
+// references (e.g. resources/srgb_gamut.png) resolve against that URL
+function getPageUrl(doc) {
+  return doc.path ? `${getSourceUrl()}/docs/${doc.path}.html` : `${getSourceUrl()}/docs/index.html`;
+}
+
+// Fields of an extractContent result that are carried into the documentation model
+function getDocumentationFields(result) {
+  return {
+    content: highlightCodeBlocks(
+      config.EXAMPLE_MODE === 'screenshot'
+        ? replaceExampleFrames(result.content, result.screenshots)
+        : result.content
+    ),
+    text: result.text || '',
+    headings: result.headings || [],
+    members: result.members || [],
+  };
+}
+
+/**
+ * Pages come from a source: the live docs rendered in Puppeteer (below) or a local
+ * checkout (local-source.js). A source discovers links per language and extracts
+ * pages on workers it opens for the pool.
+ */
+function createBrowserSource(page, browser, server = null) {
+  // Page name -> docs path per language, for markup the docs left unexpanded
+  const pageIndexes = {};
+
+  return {
+    name: 'browser',
+    async extractLinks(lang) {
+      const links = await extractLinks(page, lang);
+      pageIndexes[lang] = createPageIndex(links);
+      return links;
+    },
+    openWorkers: (size) => createPagePool(browser, page, size),
+    closeWorkers: closePagePool,
+    extract: (poolPage, link) =>
+      extractContent(
+        poolPage,
+        link.url,
+        link.text,
+        pageIndexes[getLanguageFromUrl(link.url)] || pageIndexes[config.DEFAULT_LANGUAGE]
+      ),
+    async close() {
+      if (server) {
+        await server.close();
+        revisionSourceUrl = null;
+      }
+    },
+  };
+}
+
+// Extracts every page on the source's workers, isolating failures per page
+async function extractDocumentation(source, pagesToProcess, manifest, lang, emit = () => {}) {
+  let processedCount = 0;
+  const contentStartTime = Date.now();
+
+  const workers = await source.openWorkers(Math.min(config.CONCURRENCY, pagesToProcess.length));
+  log.debug(`Extracting content with ${workers.length} ${source.name} worker(s)`);
+
+  let documentation;
+  try {
+    documentation = await runPool(pagesToProcess, workers, async (link, worker) => {
+      const pageStartTime = Date.now();
+      const entry = {
+        title: link.text,
+        path: link.path,
+        url: link.url,
+        section: link.section || 'Reference',
+        categories: link.categories || [],
+        aliases: link.aliases || [],
+        text: '',
+        headings: [],
+        members: [],
+      };
+
+      const cached =
+        config.RESUME && manifest.isCompleted(link) ? await getFromCache(link.url) : null;
+      let outcome;
+      if (cached) {
+        log.debug(`Skipping ${link.text}: completed in a previous run`);
+        Object.assign(entry, getDocumentationFields(cached));
+        outcome = { status: 'skipped', durationMs: Date.now() - pageStartTime };
+      } else {
+        try {
+          const { content, attempts } = await extractContentWithRetry(source, worker, link);
+          Object.assign(entry, getDocumentationFields(content));
+          if (content.hasMalformedHTML) {
+            log.warn(`${link.text} has malformed HTML, run the validate command on the output`);
+          }
+          outcome = { status: 'ok', attempts, durationMs: Date.now() - pageStartTime };
+        } catch (error) {
+          log.error(`Skipping ${link.text} after ${error.attempts} attempts: ${error.message}`);
+          entry.content = generatePlaceholder(link, error);
+          entry.failed = true;
+          outcome = {
+            status: 'failed',
+            error: error.message,
+            attempts: error.attempts,
+            durationMs: Date.now() - pageStartTime,
+          };
+        }
+      }
+      await manifest.record(link, outcome);
+
+      if (link.fallback) {
+        entry.fallback = true;
+        entry.content = generateFallbackNotice(lang) + entry.content;
+      }
+
+      processedCount++;
+      emit('page', {
+        lang,
+        done: processedCount,
+        total: pagesToProcess.length,
+        title: link.text,
+        path: link.path,
+        ...outcome,
+      });
+      log.debug(
+        `Progress: ${processedCount}/${pagesToProcess.length} pages (${Math.round(
+          (processedCount / pagesToProcess.length) * 100
+        )}%)`
+      );
+      log.perf(`Page processing time for ${link.text}`, pageStartTime);
+      return entry;
+    });
+  } finally {
+    await source.closeWorkers(workers);
+  }
+
+  log.perf('Content extraction total time', contentStartTime);
+  log.debug(`Documentation assembly stats:
+    Total pages: ${documentation.length}
+    Total sections: ${new Set(documentation.map((d) => d.section)).size}
+    Fallback pages: ${documentation.filter((d) => d.fallback).length}
+    Average content size: ${Math.round(
+      documentation.reduce((acc, doc) => acc + Buffer.byteLength(doc.content, 'utf8'), 0) /
+        documentation.length
+    )} bytes
+  `);
+
+  return documentation;
+}
+
+/**
+ * A build runs pages through a pipeline: the source extracts them, transforms edit
+ * them one by one (see applyTransforms), then writers turn the link-resolved
+ * documentation into files. generator.js fills it in for the Node API.
+ */
+const DEFAULT_PIPELINE = {
+  // A source object like createBrowserSource's, instead of the browser or --local
+  source: null,
+  transforms: [],
+  // { name, write(documentation, context) } run after the built-in WRITERS
+  writers: [],
+  // Progress events: start, links, page, write
+  emit: () => {},
+  // false keeps the documentation in memory: no writers, no snapshot
+  write: true,
+};
+
+// Built-in writers in the order they run; each runs when one of its formats is requested.
+// Only the manuals made for reading get the example source panels (EXAMPLE_SOURCE)
+const WRITERS = [
+  {
+    name: 'markdown',
+    formats: ['markdown'],
+    write: (documentation, { outputDir }) => writeMarkdown(documentation, outputDir),
+  },
+  { name: 'corpus', formats: ['json', 'jsonl'], write: writeCorpus },
+  { name: 'epub', formats: ['epub'], write: writeEpub, examplePanels: true },
+  { name: 'pdf', formats: ['pdf'], write: writePdf, examplePanels: true },
+  { name: 'site', formats: ['site'], write: writeSite, examplePanels: true },
+  { name: 'html', formats: ['html'], write: writeHtml, examplePanels: true },
+];
+
+/**
+ * The HTML of an example page. Read through `fetch` for local sources, otherwise
+ * downloaded and kept in the page cache like the docs pages (without counting in
+ * cacheStats).
+ */
+async function fetchExampleSource(file, fetch = null) {
+  const useCache = config.USE_CACHE && !fetch;
+  const pageCache = getPageCache();
+  if (useCache) {
+    const cached = await pageCache.lookup(file, toSourceUrl(file));
+    log.debug(`Cache ${cached.status} for ${file}`);
+    if (cached.data) return cached.data.source;
+  }
+
+  const response = await (fetch || throttledFetch)(toSourceUrl(file));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} for ${toSourceUrl(file)}`);
+  }
+  const body = Buffer.from(await response.arrayBuffer());
+  if (useCache) {
+    await pageCache.write(
+      file,
+      { source: body.toString('utf8') },
+      {
+        etag: response.headers.get('etag') || null,
+        lastModified: response.headers.get('last-modified') || null,
+        contentHash: hashContent(body),
+      }
+    );
+  }
+  return body.toString('utf8');
+}
+
+/**
+ * Adds the source panels of the examples the pages link to (EXAMPLE_SOURCE). Examples
+ * that can't be fetched are left as plain links.
+ */
+async function addExampleSourcePanels(documentation, fetch = null) {
+  const files = new Set(
+    documentation.flatMap((doc) => findExampleLinks(doc.content).map((link) => link.file))
+  );
+  if (files.size === 0) return documentation;
+
+  const sources = new Map();
+  for (const file of files) {
+    try {
+      sources.set(file, await fetchExampleSource(file, fetch));
+    } catch (error) {
+      log.warn(`No source for example ${file}: ${error.message}`);
+    }
+  }
+  log.info(`Example sources: ${sources.size} of ${files.size} examples`);
+
+  return documentation.map((doc) => ({
+    ...doc,
+    content: addExampleSources(doc.content, sources),
+  }));
+}
+
+/**
+ * Runs `transforms` over every page, in order. A transform returns the page (or a
+ * replacement), null to leave the page out, or nothing to keep the page it changed.
+ */
+async function applyTransforms(documentation, transforms, context) {
+  if (transforms.length === 0) return documentation;
+
+  const transformed = [];
+  for (const doc of documentation) {
+    let current = doc;
+    for (const transform of transforms) {
+      const result = await transform(current, context);
+      if (result === null) {
+        log.debug(`Transform left out ${doc.title}`);
+        current = null;
+        break;
+      }
+      current = result ?? current;
+    }
+    if (current) transformed.push(current);
+  }
+  return transformed;
+}
+
+/**
+ * Resolves links and runs the writers of the requested formats (and the pipeline's
+ * own) on <outputDir>. Returns the resolved documentation and the files written.
+ */
+async function writeManual(
+  documentation,
+  { lang, outputDir, languages, formats, fetch = null, browser = null },
+  pipeline = DEFAULT_PIPELINE
+) {
+  const changelog =
+    isSubsetBuild() || !pipeline.write
+      ? null
+      : await compareWithPreviousBuild(documentation, lang, outputDir);
+  let pages = documentation;
+  if (config.WHATS_NEW && changelog?.changes && hasChanges(changelog.changes)) {
+    pages = [generateWhatsNew(changelog.changes), ...documentation];
+  }
+
+  const linkResolveStartTime = Date.now();
+  const { documentation: resolvedDocumentation, stats: linkStats } = resolveLinks(pages, {
+    baseUrl: config.BASE_URL,
+  });
+  for (const duplicate of linkStats.duplicates) {
+    log.warn(
+      `Duplicate page "${duplicate.title}" (${duplicate.path || 'no path'}) conflicts with ` +
+        `${duplicate.conflictsWith}, using anchor #${duplicate.anchor}`
+    );
+  }
+  log.debug(`Link resolution stats:
+    Internal links: ${linkStats.internal}
+    External links: ${linkStats.external}
+    Duplicate anchors: ${linkStats.duplicates.length}
+  `);
+  log.perf('Link resolution time', linkResolveStartTime);
+
+  if (!pipeline.write) {
+    return { documentation: resolvedDocumentation, outputs: [] };
+  }
+
+  log.debug(`Ensuring output directory exists: ${outputDir}`);
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const context = { lang, outputDir, languages, formats, fetch, browser, config };
+  const writers = [
+    ...WRITERS.filter((writer) => writer.formats.some((format) => formats.includes(format))),
+    ...pipeline.writers,
+  ];
+  const panelDocumentation =
+    config.EXAMPLE_SOURCE && writers.some((writer) => writer.examplePanels)
+      ? await addExampleSourcePanels(resolvedDocumentation, fetch)
+      : resolvedDocumentation;
+  const outputs = [];
+  for (const writer of writers) {
+    const files = [
+      (await writer.write(
+        writer.examplePanels ? panelDocumentation : resolvedDocumentation,
+        context
+      )) ?? [],
+    ].flat();
+    pipeline.emit('write', { lang, writer: writer.name, files });
+    outputs.push(...files);
+  }
+  if (changelog) {
+    outputs.push(...(await writeChangelog(changelog, { lang, outputDir, formats })));
+  }
+  return { documentation: resolvedDocumentation, outputs };
+}
+
+/**
+ * Snapshots `documentation` and diffs it against the snapshot the previous build left
+ * in <outputDir>/snapshot.json. `changes` is null when there is nothing to compare with.
+ */
+async function compareWithPreviousBuild(documentation, lang, outputDir) {
+  let previous = null;
+  try {
+    previous = JSON.parse(await fs.readFile(path.join(outputDir, 'snapshot.json'), 'utf8'));
+  } catch {
+    previous = null;
+  }
+  if (previous && (!isCompatibleSnapshot(previous) || previous.lang !== lang)) {
+    log.info('Previous build snapshot is not comparable, starting a new changelog');
+    previous = null;
+  }
+
+  const snapshot = createSnapshot(documentation, {
+    lang,
+    revision: config.REVISION || null,
+    previous,
+  });
+  const changes = previous ? diffSnapshots(previous, snapshot) : null;
+  if (changes) {
+    log.info(
+      `Changes since the previous build: ${changes.added.length} added, ` +
+        `${changes.removed.length} removed, ${changes.changed.length} changed pages`
+    );
+  }
+  return { snapshot, changes };
+}
+
+// The changelog as a documentation entry of its own, placed before the first page
+function generateWhatsNew(changes) {
+  const title = "What's New";
+  const content = generateChangelogHTML(changes, {
+    title,
+    getHref: (docPath) => `./index.html#${docPath}`,
+  });
+  return {
+    title,
+    anchor: 'whats-new',
+    url: null,
+    section: title,
+    categories: [title],
+    content,
+    text: content
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim(),
+    headings: [],
+    members: [],
+    generated: true,
+  };
+}
+
+// Writes snapshot.json for the next build and, when there was a previous one,
+// CHANGES.md / CHANGES.html
+async function writeChangelog({ snapshot, changes }, { lang, outputDir, formats }) {
+  const files = [];
+  if (changes) {
+    const title = `Changes in ${getManualTitle()}`;
+    const markdownPath = path.join(outputDir, 'CHANGES.md');
+    await fs.writeFile(
+      markdownPath,
+      generateChangelogMarkdown(changes, {
+        title,
+        getUrl: (docPath) => `${config.BASE_URL}/docs/index.html#${docPath}`,
+      })
+    );
+    files.push(markdownPath);
+
+    const getHref = (docPath) => {
+      if (formats.includes('html')) return `index.html#${getAnchorId(docPath)}`;
+      if (formats.includes('site')) return `site/${docPath}.html`;
+      return `${config.BASE_URL}/docs/index.html#${docPath}`;
+    };
+    const htmlPath = path.join(outputDir, 'CHANGES.html');
+    await fs.writeFile(
+      htmlPath,
+      `<!DOCTYPE html>
+<html lang="${lang}">
+  <head>
+    ${generateHead(title)}
+  </head>
+  <body>
+    <div class="manual">
+      ${generateChangelogHTML(changes, { title, getHref })}
+    </div>
+  </body>
+</html>
+`
+    );
+    files.push(htmlPath);
+    log.info(`Changelog saved to ${markdownPath} and ${htmlPath}`);
+  } else {
+    log.info('No previous build to compare with; the changelog starts with the next build');
+  }
+
+  await fs.writeFile(path.join(outputDir, 'snapshot.json'), JSON.stringify(snapshot));
+  return files;
+}
+
+// Writes the Markdown export (one file per page, or manual.md)
+async function writeMarkdown(documentation, outputDir) {
+  const startTime = Date.now();
+  const files = generateMarkdown(documentation, {
+    layout: config.MARKDOWN_LAYOUT,
+    baseUrl: config.BASE_URL,
+    getPageUrl,
+    title: getManualTitle(),
+  });
+
+  for (const { file, content } of files) {
+    const filePath = path.join(outputDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+
+  const location =
+    config.MARKDOWN_LAYOUT === 'single'
+      ? path.join(outputDir, files[0].file)
+      : path.join(outputDir, 'markdown');
+  log.perf('Markdown generation time', startTime);
+  log.info(`Markdown (${files.length} file(s)) saved to ${location}`);
+  return files.map(({ file }) => path.join(outputDir, file));
+}
+
+// Writes the structured corpus as corpus.json and/or corpus.jsonl
+async function writeCorpus(documentation, { lang, outputDir, formats }) {
+  const startTime = Date.now();
+  // Generated pages (What's New) are not part of the docs
+  const records = buildCorpus(documentation.filter((doc) => !doc.generated));
+  const files = [];
+
+  if (formats.includes('json')) {
+    const filePath = path.join(outputDir, 'corpus.json');
+    await fs.writeFile(
+      filePath,
+      generateCorpusJSON(records, { language: lang, revision: config.REVISION || null })
+    );
+    files.push(filePath);
+  }
+  if (formats.includes('jsonl')) {
+    const filePath = path.join(outputDir, 'corpus.jsonl');
+    await fs.writeFile(filePath, generateCorpusJSONL(records));
+    files.push(filePath);
+  }
+
+  log.debug(`Corpus stats:
+    Records: ${records.length}
+    Chunks: ${records.reduce((acc, record) => acc + record.chunks.length, 0)}
+    Properties: ${records.reduce((acc, record) => acc + record.properties.length, 0)}
+    Methods: ${records.reduce((acc, record) => acc + record.methods.length, 0)}
+  `);
+  log.perf('Corpus generation time', startTime);
+  log.info(`Corpus saved to ${files.join(', ')}`);
+  return files;
+}
+
+function createBundler(mode, fetch) {
+  return createAssetBundler({ mode, cacheDir: path.join(config.CACHE_DIR, 'assets'), fetch, log });
+}
+
+// The copy of the live examples in 'bundle' mode, downloaded (and cached) by `bundler`
+function createExamples(bundler) {
+  if (config.EXAMPLE_MODE !== 'bundle') return null;
+  return createExampleMirror({
+    download: (url) => bundler.download(toSourceUrl(url)),
+    baseUrl: config.BASE_URL,
+    log,
+  });
+}
+
+async function writeExamples(examples, outputDir) {
+  if (!examples) return;
+  const count = await examples.write(outputDir);
+  log.info(
+    `Examples: ${examples.stats.pages} pages (${count} files) copied to ${path.join(outputDir, 'examples')}`
+  );
+  if (examples.stats.failed > 0) {
+    log.warn(
+      `${examples.stats.failed} example page(s) could not be copied, they link to threejs.org`
+    );
+  }
+}
+
+// Writes manual.epub with images packaged into the book
+async function writeEpub(documentation, { lang, outputDir, fetch }) {
+  const startTime = Date.now();
+  const bundler = createBundler('folder', fetch);
+  const epub = await generateEpub(documentation, {
+    title: getManualTitle(),
+    lang,
+    baseUrl: config.BASE_URL,
+    getPageUrl,
+    bundler,
+  });
+
+  const outputPath = path.join(outputDir, 'manual.epub');
+  await fs.writeFile(outputPath, epub);
+  log.debug(`EPUB stats:
+    Chapters: ${documentation.length}
+    Images: ${bundler.listAssets().length}
+    Failed images: ${bundler.stats.failed}
+    Size: ${epub.length} bytes
+  `);
+  log.perf('EPUB generation time', startTime);
+  log.info(`EPUB saved to ${outputPath}`);
+  return outputPath;
+}
+
+// Prints manual.pdf in the scraper's browser, with images inlined beforehand
+async function writePdf(documentation, { lang, outputDir, fetch, browser }) {
+  if (!browser) {
+    throw new Error('PDF output requires a browser');
+  }
+  const startTime = Date.now();
+  const bundler = createBundler('inline', fetch);
+  const pages = [];
+  for (const doc of documentation) {
+    pages.push({ ...doc, content: await bundler.rewriteHtml(doc.content, getPageUrl(doc)) });
+  }
+
+  const html = generatePrintHTML(pages, {
+    title: getManualTitle(),
+    subtitle: config.LANGUAGES[lang],
+    lang,
+  });
+  const outputPath = path.join(outputDir, 'manual.pdf');
+  await renderPdf(browser, html, outputPath, { timeout: config.TIMEOUT * 4 });
+  log.perf('PDF generation time', startTime);
+  log.info(`PDF saved to ${outputPath}`);
+  return outputPath;
+}
+
+// Writes the multi-page site to <outputDir>/site with one file per entry
+async function writeSite(documentation, { lang, outputDir, languages, fetch }) {
+  const startTime = Date.now();
+  const siteDir = path.join(outputDir, 'site');
+  // Pages share one copy of each asset instead of inlining it everywhere
+  const bundler = createBundler(config.ASSET_MODE === 'remote' ? 'remote' : 'folder', fetch);
+  const examples = createExamples(bundler);
+  const findTarget = createTargetLookup(documentation);
+  const pageOptions = { lang, languages };
+  const siteUrl = config.SITE_URL
+    ? `${config.SITE_URL}/${languages.length > 1 ? `${lang}/` : ''}site`
+    : null;
+
+  // The page chrome links the site's own files, which remote mode leaves alone
+  const writePage = async (file, html, root = getRootPrefix(file)) => {
+    let output = html;
+    if (config.ASSET_MODE !== 'remote') {
+      output = await bundler.rewriteHtml(output, `${config.BASE_URL}/docs/index.html`);
+    }
+    output = prefixAssetRefs(output, root);
+    const filePath = path.join(siteDir, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, output);
+  };
+
+  for (const [i, doc] of documentation.entries()) {
+    const file = getSiteFile(doc);
+    let content = await bundler.rewriteHtml(
+      rewriteSiteLinks(doc.content, doc, findTarget),
+      getPageUrl(doc)
+    );
+    if (examples) content = await examples.rewriteHtml(content);
+    await writePage(
+      file,
+      generateSitePage(documentation, {
+        ...pageOptions,
+        root: getRootPrefix(file),
+        title: doc.title,
+        current: doc,
+        content: `
+          <div class="manual" id="${getDocAnchor(doc)}">
+            ${content}
+          </div>
+          ${generatePagination(doc, documentation[i - 1], documentation[i + 1])}
+        `,
+      })
+    );
+  }
+
+  await writePage(
+    'index.html',
+    generateSitePage(documentation, {
+      ...pageOptions,
+      root: '',
+      content: `
+        <div class="manual">
+          <h1>${escapeHTML(getManualTitle())}</h1>
+          ${generateTableOfContents(documentation, { getHref: getSiteFile })}
+        </div>
+      `,
+    })
+  );
+
+  // Served for any missing path, so links can't be relative to the 404 page itself
+  const siteRoot = siteUrl ? `${siteUrl}/` : '/';
+  await writePage(
+    '404.html',
+    generateSitePage(documentation, {
+      ...pageOptions,
+      root: siteRoot,
+      title: 'Page not found',
+      content: `
+        <div class="manual">
+          <h1>Page not found</h1>
+          <p>This page doesn't exist. <a href="${siteRoot}index.html">Browse the documentation</a> or search for it.</p>
+        </div>
+      `,
+    }),
+    siteRoot
+  );
+
+  await fs.writeFile(
+    path.join(siteDir, 'search-index.js'),
+    generateSearchIndexFile(buildSearchIndex(documentation, { getHref: getSiteFile }))
+  );
+
+  const files = ['index.html', ...documentation.map(getSiteFile)];
+  if (siteUrl) {
+    await fs.writeFile(path.join(siteDir, 'sitemap.xml'), generateSitemap(files, siteUrl));
+  } else {
+    log.info('Set SITE_URL (or --site-url) to write sitemap.xml');
+  }
+
+  if (config.ASSET_MODE !== 'remote') {
+    const assetCount = await bundler.writeAssets(siteDir);
+    log.debug(`Site assets: ${assetCount} files, ${bundler.stats.failed} failed`);
+  }
+  await writeExamples(examples, siteDir);
+  log.perf('Site generation time', startTime);
+  log.info(`Site (${files.length} pages) saved to ${siteDir}`);
+  return siteDir;
+}
+
+// Bundles assets (and examples) and writes <outputDir>/index.html
+async function writeHtml(documentation, { lang, outputDir, languages, fetch }) {
+  const bundler = createBundler(config.ASSET_MODE, fetch);
+  const examples = createExamples(bundler);
+
+  const assetStartTime = Date.now();
+  const pages = [];
+  for (const doc of documentation) {
+    let content = await bundler.rewriteHtml(doc.content, getPageUrl(doc));
+    if (examples) content = await examples.rewriteHtml(content);
+    pages.push({ ...doc, content });
+  }
+  log.perf('Content asset bundling time', assetStartTime);
+
+  const htmlStartTime = Date.now();
+  const html = await bundler.rewriteHtml(
+    generateHTML(pages, { lang, languages }),
+    `${config.BASE_URL}/docs/index.html`
+  );
+  log.perf('HTML generation time', htmlStartTime);
+
+  if (config.ASSET_MODE !== 'remote') {
+    const assetCount = await bundler.writeAssets(outputDir);
+    log.debug(`Asset bundling stats:
+    Mode: ${config.ASSET_MODE}
+    Downloaded: ${bundler.stats.downloaded}
+    From cache: ${bundler.stats.cached}
+    Failed: ${bundler.stats.failed}
+    Deduplicated: ${bundler.stats.deduplicated}
+    Files written: ${assetCount}
+  `);
+  }
+  await writeExamples(examples, outputDir);
+
+  const outputPath = path.join(outputDir, 'index.html');
+  log.debug(`Writing output file: ${outputPath} (${Buffer.byteLength(html, 'utf8')} bytes)`);
+  await fs.writeFile(outputPath, html);
+
+  log.info(`Output saved to ${outputPath}`);
+  return outputPath;
+}
+
 // Main scraping function
-async function scrapeDocumentation(page) {
-  if (!page) {
+async function scrapeDocumentation(page, browser = null, pipeline = DEFAULT_PIPELINE) {
+  if (!page && !config.LOCAL_SOURCE && !pipeline.source) {
     throw new Error('Page object is required');
   }
 
   const totalStartTime = Date.now();
+  const languages = parseLanguages(config.DOCS_LANG);
+  const formats = parseFormats(config.FORMATS);
+  if (!EXAMPLE_MODES.includes(config.EXAMPLE_MODE)) {
+    throw new Error(
+      `Unknown example mode "${config.EXAMPLE_MODE}". Available: ${EXAMPLE_MODES.join(', ')}`
+    );
+  }
+  config.REVISION = parseRevision(config.REVISION);
+  parseDuration(config.REFRESH_OLDER_THAN ?? config.CACHE_TTL);
+
   log.section('Starting Three.js Documentation Scraper');
   log.info('Mode:', config.DEV_MODE ? 'DEVELOPMENT' : 'PRODUCTION');
   log.debug(`Configuration:
     DEV_MODE: ${config.DEV_MODE}
-    DEV_PAGE_LIMIT: ${config.DEV_PAGE_LIMIT}
+    PAGE_LIMIT: ${getPageLimit() ?? 'none'}
+    SECTIONS: ${config.SECTIONS.join(', ') || 'all'}
+    PAGES: ${config.PAGES.join(', ') || 'all'}
+    TITLES: ${config.TEXT.join(', ') || 'all'}
+    PAGE_LIST: ${config.PAGE_LIST || 'none'}
+    EXCLUDE: ${[...config.EXCLUDE_SECTIONS, ...config.EXCLUDE_PAGES, ...config.EXCLUDE_TEXT].join(', ') || 'none'}
+    PRESET: ${config.PRESET || 'none'}
+    LANGUAGES: ${languages.join(', ')}
+    REVISION: ${config.REVISION || 'live'}
+    SOURCE: ${pipeline.source?.name || (config.LOCAL_SOURCE ? `local (${config.LOCAL_SOURCE})` : 'browser')}
     TIMEOUT: ${config.TIMEOUT}ms
+    CONCURRENCY: ${config.CONCURRENCY}
+    REQUEST_INTERVAL: ${config.REQUEST_INTERVAL}ms
     USE_CACHE: ${config.USE_CACHE}
     CACHE_VERSION: ${config.CACHE_VERSION}
+    CACHE_TTL: ${config.REFRESH_OLDER_THAN ?? config.CACHE_TTL ?? 'none'}
+    ASSET_MODE: ${config.ASSET_MODE}
+    EXAMPLE_MODE: ${config.EXAMPLE_MODE}
+    EXAMPLE_SOURCE: ${config.EXAMPLE_SOURCE}
+    SITE_URL: ${config.SITE_URL || 'not set'}
+    FORMATS: ${formats.join(', ')}${formats.includes('markdown') ? ` (${config.MARKDOWN_LAYOUT})` : ''}
   `);
 
-  if (CLEAR_CACHE) {
+  if (config.CLEAR_CACHE) {
     log.info('Clear cache flag detected');
     await initializeCache();
     log.info('Cache cleared. Exiting...');
-    return;
+    return null;
   }
 
   await initializeCache();
 
+  pipeline.emit('start', { languages, formats });
+  const source = pipeline.source || (await openSource(page, browser));
+  if (config.EXAMPLE_MODE === 'screenshot' && source.name !== 'browser') {
+    log.warn('Example screenshots are taken in the browser source; pages link to them instead');
+  }
+  let result;
+  try {
+    result = await buildManuals(source, languages, formats, browser, pipeline);
+  } finally {
+    if (!pipeline.source) await source.close();
+  }
+  log.perf('Total execution time', totalStartTime);
+  return result;
+}
+
+// Builds with the configured source, opening a browser only when one is needed
+async function buildDocumentation(pipeline = DEFAULT_PIPELINE) {
+  const ownSource = Boolean(pipeline.source || config.LOCAL_SOURCE);
+  // Sources other than the browser only need one to print the PDF
+  const needsBrowser = !ownSource || parseFormats(config.FORMATS).includes('pdf');
+  log.debug(`Starting documentation build${ownSource ? ' without the browser source' : ''}`);
+  return withBrowser((page, browser) => scrapeDocumentation(page, browser, pipeline), needsBrowser);
+}
+
+// The local checkout when --local is set, otherwise the browser (on a pinned release if set)
+async function openSource(page, browser) {
+  if (config.LOCAL_SOURCE) return openLocalSource();
+  return createBrowserSource(
+    page,
+    browser,
+    config.REVISION ? await serveRevision(config.REVISION) : null
+  );
+}
+
+// Serves the docs of a pinned release locally and navigates pages there
+async function serveRevision(revision) {
+  log.section(`Pinning three.js ${revision}`);
+  const rootDir = await prepareRevisionSource({
+    revision,
+    source: config.REVISION_SOURCE,
+    cacheDir: path.join(config.CACHE_DIR, 'revisions'),
+    log,
+  });
+  const server = await startStaticServer(rootDir);
+  revisionSourceUrl = server.url;
+  log.info(`Serving ${rootDir} at ${server.url}`);
+  return server;
+}
+
+// Reads pages straight from a checkout or tarball (verified against --revision if set)
+async function openLocalSource() {
+  log.section(`Reading local source ${config.LOCAL_SOURCE}`);
+  const rootDir = await prepareRevisionSource({
+    revision: config.REVISION,
+    source: config.LOCAL_SOURCE,
+    cacheDir: path.join(config.CACHE_DIR, 'revisions'),
+    log,
+  });
+  log.info(`Building from ${rootDir} without a browser`);
+  return createLocalSource(rootDir, config);
+}
+
+function getPageLimit() {
+  return config.PAGE_LIMIT ?? (config.DEV_MODE ? config.DEV_PAGE_LIMIT : null);
+}
+
+// The include/exclude filters of --section, --pages, --title and --exclude-*
+function getPageFilters() {
+  return {
+    sections: config.SECTIONS,
+    pages: config.PAGES,
+    text: config.TEXT,
+    excludeSections: config.EXCLUDE_SECTIONS,
+    excludePages: config.EXCLUDE_PAGES,
+    excludeText: config.EXCLUDE_TEXT,
+  };
+}
+
+// Partial builds (filters, a limit or DEV_MODE) leave the changelog snapshot alone
+function isSubsetBuild() {
+  return getPageLimit() !== null || Boolean(config.PAGE_LIST) || hasFilters(getPageFilters());
+}
+
+// The page filters plus the paths of --page-list, warning about paths not in `links`
+async function loadPageSelection(links) {
+  const pageList = config.PAGE_LIST
+    ? parsePageList(await fs.readFile(config.PAGE_LIST, 'utf8'))
+    : [];
+  findUnknownPages(links, pageList).forEach((docPath) => {
+    log.warn(`${config.PAGE_LIST}: ${docPath} is not in the docs panel`);
+  });
+  return { ...getPageFilters(), pageList };
+}
+
+// The pages of `links` selected by the filters and --limit (or DEV_MODE)
+function selectConfiguredPages(links, selection) {
+  return selectPages(links, { ...selection, limit: getPageLimit() });
+}
+
+// The links of `lang`, translated pages lined up with the English ones
+async function getLanguageLinks(source, lang, englishLinks) {
+  if (lang === config.DEFAULT_LANGUAGE) return englishLinks;
+  const translatedLinks = await source.extractLinks(lang);
+  const links = mergeTranslatedLinks(englishLinks, translatedLinks, lang);
+  log.info(
+    `${translatedLinks.length} translated pages, ${links.filter((l) => l.fallback).length} English fallbacks`
+  );
+  return links;
+}
+
+/**
+ * Builds the manual of every language from `source`. Returns { manuals, summary }:
+ * per language { lang, documentation, outputs }, and the run manifest summary.
+ */
+async function buildManuals(
+  source,
+  languages,
+  formats,
+  browser = null,
+  pipeline = DEFAULT_PIPELINE
+) {
+  const multiLanguage = languages.length > 1;
+  const manifest = await createRunManifest(config.MANIFEST_FILE, { resume: config.RESUME });
+
+  // English is the canonical page list that translations are matched against
   const linkStartTime = Date.now();
-  const links = await extractLinks(page);
+  const englishLinks = await source.extractLinks(config.DEFAULT_LANGUAGE);
   log.perf('Link extraction total time', linkStartTime);
+  const selection = await loadPageSelection(englishLinks);
+
+  const processedLinks = [];
+  const manuals = [];
+  for (const lang of languages) {
+    log.section(`Building ${config.LANGUAGES[lang]} (${lang})`);
+
+    const links = await getLanguageLinks(source, lang, englishLinks);
+
+    // The manifest tells the languages' pages apart by their lang
+    const pagesToProcess = selectConfiguredPages(links, selection).map((link) => ({
+      ...link,
+      lang,
+    }));
+    if (pagesToProcess.length === 0) {
+      throw new Error('No pages match the page filters (try the list-pages command)');
+    }
+    log.debug(`Processing ${pagesToProcess.length} of ${links.length} pages`);
+    pipeline.emit('links', { lang, total: links.length, selected: pagesToProcess.length });
+
+    if (config.RESUME) {
+      const previous = manifest.summary(pagesToProcess);
+      log.info(
+        `Resuming previous run: ${previous.ok + previous.skipped}/${previous.total} pages completed`
+      );
+    }
+
+    const extracted = await extractDocumentation(
+      source,
+      pagesToProcess,
+      manifest,
+      lang,
+      pipeline.emit
+    );
+    const documentation = await applyTransforms(extracted, pipeline.transforms, { lang, config });
+    const manual = await writeManual(
+      documentation,
+      {
+        lang,
+        languages,
+        formats,
+        fetch: source.fetch,
+        browser,
+        outputDir: multiLanguage ? path.join(config.OUTPUT_DIR, lang) : config.OUTPUT_DIR,
+      },
+      pipeline
+    );
+    manuals.push({ lang, ...manual });
+    processedLinks.push(...pagesToProcess);
+  }
+
+  const writesIndex = formats.includes('html') || formats.includes('site');
+  if (multiLanguage && pipeline.write && writesIndex) {
+    const indexPath = path.join(config.OUTPUT_DIR, 'index.html');
+    await fs.writeFile(
+      indexPath,
+      generateLanguageIndex(languages, formats.includes('html') ? 'index.html' : 'site/index.html')
+    );
+    log.info(`Language index saved to ${indexPath}`);
+  }
 
-  const pagesToProcess = config.DEV_MODE ? links.slice(0, config.DEV_PAGE_LIMIT) : links;
-  log.debug(
-    `Processing ${pagesToProcess.length} pages${config.DEV_MODE ? ' (limited by DEV_MODE)' : ''}`
+  const summary = manifest.summary(processedLinks);
+  log.section('Run Summary');
+  log.info(
+    `Pages: ${summary.total}, ok: ${summary.ok}, skipped: ${summary.skipped}, failed: ${summary.failed}`
   );
+  summary.failures.forEach((failure) => log.error(`${failure.title}: ${failure.error}`));
+  if (config.USE_CACHE && source.name === 'browser') {
+    log.info(
+      `Cache: ${cacheStats.fresh} fresh, ${cacheStats.unchanged} unchanged, ` +
+        `${cacheStats.changed} changed, ${cacheStats.miss} new`
+    );
+  }
+  log.info(`Run manifest saved to ${config.MANIFEST_FILE}`);
 
-  const documentation = [];
-  let processedCount = 0;
-  const contentStartTime = Date.now();
+  if (summary.failureRate > config.MAX_FAILURE_RATE) {
+    throw new Error(
+      `Failure rate ${Math.round(summary.failureRate * 100)}% exceeds threshold of ${Math.round(
+        config.MAX_FAILURE_RATE * 100
+      )}% (rerun with --resume to retry failed pages)`
+    );
+  }
+  return { manuals, summary };
+}
 
-  for (const link of pagesToProcess) {
-    const pageStartTime = Date.now();
-    const content = await extractContent(page, link.url, link.text);
-    documentation.push({
-      title: link.text,
-      content: content.content,
-      section: link.section || 'Reference',
-    });
-    processedCount++;
-    log.debug(
-      `Progress: ${processedCount}/${pagesToProcess.length} pages (${Math.round(
-        (processedCount / pagesToProcess.length) * 100
-      )}%)`
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// `cache clear`, `cache stats` and `cache prune [--older-than <duration>]`
+async function runCacheCommand(command) {
+  const pageCache = getPageCache();
+  if (command === 'clear') {
+    await fs.rm(config.CACHE_DIR, { recursive: true, force: true });
+    log.info(`Cleared ${config.CACHE_DIR}`);
+    return null;
+  }
+  if (command === 'stats') {
+    const stats = await pageCache.stats();
+    const languages = Object.entries(stats.languages)
+      .map(([lang, count]) => `${lang}: ${count}`)
+      .join(', ');
+    log.info(`Page cache ${config.CACHE_DIR} (version ${config.CACHE_VERSION}):
+    Entries: ${stats.entries} (${formatBytes(stats.bytes)})
+    Fresh: ${stats.fresh}, stale: ${stats.stale}, outdated: ${stats.outdated}
+    Languages: ${languages || 'none'}
+    Oldest: ${stats.oldest || '-'}
+    Newest: ${stats.newest || '-'}`);
+    return stats;
+  }
+  if (command === 'prune') {
+    const result = await pageCache.prune({ olderThan: parseDuration(config.OLDER_THAN) });
+    log.info(
+      `Removed ${result.removed} cached pages (${formatBytes(result.bytes)}), kept ${result.kept}`
     );
-    log.perf(`Page processing time for ${link.text}`, pageStartTime);
+    return result;
   }
+  throw new Error(`Unknown cache command "${command}". Available: clear, stats, prune`);
+}
 
-  log.perf('Content extraction total time', contentStartTime);
-  log.debug(`Documentation assembly stats:
-    Total pages: ${documentation.length}
-    Total sections: ${new Set(documentation.map((d) => d.section)).size}
-    Average content size: ${Math.round(
-      documentation.reduce((acc, doc) => acc + Buffer.byteLength(doc.content, 'utf8'), 0) /
-        documentation.length
-    )} bytes
-  `);
+// Prints the pages a build would include, per language
+async function listPages(page, browser = null) {
+  const languages = parseLanguages(config.DOCS_LANG);
+  config.REVISION = parseRevision(config.REVISION);
+  const source = await openSource(page, browser);
+  const pages = [];
+  try {
+    const englishLinks = await source.extractLinks(config.DEFAULT_LANGUAGE);
+    const selection = await loadPageSelection(englishLinks);
+    for (const lang of languages) {
+      const links = selectConfiguredPages(
+        await getLanguageLinks(source, lang, englishLinks),
+        selection
+      );
+      pages.push(
+        ...links.map((link) => ({
+          lang,
+          path: link.path,
+          title: link.text,
+          categories: link.categories?.length > 0 ? link.categories : [link.section],
+          fallback: Boolean(link.fallback),
+        }))
+      );
+    }
+  } finally {
+    await source.close();
+  }
 
-  const htmlStartTime = Date.now();
-  const html = generateHTML(documentation);
-  log.perf('HTML generation time', htmlStartTime);
+  if (config.JSON) {
+    console.log(JSON.stringify(pages, null, 2));
+  } else {
+    pages.forEach((entry) => {
+      const fallback = entry.fallback ? ' (English fallback)' : '';
+      console.log(`${entry.path}\t${entry.categories.join(' > ')}\t${entry.title}${fallback}`);
+    });
+    log.info(`${pages.length} pages`);
+  }
+  return pages;
+}
 
-  log.debug(`Ensuring output directory exists: ${config.OUTPUT_DIR}`);
-  await fs.mkdir(config.OUTPUT_DIR, { recursive: true });
+// The .html files of `target`, a file or a directory
+async function findHtmlFiles(target) {
+  if (!(await fs.stat(target)).isDirectory()) return [target];
+  const entries = await fs.readdir(target, { withFileTypes: true, recursive: true });
+  return entries
+    .filter((entry) => entry.isFile() && entry.name.endsWith('.html'))
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort();
+}
 
-  const outputPath = path.join(config.OUTPUT_DIR, 'index.html');
-  log.debug(`Writing output file: ${outputPath} (${Buffer.byteLength(html, 'utf8')} bytes)`);
-  await fs.writeFile(outputPath, html);
+/**
+ * Checks the generated manual(s) with validate.js: `files` (files or directories)
+ * relative to OUTPUT_DIR, by default the index.html of every language that was built.
+ * Writes the --report and throws when an issue type exceeds its --max-issues.
+ */
+async function validateOutput(files = []) {
+  const thresholds = parseThresholds(config.MAX_ISSUES);
+  let targets = files;
+  if (targets.length === 0) {
+    const languages = parseLanguages(config.DOCS_LANG);
+    targets =
+      languages.length > 1
+        ? languages.map((lang) => path.join(lang, 'index.html'))
+        : ['index.html'];
+  }
 
-  log.info(`Output saved to ${outputPath}`);
-  log.perf('Total execution time', totalStartTime);
+  const results = [];
+  for (const target of targets) {
+    for (const filePath of await findHtmlFiles(path.join(config.OUTPUT_DIR, target))) {
+      results.push(await validateFile(filePath, { minPageLength: config.MIN_PAGE_LENGTH }));
+    }
+  }
+  const summary = summarizeValidation(results, thresholds);
+
+  const failing = new Set(summary.exceeded.map((item) => item.type));
+  for (const result of results) {
+    result.issues.forEach((issue) => {
+      const where = issue.page ? ` (#${issue.page})` : '';
+      const message = `${result.file}${where}: ${issue.message}`;
+      if (failing.has(issue.type)) log.error(message);
+      else log.debug(message);
+    });
+  }
+  log.info(
+    `Validated ${results.length} file(s): ` +
+      Object.entries(summary.counts)
+        .map(([type, count]) => `${type} ${count}`)
+        .join(', ')
+  );
+
+  if (config.REPORT_FILE) {
+    const junit = config.REPORT_FILE.endsWith('.xml');
+    await fs.mkdir(path.dirname(config.REPORT_FILE), { recursive: true });
+    await fs.writeFile(
+      config.REPORT_FILE,
+      junit ? generateJUnitReport(summary) : generateJsonReport(summary)
+    );
+    log.info(`Validation report saved to ${config.REPORT_FILE}`);
+  }
+
+  if (!summary.passed) {
+    const exceeded = summary.exceeded.map((item) => `${item.type} ${item.count} > ${item.max}`);
+    throw new Error(`Validation failed: ${exceeded.join(', ')}`);
+  }
+  return summary;
 }
 
-// Main function to handle browser lifecycle
-const main = async () => {
+// Serves OUTPUT_DIR until the process is stopped
+async function serveOutput() {
+  const server = await startStaticServer(config.OUTPUT_DIR, { port: config.PORT });
+  log.info(`Serving ${config.OUTPUT_DIR} at ${server.url} (Ctrl+C to stop)`);
+  return server;
+}
+
+// Runs `task(page, browser)` with a browser when the configured source needs one
+async function withBrowser(task, needsBrowser = !config.LOCAL_SOURCE) {
+  if (!needsBrowser) return task(null, null);
+
   const { browser, page } = await createBrowser();
   try {
-    log.debug('Starting documentation scraping');
-    await scrapeDocumentation(page);
+    return await task(page, browser);
   } finally {
     log.debug('Closing browser');
     await browser.close();
   }
+}
+
+// Parses the command line (see cli.js) and runs the command
+const main = async (argv = process.argv.slice(2)) => {
+  const { command, args, options } = parseArgs(argv);
+  if (options.HELP) {
+    console.log(generateHelp());
+    return;
+  }
+  const fileOptions = await loadConfigFile(options.CONFIG_FILE ?? process.env.DOCS_CONFIG ?? null);
+  applyOptions(resolveOptions(options, fileOptions, process.env));
+
+  if (command === 'cache') {
+    await runCacheCommand(args[0]);
+    return;
+  }
+  if (command === 'validate') {
+    await validateOutput(args);
+    return;
+  }
+  if (command === 'serve') {
+    await serveOutput();
+    return;
+  }
+  if (command === 'list-pages') {
+    await withBrowser(listPages);
+    return;
+  }
+
+  await buildDocumentation();
 };
 
 // Run scraper if file is executed directly
@@ -654,7 +2278,8 @@ if (require.main === module) {
     try {
       await main();
     } catch (error) {
-      log.error('Scraping failed:', error);
+      log.error(error.message);
+      log.debug(error.stack);
       process.exit(1);
     }
   })();
@@ -663,6 +2288,9 @@ if (require.main === module) {
 // Export functions for testing
 module.exports = {
   scrapeDocumentation,
+  buildDocumentation,
+  applyOptions,
+  WRITERS,
   extractLinks,
   extractContent,
   generateHTML,
@@ -671,8 +2299,15 @@ module.exports = {
   generateTableOfContents,
   generateContent,
   generateScript,
+  generateLanguageIndex,
+  mergeTranslatedLinks,
+  parseLanguages,
+  parseFormats,
   getFromCache,
   saveToCache,
+  runCacheCommand,
+  listPages,
+  validateOutput,
   config,
   main,
 };
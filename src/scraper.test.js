@@ -1,4 +1,5 @@
 const { describe, test, expect, beforeEach, jest: jestGlobal } = require('@jest/globals');
+const { Buffer } = require('node:buffer');
 let scraper; // Will hold the module for reloading
 
 // Mock fs/promises
@@ -16,6 +17,8 @@ jest.mock('puppeteer', () => ({
     newPage: jest.fn().mockResolvedValue({
       setDefaultTimeout: jest.fn(),
       goto: jest.fn(),
+      on: jest.fn(),
+      off: jest.fn(),
       waitForSelector: jest.fn(),
       $: jest.fn(),
       evaluate: jest.fn(),
@@ -26,6 +29,7 @@ jest.mock('puppeteer', () => ({
 describe('Three.js Documentation Scraper', () => {
   let mockPage;
   let originalConsole;
+  let originalFetch;
 
   beforeEach(() => {
     // Save original console
@@ -39,12 +43,18 @@ describe('Three.js Documentation Scraper', () => {
     // Reset all mocks
     jestGlobal.clearAllMocks();
 
+    // Asset downloads are offline during tests
+    originalFetch = global.fetch;
+    global.fetch = jest.fn().mockRejectedValue(new Error('Network disabled in tests'));
+
     // Clear module cache to reset state
     jest.resetModules();
 
     // Create mock page object
     mockPage = {
       goto: jest.fn().mockResolvedValue(undefined),
+      on: jest.fn(),
+      off: jest.fn(),
       waitForSelector: jest.fn().mockResolvedValue(undefined),
       $: jest.fn().mockResolvedValue({
         contentFrame: jest.fn().mockResolvedValue({
@@ -72,6 +82,7 @@ describe('Three.js Documentation Scraper', () => {
     console.log = originalConsole.log;
     console.error = originalConsole.error;
     console.warn = originalConsole.warn;
+    global.fetch = originalFetch;
   });
 
   test('extractLinks should return array of links', async () => {
@@ -106,17 +117,13 @@ describe('Three.js Documentation Scraper', () => {
   });
 
   test('scrapeDocumentation should handle clear cache flag', async () => {
-    // Set clear cache flag before requiring the module
-    process.argv.push('--clear-cache');
     scraper = require('./scraper');
+    scraper.applyOptions({ CLEAR_CACHE: true });
 
     await scraper.scrapeDocumentation(mockPage);
 
     const fs = require('fs/promises');
     expect(fs.rm).toHaveBeenCalled();
-
-    // Clean up
-    process.argv.pop();
   });
 
   test('scrapeDocumentation should limit pages in DEV_MODE', async () => {
@@ -154,12 +161,273 @@ describe('Three.js Documentation Scraper', () => {
     await scraper.scrapeDocumentation(mockPage);
 
     // Verify that writeFile was called for each page plus the final HTML file
-    expect(fs.writeFile).toHaveBeenCalledTimes(11);
+    const writtenFiles = fs.writeFile.mock.calls.map(([file]) => file);
+    expect(writtenFiles.filter((file) => /_v\d+\.json$/.test(file))).toHaveLength(10);
+    expect(writtenFiles.filter((file) => file.endsWith('index.html'))).toHaveLength(1);
 
     // Clean up
     process.env.DEV_MODE = 'false';
   });
 
+  test('scrapeDocumentation should isolate page failures and record them in the manifest', async () => {
+    scraper = require('./scraper');
+    scraper.config.RETRY_DELAY = 0;
+    scraper.config.MAX_FAILURE_RATE = 1;
+
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValue(new Error('No cache'));
+
+    mockPage.evaluate.mockResolvedValue([
+      { url: 'https://threejs.org/docs/#api/en/Good', text: 'Good', path: 'api/en/Good' },
+      { url: 'https://threejs.org/docs/#api/en/Bad', text: 'Bad <Page>', path: 'api/en/Bad' },
+    ]);
+    mockPage.goto.mockImplementation(async (url) => {
+      if (url.endsWith('/Bad')) throw new Error('net::ERR_FAILED');
+    });
+
+    await scraper.scrapeDocumentation(mockPage);
+
+    // The initial attempt plus PAGE_RETRIES retries
+    const badAttempts = mockPage.goto.mock.calls.filter(([url]) => url.endsWith('/Bad'));
+    expect(badAttempts).toHaveLength(scraper.config.PAGE_RETRIES + 1);
+
+    const html = fs.writeFile.mock.calls.find(([file]) => file.endsWith('index.html'))[1];
+    expect(html).toContain('Test content');
+    expect(html).toContain('This page could not be scraped: net::ERR_FAILED');
+    expect(html).toContain('<h1>Bad &lt;Page&gt;</h1>');
+
+    const manifestWrites = fs.writeFile.mock.calls.filter(([file]) =>
+      file.endsWith('run-manifest.json')
+    );
+    const manifest = JSON.parse(manifestWrites[manifestWrites.length - 1][1]);
+    expect(manifest.pages['en https://threejs.org/docs/#api/en/Good'].status).toBe('ok');
+    expect(manifest.pages['en https://threejs.org/docs/#api/en/Bad']).toMatchObject({
+      status: 'failed',
+      error: 'net::ERR_FAILED',
+      attempts: 3,
+    });
+  });
+
+  test('scrapeDocumentation should fail when the failure rate exceeds the threshold', async () => {
+    scraper = require('./scraper');
+    scraper.config.RETRY_DELAY = 0;
+
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValue(new Error('No cache'));
+    mockPage.goto.mockImplementation(async (url) => {
+      if (url.includes('#api/')) throw new Error('net::ERR_FAILED');
+    });
+
+    await expect(scraper.scrapeDocumentation(mockPage)).rejects.toThrow(
+      'Failure rate 100% exceeds threshold'
+    );
+
+    // The partial output is still written
+    const writtenFiles = fs.writeFile.mock.calls.map(([file]) => file);
+    expect(writtenFiles.filter((file) => file.endsWith('index.html'))).toHaveLength(1);
+  });
+
+  test('scrapeDocumentation should skip pages completed in a previous run with --resume', async () => {
+    scraper = require('./scraper');
+    scraper.applyOptions({ RESUME: true });
+
+    const url = 'https://threejs.org/docs/#api/en/Test';
+    const fs = require('fs/promises');
+    fs.readFile.mockImplementation(async (file) => {
+      if (file.endsWith('run-manifest.json')) {
+        return JSON.stringify({ pages: { [`en ${url}`]: { status: 'ok' } } });
+      }
+      return JSON.stringify({
+        url,
+        fetchedAt: new Date().toISOString(),
+        extractorVersion: scraper.config.CACHE_VERSION,
+        data: { title: 'Test Page', content: '<div>Cached content</div>' },
+      });
+    });
+
+    await scraper.scrapeDocumentation(mockPage);
+
+    // Only the link discovery navigation happens
+    expect(mockPage.goto).toHaveBeenCalledTimes(1);
+    const manifestWrites = fs.writeFile.mock.calls.filter(([file]) =>
+      file.endsWith('run-manifest.json')
+    );
+    const manifest = JSON.parse(manifestWrites[manifestWrites.length - 1][1]);
+    expect(manifest.pages[`en ${url}`].status).toBe('skipped');
+  });
+
+  test('parseLanguages should accept a code, a list or "all"', () => {
+    scraper = require('./scraper');
+
+    expect(scraper.parseLanguages(null)).toEqual(['en']);
+    expect(scraper.parseLanguages('zh')).toEqual(['zh']);
+    expect(scraper.parseLanguages('en, ja,en')).toEqual(['en', 'ja']);
+    expect(scraper.parseLanguages('all')).toEqual(Object.keys(scraper.config.LANGUAGES));
+    expect(() => scraper.parseLanguages('xx')).toThrow('Unknown language(s): xx');
+  });
+
+  test('parseFormats should accept a list of output formats', () => {
+    scraper = require('./scraper');
+
+    expect(scraper.parseFormats(null)).toEqual(['html']);
+    expect(scraper.parseFormats('html,md, markdown')).toEqual(['html', 'markdown']);
+    expect(scraper.parseFormats('epub,pdf')).toEqual(['epub', 'pdf']);
+    expect(() => scraper.parseFormats('docx')).toThrow('Unknown format(s): docx');
+
+    scraper.config.MARKDOWN_LAYOUT = 'chapters';
+    expect(() => scraper.parseFormats('markdown')).toThrow('Unknown Markdown layout "chapters"');
+  });
+
+  test('mergeTranslatedLinks should fall back to English for untranslated pages', () => {
+    scraper = require('./scraper');
+
+    const english = [
+      { url: 'u1', text: 'Installation', path: 'manual/en/introduction/Installation' },
+      { url: 'u2', text: 'Object3D', path: 'api/en/core/Object3D' },
+    ];
+    const translated = [
+      { url: 'u3', text: '安装', path: 'manual/zh/introduction/Installation' },
+      { url: 'u4', text: '仅中文', path: 'manual/zh/introduction/Only' },
+    ];
+
+    const merged = scraper.mergeTranslatedLinks(english, translated, 'zh');
+
+    expect(merged).toEqual([
+      { ...translated[0], aliases: ['manual/en/introduction/Installation'] },
+      { ...english[1], aliases: ['api/zh/core/Object3D'], fallback: true },
+      translated[1],
+    ]);
+  });
+
+  test('scrapeDocumentation should build one manual per language plus an index', async () => {
+    scraper = require('./scraper');
+    scraper.applyOptions({ DOCS_LANG: 'en,zh' });
+
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValue(new Error('No cache'));
+
+    mockPage.reload = jest.fn().mockResolvedValue(undefined);
+    mockPage.evaluate
+      .mockResolvedValueOnce([
+        { url: 'https://threejs.org/docs/#api/en/A', text: 'A', path: 'api/en/A' },
+        { url: 'https://threejs.org/docs/#api/en/B', text: 'B', path: 'api/en/B' },
+      ])
+      .mockResolvedValueOnce(undefined)
+      .mockResolvedValueOnce([
+        { url: 'https://threejs.org/docs/#api/zh/A', text: 'A (zh)', path: 'api/zh/A' },
+      ]);
+
+    await scraper.scrapeDocumentation(mockPage);
+
+    expect(mockPage.reload).toHaveBeenCalledTimes(1);
+    const outputs = Object.fromEntries(
+      fs.writeFile.mock.calls.filter(([file]) => file.endsWith('index.html'))
+    );
+    expect(Object.keys(outputs)).toEqual([
+      'docs/en/index.html',
+      'docs/zh/index.html',
+      'docs/index.html',
+    ]);
+    expect(outputs['docs/zh/index.html']).toContain('<html lang="zh">');
+    expect(outputs['docs/zh/index.html']).toContain('A (zh)');
+    expect(outputs['docs/zh/index.html']).toContain(
+      'This page is not available in 中文 yet; showing the English version.'
+    );
+    expect(outputs['docs/index.html']).toContain('<a href="zh/index.html" hreflang="zh">中文</a>');
+
+    // Pages are cached per language
+    const cacheFiles = fs.writeFile.mock.calls
+      .map(([file]) => file)
+      .filter((f) => f.endsWith('.json'));
+    expect(cacheFiles.some((file) => file.startsWith('.cache/zh/'))).toBe(true);
+    expect(cacheFiles.some((file) => file.startsWith('.cache/en/'))).toBe(true);
+  });
+
+  test('scrapeDocumentation should write an EPUB and print a PDF in the browser', async () => {
+    scraper = require('./scraper');
+    scraper.config.FORMATS = 'epub,pdf';
+
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValue(new Error('No cache'));
+    const printPage = {
+      setContent: jest.fn().mockResolvedValue(undefined),
+      pdf: jest.fn().mockResolvedValue(undefined),
+      close: jest.fn().mockResolvedValue(undefined),
+    };
+    const browser = { newPage: jest.fn().mockResolvedValue(printPage) };
+
+    await scraper.scrapeDocumentation(mockPage, browser);
+
+    const outputs = Object.fromEntries(fs.writeFile.mock.calls);
+    expect(outputs['docs/manual.epub'].subarray(30, 38).toString()).toBe('mimetype');
+    expect(outputs['docs/index.html']).toBeUndefined();
+    expect(printPage.setContent.mock.calls[0][0]).toContain(
+      '<h1 class="sectionTitle">Test Section</h1>'
+    );
+    expect(printPage.pdf).toHaveBeenCalledWith(
+      expect.objectContaining({ path: 'docs/manual.pdf', outline: true })
+    );
+
+    // Without a browser there is nothing to print with
+    await expect(scraper.scrapeDocumentation(mockPage)).rejects.toThrow(
+      'PDF output requires a browser'
+    );
+  });
+
+  test('a pinned revision should be stamped in the header and cache key', async () => {
+    scraper = require('./scraper');
+    scraper.applyOptions({ REVISION: 'r160' });
+
+    expect(scraper.config.REVISION).toBe('r160');
+    expect(scraper.generateHeader()).toContain('<span class="revision">r160</span>');
+    expect(scraper.generateHTML([])).toContain('<title>Three.js Documentation (r160)</title>');
+
+    await scraper.saveToCache('https://threejs.org/docs/#api/en/Test', { content: '' });
+    const fs = require('fs/promises');
+    expect(fs.writeFile.mock.calls[0][0]).toMatch(/_v\d+_r160\.json$/);
+  });
+
+  test('requiring the scraper should not read the host process arguments', () => {
+    const { argv } = process;
+    process.argv = [
+      ...argv,
+      'host-cmd',
+      '--format',
+      'epub',
+      '-o',
+      '/tmp/elsewhere',
+      '--limit',
+      '3',
+    ];
+    try {
+      scraper = require('./scraper');
+    } finally {
+      process.argv = argv;
+    }
+
+    expect(scraper.config).toMatchObject({ FORMATS: 'html', OUTPUT_DIR: 'docs', PAGE_LIMIT: null });
+  });
+
+  test('a bad environment value should not break requiring the scraper', async () => {
+    process.env.DEV_MODE = 'abc';
+    process.env.NO_CACHE = 'true';
+    try {
+      scraper = require('./scraper');
+      expect(scraper.config.USE_CACHE).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith(
+        '[WARN] Ignoring the environment options, using the defaults: ' +
+          'DEV_MODE expects true or false, got "abc"'
+      );
+      // The command line still refuses it
+      await expect(scraper.main(['cache', 'stats'])).rejects.toThrow(
+        'DEV_MODE expects true or false'
+      );
+    } finally {
+      delete process.env.DEV_MODE;
+      process.env.NO_CACHE = 'false';
+    }
+  });
+
   test('scrapeDocumentation should throw error if page is not provided', async () => {
     scraper = require('./scraper');
     await expect(scraper.scrapeDocumentation()).rejects.toThrow('Page object is required');
@@ -213,6 +481,33 @@ describe('Three.js Documentation Scraper', () => {
     expect(content.hasMalformedHTML).toBe(true);
   });
 
+  test('extractContent should expand doc markup left unprocessed in the frame', async () => {
+    scraper = require('./scraper');
+
+    const evaluate = jest
+      .fn()
+      .mockResolvedValueOnce('<h1>[name]</h1><p>See [page:Vector3].</p>')
+      .mockResolvedValueOnce(undefined)
+      .mockResolvedValueOnce({ html: '<h1>Object3D</h1>', text: 'Object3D', headings: [] });
+    mockPage.$.mockResolvedValue({
+      contentFrame: jest.fn().mockResolvedValue({ waitForSelector: jest.fn(), evaluate }),
+    });
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValueOnce(new Error('File not found'));
+
+    await scraper.extractContent(
+      mockPage,
+      'https://threejs.org/docs/index.html#api/en/core/Object3D',
+      'Object3D',
+      { Vector3: 'api/en/math/Vector3' }
+    );
+
+    expect(evaluate.mock.calls[1][1]).toBe(
+      '<h1>Object3D</h1><p>See <a class="links" href="./index.html#api/en/math/Vector3" ' +
+        'data-fragment="Vector3" title="Vector3">Vector3</a>.</p>'
+    );
+  });
+
   test('extractContent should use cache when available', async () => {
     scraper = require('./scraper');
     const fs = require('fs/promises');
@@ -224,7 +519,15 @@ describe('Three.js Documentation Scraper', () => {
     };
 
     // Mock cache hit
-    fs.readFile.mockResolvedValueOnce(JSON.stringify(cachedContent));
+    fs.readFile.mockResolvedValueOnce(
+      JSON.stringify({
+        url: 'https://test.url',
+        fetchedAt: new Date().toISOString(),
+        extractorVersion: scraper.config.CACHE_VERSION,
+        validators: {},
+        data: cachedContent,
+      })
+    );
 
     const content = await scraper.extractContent(mockPage, 'https://test.url', 'Test Page');
 
@@ -233,6 +536,106 @@ describe('Three.js Documentation Scraper', () => {
     expect(mockPage.goto).not.toHaveBeenCalled();
   });
 
+  test('extractContent should screenshot example frames, also for pages cached without them', async () => {
+    scraper = require('./scraper');
+    scraper.config.EXAMPLE_MODE = 'screenshot';
+    const src = 'https://threejs.org/docs/scenes/geometry-browser.html#BoxGeometry';
+    const html = `<h1>BoxGeometry</h1><iframe id="scene" src="${src}" data-example=""></iframe>`;
+    const frame = {
+      waitForSelector: jest.fn(),
+      evaluate: jest
+        .fn()
+        .mockResolvedValueOnce(html)
+        .mockResolvedValueOnce({ html, text: 'BoxGeometry', headings: [] }),
+      $$: jest.fn().mockResolvedValue([
+        {
+          evaluate: jest.fn().mockResolvedValue(src),
+          screenshot: jest.fn().mockResolvedValue('AAAA'),
+        },
+      ]),
+    };
+    mockPage.$.mockResolvedValue({ contentFrame: jest.fn().mockResolvedValue(frame) });
+    const fs = require('fs/promises');
+    fs.readFile.mockResolvedValueOnce(
+      JSON.stringify({
+        url: 'https://threejs.org/docs/index.html#api/en/geometries/BoxGeometry',
+        fetchedAt: new Date().toISOString(),
+        extractorVersion: scraper.config.CACHE_VERSION,
+        validators: {},
+        data: { title: 'BoxGeometry', content: html },
+      })
+    );
+
+    const content = await scraper.extractContent(
+      mockPage,
+      'https://threejs.org/docs/index.html#api/en/geometries/BoxGeometry',
+      'BoxGeometry'
+    );
+
+    expect(mockPage.goto).toHaveBeenCalled();
+    expect(content.screenshots).toEqual({ [src]: 'data:image/png;base64,AAAA' });
+    expect(JSON.parse(fs.writeFile.mock.calls[0][1]).data.screenshots).toEqual(content.screenshots);
+  });
+
+  test('extractContent should revalidate stale cache entries before reusing them', async () => {
+    scraper = require('./scraper');
+    scraper.config.CACHE_TTL = '1d';
+    const fs = require('fs/promises');
+    const entry = {
+      url: 'https://threejs.org/docs/index.html#api/en/core/Object3D',
+      fetchedAt: '2020-01-01T00:00:00.000Z',
+      extractorVersion: scraper.config.CACHE_VERSION,
+      validators: { etag: '"abc"' },
+      data: { title: 'Object3D', content: '<div>Cached content</div>' },
+    };
+    fs.readFile.mockResolvedValueOnce(JSON.stringify(entry));
+    global.fetch.mockResolvedValueOnce({ status: 304 });
+
+    const content = await scraper.extractContent(mockPage, entry.url, 'Object3D');
+
+    expect(content).toEqual(entry.data);
+    expect(mockPage.goto).not.toHaveBeenCalled();
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://threejs.org/docs/api/en/core/Object3D.html',
+      { headers: { 'If-None-Match': '"abc"' } }
+    );
+    // The entry is renewed so the next run doesn't ask again
+    const renewed = JSON.parse(fs.writeFile.mock.calls[0][1]);
+    expect(Date.parse(renewed.fetchedAt)).toBeGreaterThan(Date.parse(entry.fetchedAt));
+  });
+
+  test('extractContent should take the validators of a missed page from its source', async () => {
+    scraper = require('./scraper');
+    const fs = require('fs/promises');
+    fs.readFile.mockRejectedValueOnce(new Error('No cache'));
+    const source = (url) => ({
+      url: () => url,
+      ok: () => true,
+      headers: () => ({ etag: '"abc"' }),
+      buffer: jest.fn().mockResolvedValue(Buffer.from('<h1>Object3D</h1>')),
+    });
+    mockPage.goto.mockImplementation(async () => {
+      const [, onResponse] = mockPage.on.mock.calls[0];
+      onResponse(source('https://threejs.org/docs/index.html'));
+      onResponse(source('https://threejs.org/docs/api/en/core/Object3D.html'));
+    });
+
+    await scraper.extractContent(
+      mockPage,
+      'https://threejs.org/docs/index.html#api/en/core/Object3D',
+      'Object3D'
+    );
+
+    // No second request for the page source
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(JSON.parse(fs.writeFile.mock.calls[0][1]).validators).toEqual({
+      etag: '"abc"',
+      lastModified: null,
+      contentHash: require('./cache').hashContent(Buffer.from('<h1>Object3D</h1>')),
+    });
+    expect(mockPage.off).toHaveBeenCalledWith('response', mockPage.on.mock.calls[0][1]);
+  });
+
   test('extractLinks should handle rate limiting errors', async () => {
     scraper = require('./scraper');
 
@@ -260,6 +663,39 @@ describe('Three.js Documentation Scraper', () => {
     expect(html).toContain('Doc3');
   });
 
+  test('generateTableOfContents should escape category and page titles', () => {
+    scraper = require('./scraper');
+
+    const html = scraper.generateTableOfContents([
+      { title: 'Vector<3>', path: 'api/en/math/Vector3', categories: ['Math & Geometry'] },
+    ]);
+
+    expect(html).toContain('<summary><h2>Math &amp; Geometry</h2></summary>');
+    expect(html).toContain('>Vector&lt;3&gt;</a>');
+  });
+
+  test('generateTableOfContents should nest categories like the navigation panel', () => {
+    scraper = require('./scraper');
+
+    const docs = [
+      { title: 'Installation', path: 'manual/en/Installation', categories: ['Manual', 'Core'] },
+      { title: 'Object3D', path: 'api/en/core/Object3D', categories: ['Reference', 'Core'] },
+      { title: 'Raycaster', path: 'api/en/core/Raycaster', categories: ['Reference', 'Core'] },
+    ];
+
+    const html = scraper.generateTableOfContents(docs, { current: docs[1] }).replace(/\s+/g, ' ');
+
+    // Categories with the same name under different groups stay apart
+    expect(html.match(/<summary><h3>Core<\/h3><\/summary>/g)).toHaveLength(2);
+    const reference = html.slice(html.indexOf('<summary><h2>Reference</h2></summary>'));
+    expect(reference).toMatch(
+      /^<summary><h2>Reference<\/h2><\/summary> <details [^>]*> <summary><h3>Core</
+    );
+    expect(reference).toContain(
+      '<a href="#api-en-core-Object3D" data-anchor="api-en-core-Object3D" class="selected">Object3D</a>'
+    );
+  });
+
   test('extractContent should handle relative image and link paths', async () => {
     scraper = require('./scraper');
 
@@ -332,6 +768,8 @@ describe('Three.js Documentation Scraper', () => {
     // Mock the entire page object for this test
     const mockTimeoutPage = {
       goto: jest.fn().mockResolvedValue(undefined),
+      on: jest.fn(),
+      off: jest.fn(),
       // Reject with a timeout error
       waitForSelector: jest.fn().mockRejectedValue(new Error('timeout')),
       // Don't resolve $ at all - this ensures the error from waitForSelector propagates
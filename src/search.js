@@ -0,0 +1,277 @@
+/**
+ * Client-side Search
+ * ==================
+ *
+ * @purpose
+ * Builds a search index at generation time and the script that queries it in the
+ * browser, so the #filterInput box works offline.
+ *
+ * @keyFacts
+ * - The index holds title, section, anchor, headings, members and body text per page
+ * - It is embedded as a JSON <script> block; "<" is escaped so content can't close it
+ * - The multi-page site loads it once from search-index.js instead; entries then carry
+ *   the page file (href, relative to the site root given by <html data-root>)
+ * - Typing filters the table of contents live and lists ranked full-text hits
+ * - Ranking: title > member name > heading > section > body text occurrences
+ * - Every query term must match somewhere in a page (AND semantics)
+ * - Member hits (Object3D.position) jump straight to the member anchor
+ * - Arrow keys move through results, Enter jumps, Escape clears
+ */
+
+const { getDocAnchor, getMemberAnchorId } = require('./links');
+
+const MAX_TEXT_LENGTH = 20000;
+
+function stripTags(html) {
+  return html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Creates one index entry per documentation page. Pages without extracted text
+ * (e.g. placeholders) fall back to the text of their HTML. `getHref(doc)` adds the
+ * page's file for outputs with one file per page.
+ */
+function buildSearchIndex(documentation, { getHref = null } = {}) {
+  return documentation.map((doc) => {
+    const text = (doc.text || stripTags(doc.content || '')).replace(/\s+/g, ' ').trim();
+    const anchor = getDocAnchor(doc);
+    return {
+      title: doc.title,
+      section: doc.section || 'Reference',
+      anchor,
+      ...(getHref ? { href: getHref(doc) } : {}),
+      headings: doc.headings || [],
+      members: (doc.members || []).map((member) => ({
+        name: member.name,
+        kind: member.kind,
+        anchor: getMemberAnchorId(anchor, member.name),
+      })),
+      text: text.slice(0, MAX_TEXT_LENGTH),
+    };
+  });
+}
+
+function generateSearchIndex(index) {
+  const json = JSON.stringify(index).replace(/</g, '\\u003c');
+  return `<script type="application/json" id="searchIndex">${json}</script>`;
+}
+
+// search-index.js of the multi-page site, shared by every page
+function generateSearchIndexFile(index) {
+  return `window.SEARCH_INDEX = ${JSON.stringify(index)};\n`;
+}
+
+function generateSearchScript() {
+  return `
+    <script>
+      // Search
+      (function() {
+        const panel = document.getElementById('panel');
+        const filterInput = document.getElementById('filterInput');
+        const searchResults = document.getElementById('searchResults');
+        const content = document.getElementById('content');
+        const entries =
+          window.SEARCH_INDEX || JSON.parse(document.getElementById('searchIndex').textContent);
+        const root = document.documentElement.getAttribute('data-root') || '';
+        const MAX_RESULTS = 30;
+        const SNIPPET_RADIUS = 60;
+        let selectedIndex = -1;
+        let debounceTimer = null;
+
+        entries.forEach(function(entry) {
+          entry.lowerTitle = entry.title.toLowerCase();
+          entry.lowerSection = entry.section.toLowerCase();
+          entry.lowerHeadings = entry.headings.map(function(h) { return h.toLowerCase(); });
+          entry.lowerText = entry.text.toLowerCase();
+        });
+
+        function escapeText(value) {
+          return value.replace(/[&<>"]/g, function(c) {
+            return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
+          });
+        }
+
+        function scoreEntry(entry, terms) {
+          let score = 0;
+          let member = null;
+          for (const term of terms) {
+            let termScore = 0;
+            if (entry.lowerTitle === term) termScore += 100;
+            else if (entry.lowerTitle.startsWith(term)) termScore += 60;
+            else if (entry.lowerTitle.includes(term)) termScore += 40;
+
+            for (const candidate of entry.members) {
+              const name = candidate.name.toLowerCase();
+              if (name === term || name.startsWith(term)) {
+                termScore += name === term ? 35 : 25;
+                member = member || candidate;
+                break;
+              }
+            }
+
+            if (entry.lowerHeadings.some(function(h) { return h.includes(term); })) termScore += 15;
+            if (entry.lowerSection.includes(term)) termScore += 10;
+
+            let count = 0;
+            let position = entry.lowerText.indexOf(term);
+            while (position !== -1 && count < 10) {
+              count++;
+              position = entry.lowerText.indexOf(term, position + term.length);
+            }
+            termScore += count;
+
+            if (termScore === 0) return null;
+            score += termScore;
+          }
+          return { entry: entry, score: score, member: member };
+        }
+
+        function escapeRegExp(value) {
+          return value.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+        }
+
+        // Splitting on a capturing pattern puts the matches at odd indices
+        function highlight(text, terms) {
+          const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+          return text
+            .split(pattern)
+            .map(function(part, i) {
+              return i % 2 === 1 ? '<mark>' + escapeText(part) + '</mark>' : escapeText(part);
+            })
+            .join('');
+        }
+
+        function getSnippet(entry, terms) {
+          const position = terms
+            .map(function(term) { return entry.lowerText.indexOf(term); })
+            .filter(function(index) { return index !== -1; })
+            .sort(function(a, b) { return a - b; })[0];
+          if (position === undefined) return '';
+          const start = Math.max(0, position - SNIPPET_RADIUS);
+          const end = Math.min(entry.text.length, position + SNIPPET_RADIUS * 2);
+          const snippet = entry.text.slice(start, end);
+          return (start > 0 ? '…' : '') + highlight(snippet, terms) + (end < entry.text.length ? '…' : '');
+        }
+
+        function filterTableOfContents(matches) {
+          content.querySelectorAll('li').forEach(function(item) {
+            const link = item.querySelector('a');
+            const visible = !matches || matches.has(link.getAttribute('data-anchor'));
+            item.style.display = visible ? '' : 'none';
+          });
+          // Hide categories without hits and open the ones with hits
+          content.querySelectorAll('.tocSection').forEach(function(section) {
+            const hasVisible = Array.from(section.querySelectorAll('li')).some(function(item) {
+              return item.style.display !== 'none';
+            });
+            section.style.display = hasVisible ? '' : 'none';
+            if (matches && hasVisible) section.open = true;
+          });
+        }
+
+        function getResultLinks() {
+          return Array.from(searchResults.querySelectorAll('a'));
+        }
+
+        function select(index) {
+          const links = getResultLinks();
+          if (links.length === 0) return;
+          selectedIndex = (index + links.length) % links.length;
+          links.forEach(function(link, i) {
+            link.classList.toggle('selected', i === selectedIndex);
+          });
+          links[selectedIndex].scrollIntoView({ block: 'nearest' });
+        }
+
+        function getHref(entry, anchor) {
+          if (!entry.href) return '#' + anchor;
+          return root + entry.href + (anchor === entry.anchor ? '' : '#' + anchor);
+        }
+
+        function jumpTo(link) {
+          window.location.href = link.getAttribute('href');
+          panel.classList.remove('open');
+        }
+
+        function search(query) {
+          const terms = query.toLowerCase().split(/\\s+/).filter(Boolean);
+          selectedIndex = -1;
+
+          if (terms.length === 0) {
+            searchResults.innerHTML = '';
+            filterTableOfContents(null);
+            return;
+          }
+
+          const results = entries
+            .map(function(entry) { return scoreEntry(entry, terms); })
+            .filter(Boolean)
+            .sort(function(a, b) { return b.score - a.score; });
+
+          filterTableOfContents(new Set(results.map(function(result) { return result.entry.anchor; })));
+
+          searchResults.innerHTML = results.length === 0
+            ? '<p class="noResults">No results</p>'
+            : '<ul>' + results.slice(0, MAX_RESULTS).map(function(result) {
+                const entry = result.entry;
+                const target = result.member ? result.member.anchor : entry.anchor;
+                const title = result.member ? entry.title + '.' + result.member.name : entry.title;
+                return '<li><a href="' + getHref(entry, target) + '">' +
+                  '<span class="title">' + highlight(title, terms) + '</span>' +
+                  '<span class="section">' + escapeText(entry.section) + '</span>' +
+                  '<span class="snippet">' + getSnippet(entry, terms) + '</span>' +
+                  '</a></li>';
+              }).join('') + '</ul>';
+        }
+
+        filterInput.addEventListener('input', function() {
+          clearTimeout(debounceTimer);
+          debounceTimer = setTimeout(function() { search(filterInput.value); }, 100);
+        });
+
+        filterInput.addEventListener('keydown', function(event) {
+          if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            select(selectedIndex + 1);
+          } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            select(selectedIndex - 1);
+          } else if (event.key === 'Enter') {
+            const links = getResultLinks();
+            const link = links[Math.max(selectedIndex, 0)];
+            if (link) {
+              event.preventDefault();
+              jumpTo(link);
+            }
+          } else if (event.key === 'Escape') {
+            filterInput.value = '';
+            search('');
+          }
+        });
+
+        searchResults.addEventListener('click', function(event) {
+          const link = event.target.closest('a');
+          if (link) {
+            event.preventDefault();
+            jumpTo(link);
+          }
+        });
+      })();
+    </script>
+  `;
+}
+
+module.exports = {
+  buildSearchIndex,
+  generateSearchIndex,
+  generateSearchIndexFile,
+  generateSearchScript,
+};
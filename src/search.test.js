@@ -0,0 +1,85 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  buildSearchIndex,
+  generateSearchIndex,
+  generateSearchIndexFile,
+  generateSearchScript,
+} = require('./search');
+
+describe('Client-side Search', () => {
+  const documentation = [
+    {
+      title: 'Object3D',
+      path: 'api/en/core/Object3D',
+      anchor: 'api-en-core-Object3D',
+      section: 'Core',
+      content: '<h1>Object3D</h1>',
+      text: 'Object3D   This is the base class\n for most objects.',
+      headings: ['Object3D', 'Properties', 'Methods'],
+      members: [
+        { name: 'position', kind: 'property' },
+        { name: 'add', kind: 'method' },
+      ],
+    },
+    {
+      title: 'Broken Page',
+      path: 'api/en/Broken',
+      section: 'Core',
+      content: '<h1>Broken Page</h1><p>Could not be <b>scraped</b> &amp; skipped</p>',
+    },
+  ];
+
+  test('buildSearchIndex should include titles, sections, headings and members', () => {
+    const [entry] = buildSearchIndex(documentation);
+
+    expect(entry).toEqual({
+      title: 'Object3D',
+      section: 'Core',
+      anchor: 'api-en-core-Object3D',
+      headings: ['Object3D', 'Properties', 'Methods'],
+      members: [
+        { name: 'position', kind: 'property', anchor: 'api-en-core-Object3D.position' },
+        { name: 'add', kind: 'method', anchor: 'api-en-core-Object3D.add' },
+      ],
+      text: 'Object3D This is the base class for most objects.',
+    });
+  });
+
+  test('buildSearchIndex should fall back to the text of the HTML content', () => {
+    const [, entry] = buildSearchIndex(documentation);
+
+    expect(entry.anchor).toBe('api-en-Broken');
+    expect(entry.text).toBe('Broken Page Could not be scraped & skipped');
+    expect(entry.members).toEqual([]);
+  });
+
+  test('buildSearchIndex should add page files for the multi-page site', () => {
+    const index = buildSearchIndex(documentation, { getHref: (doc) => `${doc.path}.html` });
+
+    expect(index.map((entry) => entry.href)).toEqual([
+      'api/en/core/Object3D.html',
+      'api/en/Broken.html',
+    ]);
+    expect(generateSearchIndexFile(index)).toMatch(
+      /^window\.SEARCH_INDEX = \[\{"title":"Object3D"/
+    );
+  });
+
+  test('generateSearchIndex should embed JSON that cannot close its script tag', () => {
+    const html = generateSearchIndex([{ title: '</script><script>alert(1)</script>' }]);
+
+    expect(html).toMatch(/^<script type="application\/json" id="searchIndex">/);
+    expect(html.match(/<\/script>/g)).toHaveLength(1);
+    const json = html.replace(/^<script[^>]*>/, '').replace(/<\/script>$/, '');
+    expect(JSON.parse(json)[0].title).toBe('</script><script>alert(1)</script>');
+  });
+
+  test('generateSearchScript should produce valid JavaScript', () => {
+    const html = generateSearchScript();
+    const source = html.replace(/^\s*<script>/, '').replace(/<\/script>\s*$/, '');
+
+    expect(() => new Function(source)).not.toThrow();
+    expect(source).toContain("filterInput.addEventListener('input'");
+    expect(source).toContain("event.key === 'ArrowDown'");
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Page Selection
+ * ==============
+ *
+ * @purpose
+ * Picks the pages a build includes from the links of the navigation panel, so a
+ * build can be limited to a few sections or pages instead of the whole manual.
+ *
+ * @keyFacts
+ * - Filters work on the fields of extractLinks: the section (or any category), the docs
+ *   path (or an alias of a translated page) and the link text
+ * - Sections match case-insensitively, so "Core" and "Reference" both work
+ * - Path globs: * and ? stay within one path segment, ** crosses segments. Text globs
+ *   match the whole link text, case-insensitively ("Mesh*")
+ * - Include filters are combined: a page must match a section AND a path AND a text
+ *   filter when all are given. Exclude filters win over include filters
+ * - A page list file has one docs path (or docs URL) per line, # starts a comment;
+ *   it is an include filter like the path globs
+ * - The limit applies after filtering, in panel order
+ */
+
+const FILTER_KEYS = [
+  'sections',
+  'pages',
+  'text',
+  'pageList',
+  'excludeSections',
+  'excludePages',
+  'excludeText',
+];
+
+function globToRegExp(glob, { ignoreCase = false } = {}) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      pattern += '.*';
+      i++;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`, ignoreCase ? 'i' : '');
+}
+
+/**
+ * Reads the docs paths of a page list file. Lines can also be docs URLs
+ * (https://threejs.org/docs/#api/en/core/Object3D) or carry a trailing comment.
+ */
+function parsePageList(content) {
+  return content
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#(\s.*)?$/, '').trim())
+    .filter(Boolean)
+    .map((line) => (line.includes('#') ? line.slice(line.indexOf('#') + 1) : line))
+    .map((line) => line.replace(/^\/+|\.html$/g, ''));
+}
+
+function createMatchers(link) {
+  const sectionNames = [link.section, ...(link.categories || [])]
+    .filter(Boolean)
+    .map((name) => name.toLowerCase());
+  const paths = [link.path, ...(link.aliases || [])].filter(Boolean);
+  return {
+    section: (names) => names.some((name) => sectionNames.includes(name)),
+    path: (patterns) => paths.some((docPath) => patterns.some((pattern) => pattern.test(docPath))),
+    text: (patterns) => patterns.some((pattern) => pattern.test(link.text || '')),
+  };
+}
+
+/**
+ * Returns a predicate over links for the include filters `sections`, `pages` (globs),
+ * `text` (globs) and `pageList` (docs paths), and their exclude counterparts.
+ */
+function createPageFilter({
+  sections = [],
+  pages = [],
+  text = [],
+  pageList = [],
+  excludeSections = [],
+  excludePages = [],
+  excludeText = [],
+} = {}) {
+  const lower = (names) => names.map((name) => name.toLowerCase());
+  const include = {
+    section: lower(sections),
+    path: [...pages, ...pageList].map((glob) => globToRegExp(glob)),
+    text: text.map((glob) => globToRegExp(glob, { ignoreCase: true })),
+  };
+  const exclude = {
+    section: lower(excludeSections),
+    path: excludePages.map((glob) => globToRegExp(glob)),
+    text: excludeText.map((glob) => globToRegExp(glob, { ignoreCase: true })),
+  };
+
+  return (link) => {
+    const matches = createMatchers(link);
+    const included = Object.entries(include).every(
+      ([field, filters]) => filters.length === 0 || matches[field](filters)
+    );
+    if (!included) return false;
+    return Object.entries(exclude).every(
+      ([field, filters]) => filters.length === 0 || !matches[field](filters)
+    );
+  };
+}
+
+// Whether any filter of `selection` is set, i.e. the build is a subset of the manual
+function hasFilters(selection = {}) {
+  return FILTER_KEYS.some((key) => selection[key]?.length > 0);
+}
+
+/**
+ * Filters `links` with the filters of createPageFilter, then keeps at most `limit`
+ * of them.
+ */
+function selectPages(links, { limit = null, ...filters } = {}) {
+  const selected = links.filter(createPageFilter(filters));
+  return limit === null || limit === undefined ? selected : selected.slice(0, limit);
+}
+
+// Entries of a page list that match none of `links`, usually typos or removed pages
+function findUnknownPages(links, pageList = []) {
+  const known = new Set(links.flatMap((link) => [link.path, ...(link.aliases || [])]));
+  return pageList.filter((docPath) => !known.has(docPath));
+}
+
+module.exports = {
+  globToRegExp,
+  parsePageList,
+  createPageFilter,
+  hasFilters,
+  selectPages,
+  findUnknownPages,
+};
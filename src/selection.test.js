@@ -0,0 +1,115 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  globToRegExp,
+  parsePageList,
+  hasFilters,
+  selectPages,
+  findUnknownPages,
+} = require('./selection');
+
+const LINKS = [
+  {
+    path: 'manual/en/introduction/Creating-a-scene',
+    section: 'Getting Started',
+    categories: ['Manual', 'Getting Started'],
+  },
+  { path: 'api/en/core/Object3D', section: 'Core', categories: ['Reference', 'Core'] },
+  {
+    path: 'api/en/materials/Material',
+    section: 'Materials',
+    categories: ['Reference', 'Materials'],
+  },
+  {
+    path: 'api/en/materials/MeshBasicMaterial',
+    section: 'Materials',
+    categories: ['Reference', 'Materials'],
+  },
+  {
+    path: 'api/zh/animation/tracks/BooleanKeyframeTrack',
+    aliases: ['api/en/animation/tracks/BooleanKeyframeTrack'],
+    section: 'Animation / Tracks',
+    categories: ['Reference', 'Animation / Tracks'],
+  },
+];
+
+const paths = (links) => links.map((link) => link.path);
+
+describe('Page Selection', () => {
+  test('globToRegExp should keep * within a path segment and let ** cross them', () => {
+    expect(globToRegExp('api/*/core/*').test('api/en/core/Object3D')).toBe(true);
+    expect(globToRegExp('api/*').test('api/en/core/Object3D')).toBe(false);
+    expect(globToRegExp('api/**').test('api/en/core/Object3D')).toBe(true);
+    expect(globToRegExp('api/en/core/Object?D').test('api/en/core/Object3D')).toBe(true);
+    expect(globToRegExp('api/en/core/Object3D.').test('api/en/core/Object3DX')).toBe(false);
+  });
+
+  test('selectPages should filter by section or category, case-insensitively', () => {
+    expect(paths(selectPages(LINKS, { sections: ['core', 'Manual'] }))).toEqual([
+      'manual/en/introduction/Creating-a-scene',
+      'api/en/core/Object3D',
+    ]);
+  });
+
+  test('selectPages should match globs against paths and aliases', () => {
+    expect(paths(selectPages(LINKS, { pages: ['api/en/**/*Track', 'api/*/core/*'] }))).toEqual([
+      'api/en/core/Object3D',
+      'api/zh/animation/tracks/BooleanKeyframeTrack',
+    ]);
+  });
+
+  test('selectPages should combine filters and apply the limit last', () => {
+    const options = { sections: ['Reference'], pages: ['**/*Material'], limit: 1 };
+
+    expect(paths(selectPages(LINKS, options))).toEqual(['api/en/materials/Material']);
+    expect(selectPages(LINKS, { limit: null })).toHaveLength(LINKS.length);
+  });
+
+  test('selectPages should match titles case-insensitively', () => {
+    const links = LINKS.map((link) => ({ ...link, text: link.path.split('/').pop() }));
+
+    expect(paths(selectPages(links, { text: ['mesh*', 'Object?D'] }))).toEqual([
+      'api/en/core/Object3D',
+      'api/en/materials/MeshBasicMaterial',
+    ]);
+  });
+
+  test('exclude filters should win over include filters', () => {
+    const links = LINKS.map((link) => ({ ...link, text: link.path.split('/').pop() }));
+    const selected = selectPages(links, {
+      sections: ['Reference'],
+      excludeSections: ['animation / tracks'],
+      excludePages: ['api/en/core/**'],
+      excludeText: ['*Basic*'],
+    });
+
+    expect(paths(selected)).toEqual(['api/en/materials/Material']);
+    expect(hasFilters({ excludeText: ['*Basic*'] })).toBe(true);
+    expect(hasFilters({ sections: [], pageList: [] })).toBe(false);
+  });
+
+  test('a page list should select exactly the listed pages', () => {
+    const pageList = parsePageList(
+      [
+        '# Onboarding',
+        'manual/en/introduction/Creating-a-scene',
+        'https://threejs.org/docs/index.html#api/en/core/Object3D  # the base class',
+        '',
+        'api/en/animation/tracks/BooleanKeyframeTrack',
+        'api/en/core/Object4D',
+      ].join('\n')
+    );
+
+    expect(pageList).toEqual([
+      'manual/en/introduction/Creating-a-scene',
+      'api/en/core/Object3D',
+      'api/en/animation/tracks/BooleanKeyframeTrack',
+      'api/en/core/Object4D',
+    ]);
+    expect(paths(selectPages(LINKS, { pageList }))).toEqual([
+      'manual/en/introduction/Creating-a-scene',
+      'api/en/core/Object3D',
+      'api/zh/animation/tracks/BooleanKeyframeTrack',
+    ]);
+    expect(findUnknownPages(LINKS, pageList)).toEqual(['api/en/core/Object4D']);
+  });
+});
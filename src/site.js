@@ -0,0 +1,100 @@
+/**
+ * Multi-page Site
+ * ===============
+ *
+ * @purpose
+ * Helpers for the multi-page output: one HTML file per documentation entry at a
+ * path that mirrors the docs (api/en/core/Object3D.html), so pages load fast and can
+ * be deep-linked. The page shell itself is the single-file manual's (scraper.js).
+ *
+ * @keyFacts
+ * - Works on link-resolved documentation: #anchor links are pointed at the target's
+ *   file, #anchor.member links keep the member anchor
+ * - Every page links relative to its own directory, so the site can be served from
+ *   any base path; <html data-root> holds the prefix back to the site root
+ * - Bundled assets ('folder' mode) and examples ('bundle' mode) live once in
+ *   <site>/assets/ and <site>/examples/ and are prefixed per page
+ * - The sitemap needs absolute URLs, so it is only written when the site URL is known
+ */
+
+const path = require('path');
+const { getDocAnchor } = require('./links');
+const { escapeHTML, getAttribute, setAttribute } = require('./html');
+
+const ANCHOR_TAG_PATTERN = /<a\b[^>]*>/gi;
+const ASSET_REF_PATTERN = /(\s(?:src|href)=")((?:assets|examples)\/)/g;
+
+function getSiteFile(doc) {
+  return `${doc.path || getDocAnchor(doc)}.html`;
+}
+
+// "../../../" for api/en/core/Object3D.html, "" for index.html
+function getRootPrefix(file) {
+  const root = path.posix.relative(path.posix.dirname(file), '.');
+  return root ? `${root}/` : '';
+}
+
+function getRelativeHref(fromFile, toFile) {
+  return path.posix.relative(path.posix.dirname(fromFile), toFile) || path.posix.basename(toFile);
+}
+
+/**
+ * Points resolved in-manual links of `doc` at the files of their targets.
+ * `findTarget` is a lookup from createTargetLookup (links.js).
+ */
+function rewriteSiteLinks(html, doc, findTarget) {
+  const file = getSiteFile(doc);
+  return html.replace(ANCHOR_TAG_PATTERN, (tag) => {
+    const href = getAttribute(tag, 'href');
+    const target = findTarget(href);
+    if (!target || target === doc) return tag;
+    const targetFile = getRelativeHref(file, getSiteFile(target));
+    return setAttribute(
+      tag,
+      'href',
+      href === `#${getDocAnchor(target)}` ? targetFile : `${targetFile}${href}`
+    );
+  });
+}
+
+// Bundled asset and example references are relative to the site root
+function prefixAssetRefs(html, root) {
+  return root ? html.replace(ASSET_REF_PATTERN, `$1${root}$2`) : html;
+}
+
+function generatePagination(doc, previous, next) {
+  const file = getSiteFile(doc);
+  const link = (target, rel, label) =>
+    target
+      ? `<a class="${rel}" rel="${rel}" href="${getRelativeHref(file, getSiteFile(target))}">${label}</a>`
+      : '<span></span>';
+  return `
+    <nav class="pagination">
+      ${link(previous, 'prev', previous && `&larr; ${escapeHTML(previous.title)}`)}
+      ${link(next, 'next', next && `${escapeHTML(next.title)} &rarr;`)}
+    </nav>
+  `;
+}
+
+/**
+ * Generates sitemap.xml for `files` (relative to the site root) under `siteUrl`.
+ */
+function generateSitemap(files, siteUrl) {
+  const urls = files
+    .map((file) => `  <url><loc>${escapeHTML(`${siteUrl}/${encodeURI(file)}`)}</loc></url>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+module.exports = {
+  getSiteFile,
+  getRootPrefix,
+  rewriteSiteLinks,
+  prefixAssetRefs,
+  generatePagination,
+  generateSitemap,
+};
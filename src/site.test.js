@@ -0,0 +1,79 @@
+const { describe, test, expect } = require('@jest/globals');
+const {
+  getSiteFile,
+  getRootPrefix,
+  rewriteSiteLinks,
+  prefixAssetRefs,
+  generatePagination,
+  generateSitemap,
+} = require('./site');
+const { createTargetLookup } = require('./links');
+
+const DOCUMENTATION = [
+  { title: 'Creating a scene', path: 'manual/en/introduction/Creating-a-scene' },
+  { title: 'Object3D', path: 'api/en/core/Object3D', anchor: 'api-en-core-Object3D' },
+  { title: 'Vector3', path: 'api/en/math/Vector3', anchor: 'api-en-math-Vector3' },
+];
+
+describe('Multi-page Site', () => {
+  test('getSiteFile and getRootPrefix should mirror the docs path', () => {
+    expect(getSiteFile(DOCUMENTATION[1])).toBe('api/en/core/Object3D.html');
+    expect(getSiteFile({ title: 'Untitled page' })).toBe('Untitled-page.html');
+    expect(getRootPrefix('api/en/core/Object3D.html')).toBe('../../../');
+    expect(getRootPrefix('index.html')).toBe('');
+  });
+
+  test('rewriteSiteLinks should point resolved links at the target files', () => {
+    const html = rewriteSiteLinks(
+      '<a href="#api-en-math-Vector3">Vector3</a> ' +
+        '<a class="links" href="#api-en-math-Vector3.x">x</a> ' +
+        '<a href="#api-en-core-Object3D.position">position</a> ' +
+        '<a href="#manual-en-introduction-Creating-a-scene">scene</a> ' +
+        '<a href="https://threejs.org/docs/index.html#api/en/Missing" class="external">Missing</a>',
+      DOCUMENTATION[1],
+      createTargetLookup(DOCUMENTATION)
+    );
+
+    expect(html).toBe(
+      '<a href="../math/Vector3.html">Vector3</a> ' +
+        '<a class="links" href="../math/Vector3.html#api-en-math-Vector3.x">x</a> ' +
+        '<a href="#api-en-core-Object3D.position">position</a> ' +
+        '<a href="../../../manual/en/introduction/Creating-a-scene.html">scene</a> ' +
+        '<a href="https://threejs.org/docs/index.html#api/en/Missing" class="external">Missing</a>'
+    );
+  });
+
+  test('prefixAssetRefs should make bundled asset references relative to the page', () => {
+    const html =
+      '<img src="assets/a1.png"><link rel="stylesheet" href="assets/b2.css">' +
+      '<iframe src="examples/docs/scenes/geometry-browser.html#BoxGeometry"></iframe>';
+
+    expect(prefixAssetRefs(html, '../../')).toBe(
+      '<img src="../../assets/a1.png"><link rel="stylesheet" href="../../assets/b2.css">' +
+        '<iframe src="../../examples/docs/scenes/geometry-browser.html#BoxGeometry"></iframe>'
+    );
+    expect(prefixAssetRefs(html, '')).toBe(html);
+  });
+
+  test('generatePagination should link the previous and next entries', () => {
+    const html = generatePagination(DOCUMENTATION[1], DOCUMENTATION[0], DOCUMENTATION[2]);
+
+    expect(html).toContain(
+      '<a class="prev" rel="prev" href="../../../manual/en/introduction/Creating-a-scene.html">&larr; Creating a scene</a>'
+    );
+    expect(html).toContain(
+      '<a class="next" rel="next" href="../math/Vector3.html">Vector3 &rarr;</a>'
+    );
+    expect(generatePagination(DOCUMENTATION[0], undefined, DOCUMENTATION[1])).toContain(
+      '<span></span>'
+    );
+  });
+
+  test('generateSitemap should list absolute page URLs', () => {
+    const xml = generateSitemap(['index.html', 'api/en/core/Object3D.html'], 'https://x.dev/site');
+
+    expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(xml).toContain('<url><loc>https://x.dev/site/index.html</loc></url>');
+    expect(xml).toContain('<url><loc>https://x.dev/site/api/en/core/Object3D.html</loc></url>');
+  });
+});
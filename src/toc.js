@@ -0,0 +1,75 @@
+/**
+ * Table of Contents
+ * =================
+ *
+ * @purpose
+ * Groups documentation entries the way the navigation panel shows them, so the HTML
+ * table of contents, the EPUB navigation document and the PDF outline stay in sync.
+ *
+ * @keyFacts
+ * - link.categories is the panel path of a page: [group (h2), category (h3)], e.g.
+ *   ['Reference', 'Core'] or ['Manual', 'Getting Started']
+ * - Pages without categories (older caches, hand-made entries) use [section], or
+ *   ["Reference"] when they have no section either
+ * - Categories are matched by their full path, so Manual > Core and Reference > Core
+ *   stay apart
+ * - Groups keep the order of their first page, pages keep scrape order
+ */
+
+const DEFAULT_SECTION = 'Reference';
+
+function getCategories(doc) {
+  if (doc.categories?.length > 0) return doc.categories;
+  return [doc.section || DEFAULT_SECTION];
+}
+
+/**
+ * Returns the innermost categories as [{ section, categories, docs }] in panel order.
+ */
+function groupBySection(documentation) {
+  const sections = new Map();
+  for (const doc of documentation) {
+    const categories = getCategories(doc);
+    const key = JSON.stringify(categories);
+    if (!sections.has(key)) {
+      sections.set(key, { section: categories[categories.length - 1], categories, docs: [] });
+    }
+    sections.get(key).docs.push(doc);
+  }
+  return Array.from(sections.values());
+}
+
+/**
+ * Returns the category tree as [{ title, categories, docs, children }] in panel order.
+ * `docs` are the pages listed directly under a category.
+ */
+function buildTocTree(documentation) {
+  const root = { children: [], nodes: new Map() };
+  for (const doc of documentation) {
+    let parent = root;
+    getCategories(doc).forEach((title, depth, categories) => {
+      if (!parent.nodes.has(title)) {
+        const node = {
+          title,
+          categories: categories.slice(0, depth + 1),
+          docs: [],
+          children: [],
+          nodes: new Map(),
+        };
+        parent.nodes.set(title, node);
+        parent.children.push(node);
+      }
+      parent = parent.nodes.get(title);
+    });
+    parent.docs.push(doc);
+  }
+
+  const strip = ({ nodes: _nodes, ...node }) => ({ ...node, children: node.children.map(strip) });
+  return root.children.map(strip);
+}
+
+module.exports = {
+  getCategories,
+  groupBySection,
+  buildTocTree,
+};
@@ -0,0 +1,60 @@
+const { describe, test, expect } = require('@jest/globals');
+const { groupBySection, buildTocTree } = require('./toc');
+
+const DOCUMENTATION = [
+  { title: 'Creating a scene', categories: ['Manual', 'Getting Started'] },
+  { title: 'Object3D', categories: ['Reference', 'Core'] },
+  { title: 'BufferAttribute', categories: ['Reference', 'Core / BufferAttributes'] },
+  { title: 'Raycaster', categories: ['Reference', 'Core'] },
+  { title: 'Legacy page', section: 'Extras' },
+  { title: 'Untitled' },
+];
+
+describe('Table of Contents', () => {
+  test('groupBySection should group by the full category path', () => {
+    const sections = groupBySection([
+      ...DOCUMENTATION,
+      { title: 'Core concepts', categories: ['Manual', 'Core'] },
+    ]);
+
+    expect(sections.map(({ categories, docs }) => [categories, docs.map((d) => d.title)])).toEqual([
+      [['Manual', 'Getting Started'], ['Creating a scene']],
+      [
+        ['Reference', 'Core'],
+        ['Object3D', 'Raycaster'],
+      ],
+      [['Reference', 'Core / BufferAttributes'], ['BufferAttribute']],
+      [['Extras'], ['Legacy page']],
+      [['Reference'], ['Untitled']],
+      [['Manual', 'Core'], ['Core concepts']],
+    ]);
+    expect(sections[1].section).toBe('Core');
+  });
+
+  test('buildTocTree should nest categories in panel order', () => {
+    const tree = buildTocTree(DOCUMENTATION);
+    const titles = (node) => ({
+      title: node.title,
+      docs: node.docs.map((doc) => doc.title),
+      children: node.children.map(titles),
+    });
+
+    expect(tree.map(titles)).toEqual([
+      {
+        title: 'Manual',
+        docs: [],
+        children: [{ title: 'Getting Started', docs: ['Creating a scene'], children: [] }],
+      },
+      {
+        title: 'Reference',
+        docs: ['Untitled'],
+        children: [
+          { title: 'Core', docs: ['Object3D', 'Raycaster'], children: [] },
+          { title: 'Core / BufferAttributes', docs: ['BufferAttribute'], children: [] },
+        ],
+      },
+      { title: 'Extras', docs: ['Legacy page'], children: [] },
+    ]);
+    expect(tree[1].children[0].categories).toEqual(['Reference', 'Core']);
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Output Validation
+ * =================
+ *
+ * @purpose
+ * Checks a generated manual for problems a reader would run into, so a broken build
+ * is caught before it is published: links to anchors that don't exist, ids used more
+ * than once, images and iframes that won't load, pages that came out (nearly) empty,
+ * doc markup that was never expanded and badly nested HTML.
+ *
+ * @keyFacts
+ * - Works on the HTML string with a small tokenizer (tags, text, comments, raw
+ *   script/style), so even the multi-megabyte single-file manual is checked in one pass
+ * - Every issue is { type, message, target, page }: `page` is the id of the
+ *   <div class="manual"> page it is in, when there is one
+ * - Checks (issue types): duplicate-id, broken-anchor, relative-src (img/iframe src that
+ *   is relative or empty), short-page (page text under minPageLength), markup-token
+ *   ([page:...] etc. outside code) and nesting (unclosed, stray or misnested tags)
+ * - validateHtml can't see the disk, so it reports every relative src; validateFile
+ *   drops the ones that resolve to a file next to the document
+ * - Nesting follows the HTML rules that matter for our output: void elements, and end
+ *   tags that may be left out (p, li, td, ...)
+ * - Thresholds are the number of issues of each type a build may have; by default
+ *   every type fails the check except short-page, which is only reported
+ * - Reports are JSON or JUnit XML (one test suite per file, one test case per check)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { getAttribute, escapeHTML } = require('./html');
+
+const ISSUE_TYPES = [
+  'duplicate-id',
+  'broken-anchor',
+  'relative-src',
+  'short-page',
+  'markup-token',
+  'nesting',
+];
+
+// Issues a build may have per type; null = reported, never fails
+const DEFAULT_THRESHOLDS = {
+  'duplicate-id': 0,
+  'broken-anchor': 0,
+  'relative-src': 0,
+  'short-page': null,
+  'markup-token': 0,
+  nesting: 0,
+};
+
+const DEFAULT_MIN_PAGE_LENGTH = 100;
+
+const ATTRIBUTES = `(?:"[^"]*"|'[^']*'|[^'">])*`;
+// Comments, raw script/style elements, tags (closing slash, name, attributes), text
+const TOKEN_PATTERN = new RegExp(
+  [
+    '<!--[\\s\\S]*?-->',
+    `<(script|style)\\b${ATTRIBUTES}>[\\s\\S]*?<\\/\\1\\s*>`,
+    `<(\\/?)([a-zA-Z][\\w:-]*)(${ATTRIBUTES})>`,
+    '<!DOCTYPE[^>]*>',
+    '[^<]+',
+    '<',
+  ].join('|'),
+  'gi'
+);
+const MARKUP_TOKEN_PATTERN =
+  /\[(?:name|path|(?:page|member|property|method|param|link|example):[^\]]+)\]/gi;
+const LOADABLE_SRC_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+]);
+// End tags HTML lets you leave out; they are closed silently
+const OPTIONAL_END = new Set([
+  'html',
+  'head',
+  'body',
+  'p',
+  'li',
+  'dt',
+  'dd',
+  'tr',
+  'td',
+  'th',
+  'thead',
+  'tbody',
+  'tfoot',
+  'colgroup',
+  'option',
+  'optgroup',
+  'rt',
+  'rp',
+]);
+// Start tags that close an open element of the same group (<li> after <li>, ...)
+const CLOSES_SIBLING = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  option: ['option'],
+  p: ['p'],
+};
+// Start tags that close an open <p>
+const CLOSES_PARAGRAPH = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'details',
+  'div',
+  'dl',
+  'fieldset',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'main',
+  'nav',
+  'ol',
+  'pre',
+  'section',
+  'table',
+  'ul',
+]);
+// Text inside these may legitimately look like doc markup
+const CODE_ELEMENTS = new Set(['pre', 'code', 'textarea']);
+
+function decodeFragment(fragment) {
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+function isPage(tagName, attributes) {
+  if (tagName !== 'div' || !getAttribute(attributes, 'id')) return false;
+  return (getAttribute(attributes, 'class') || '').split(/\s+/).includes('manual');
+}
+
+/**
+ * Returns the issues found in one HTML document. `minPageLength` is the text length
+ * under which a page counts as short.
+ */
+function validateHtml(html, { minPageLength = DEFAULT_MIN_PAGE_LENGTH } = {}) {
+  const issues = [];
+  const ids = new Map();
+  const hrefs = new Map();
+  const stack = [];
+  const pages = [];
+  let page = null;
+  let codeDepth = 0;
+
+  const report = (type, message, target, pageId = page?.id ?? null) =>
+    issues.push({ type, message, target, page: pageId });
+
+  // Pops the top element; leaving a page records its text length
+  const pop = () => {
+    const element = stack.pop();
+    if (CODE_ELEMENTS.has(element.name)) codeDepth--;
+    if (element.page) {
+      pages.push(element.page);
+      page = stack.findLast((item) => item.page)?.page ?? null;
+    }
+    return element;
+  };
+
+  for (const [token, rawElement, closing, rawName, attributes = ''] of html.matchAll(
+    TOKEN_PATTERN
+  )) {
+    if (rawElement || token.startsWith('<!')) continue;
+    if (!rawName) {
+      if (page) page.length += token.replace(/\s+/g, ' ').trim().length;
+      if (codeDepth === 0) {
+        for (const [markup] of token.matchAll(MARKUP_TOKEN_PATTERN)) {
+          report('markup-token', `unexpanded doc markup ${markup}`, markup);
+        }
+      }
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    if (closing) {
+      if (VOID_ELEMENTS.has(name)) continue;
+      const index = stack.findLastIndex((element) => element.name === name);
+      if (index === -1) {
+        report('nesting', `stray </${name}>`, name);
+        continue;
+      }
+      while (stack.length > index + 1) {
+        const element = pop();
+        if (!OPTIONAL_END.has(element.name)) {
+          report('nesting', `<${element.name}> is not closed before </${name}>`, element.name);
+        }
+      }
+      pop();
+      continue;
+    }
+
+    const id = getAttribute(attributes, 'id');
+    if (id) ids.set(id, (ids.get(id) || 0) + 1);
+    const href = getAttribute(attributes, 'href');
+    if (href?.startsWith('#') && href.length > 1 && !hrefs.has(href.slice(1))) {
+      hrefs.set(href.slice(1), page?.id ?? null);
+    }
+    if (name === 'img' || name === 'iframe') {
+      const src = getAttribute(attributes, 'src');
+      if (src !== null && !LOADABLE_SRC_PATTERN.test(src.trim())) {
+        report('relative-src', `<${name} src="${src}"> won't load`, src);
+      }
+    }
+
+    if (VOID_ELEMENTS.has(name) || /\/\s*$/.test(attributes)) continue;
+    const top = stack.at(-1)?.name;
+    if ((top === 'p' && CLOSES_PARAGRAPH.has(name)) || CLOSES_SIBLING[name]?.includes(top)) {
+      pop();
+    }
+
+    const element = { name };
+    if (isPage(name, attributes)) {
+      page = { id, length: 0 };
+      element.page = page;
+    }
+    if (CODE_ELEMENTS.has(name)) codeDepth++;
+    stack.push(element);
+  }
+
+  while (stack.length > 0) {
+    const element = pop();
+    if (!OPTIONAL_END.has(element.name)) {
+      report('nesting', `<${element.name}> is never closed`, element.name, null);
+    }
+  }
+
+  for (const [id, count] of ids) {
+    if (count > 1) {
+      report('duplicate-id', `id "${id}" is used ${count} times`, id, null);
+    }
+  }
+  for (const [fragment, pageId] of hrefs) {
+    const id = decodeFragment(fragment);
+    if (!ids.has(id)) {
+      report('broken-anchor', `#${fragment} has no target`, id, pageId);
+    }
+  }
+  for (const { id, length } of pages) {
+    if (length < minPageLength) {
+      report('short-page', `page #${id} has only ${length} characters of text`, id, id);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Validates the HTML file at `filePath`. Relative sources that exist next to it (e.g.
+ * assets written in folder mode) are fine. Resolves to { file, issues }.
+ */
+async function validateFile(filePath, options = {}) {
+  const issues = validateHtml(await fs.readFile(filePath, 'utf8'), options);
+  const checked = [];
+  for (const issue of issues) {
+    if (issue.type === 'relative-src' && issue.target.trim()) {
+      const target = decodeFragment(issue.target.split(/[?#]/)[0]);
+      const exists = await fs
+        .access(path.resolve(path.dirname(filePath), target))
+        .then(() => true)
+        .catch(() => false);
+      if (exists) continue;
+    }
+    checked.push(issue);
+  }
+  return { file: filePath, issues: checked };
+}
+
+/**
+ * Reads --max-issues entries ("broken-anchor=5", "short-page=none") on top of
+ * DEFAULT_THRESHOLDS.
+ */
+function parseThresholds(entries = []) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  for (const entry of entries) {
+    const [type, value = ''] = entry.split('=').map((part) => part.trim());
+    if (!ISSUE_TYPES.includes(type)) {
+      throw new Error(`Unknown issue type "${type}". Available: ${ISSUE_TYPES.join(', ')}`);
+    }
+    if (value === 'none') {
+      thresholds[type] = null;
+    } else if (/^\d+$/.test(value)) {
+      thresholds[type] = Number(value);
+    } else {
+      throw new Error(`--max-issues expects ${type}=<count> or ${type}=none, got "${entry}"`);
+    }
+  }
+  return thresholds;
+}
+
+/**
+ * Counts the issues of validated files per type and compares them with `thresholds`.
+ * Returns { passed, counts, thresholds, exceeded: [{ type, count, max }], files }.
+ */
+function summarizeValidation(results, thresholds = DEFAULT_THRESHOLDS) {
+  const counts = Object.fromEntries(ISSUE_TYPES.map((type) => [type, 0]));
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      counts[issue.type]++;
+    });
+  });
+  const exceeded = ISSUE_TYPES.filter(
+    (type) => thresholds[type] !== null && counts[type] > thresholds[type]
+  ).map((type) => ({ type, count: counts[type], max: thresholds[type] }));
+  return { passed: exceeded.length === 0, counts, thresholds, exceeded, files: results };
+}
+
+function generateJsonReport(summary) {
+  return `${JSON.stringify({ createdAt: new Date().toISOString(), ...summary }, null, 2)}\n`;
+}
+
+// Checks are test cases: failed when their type is over its threshold, else passed
+// with the issues (if any) as output
+function generateJUnitReport(summary) {
+  const failing = new Set(summary.exceeded.map((item) => item.type));
+  let failures = 0;
+  const suites = summary.files.map((result) => {
+    let suiteFailures = 0;
+    const cases = ISSUE_TYPES.map((type) => {
+      const issues = result.issues.filter((issue) => issue.type === type);
+      const open = `<testcase classname="validate" name="${type}"`;
+      if (issues.length === 0) return `    ${open}/>`;
+
+      const body = escapeHTML(issues.map((issue) => issue.message).join('\n'));
+      if (!failing.has(type)) {
+        return `    ${open}>\n      <system-out>${body}</system-out>\n    </testcase>`;
+      }
+      suiteFailures++;
+      return `    ${open}>
+      <failure type="${type}" message="${issues.length} issue(s)">${body}</failure>
+    </testcase>`;
+    });
+    failures += suiteFailures;
+    return `  <testsuite name="${escapeHTML(result.file)}" tests="${ISSUE_TYPES.length}" failures="${suiteFailures}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="validate" tests="${summary.files.length * ISSUE_TYPES.length}" failures="${failures}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  DEFAULT_THRESHOLDS,
+  validateHtml,
+  validateFile,
+  parseThresholds,
+  summarizeValidation,
+  generateJsonReport,
+  generateJUnitReport,
+};
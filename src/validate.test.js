@@ -0,0 +1,154 @@
+const { describe, test, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  validateHtml,
+  validateFile,
+  parseThresholds,
+  summarizeValidation,
+  generateJsonReport,
+  generateJUnitReport,
+} = require('./validate');
+
+const TEXT = 'Base class for most objects in three.js. '.repeat(4);
+
+const types = (issues) => issues.map((issue) => issue.type);
+
+describe('Output Validation', () => {
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'threejs-validate-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('validateHtml should accept a manual whose links all resolve', () => {
+    const html = `<!DOCTYPE html><html><head><meta charset="utf-8">
+      <script>if (a < b && c > "</div>") {}</script></head><body>
+      <a href="#api-en-core-Object3D">Object3D</a><a href="https://threejs.org/">site</a>
+      <div class="manual" id="api-en-core-Object3D">
+        <h1>Object3D</h1><p>${TEXT}<p>Implied end tags are fine.
+        <ul><li>One<li>Two</ul>
+        <img src="https://threejs.org/files/a.png" alt=""><br>
+        <h3 id="api-en-core-Object3D.position">position</h3>
+        <pre><code>const list = [name];</code></pre>
+        <!-- [page:Comment] -->
+      </div></body></html>`;
+
+    expect(validateHtml(html)).toEqual([]);
+  });
+
+  test('validateHtml should report duplicate ids and anchors without a target', () => {
+    const html =
+      '<div id="page"></div><div id="page"></div>' +
+      '<a href="#page">ok</a><a href="#missing">broken</a><a href="#caf%C3%A9">encoded</a>' +
+      '<h2 id="café">Café</h2>';
+
+    expect(validateHtml(html)).toEqual([
+      { type: 'duplicate-id', message: 'id "page" is used 2 times', target: 'page', page: null },
+      { type: 'broken-anchor', message: '#missing has no target', target: 'missing', page: null },
+    ]);
+  });
+
+  test('validateHtml should report unloadable sources, short pages and leftover markup', () => {
+    const html = `
+      <div class="manual" id="api-en-core-Object3D">
+        <h1>Object3D</h1><p>${TEXT} See [page:Vector3] and <code>[name]</code>.</p>
+        <img src="resources/scene.png"><iframe src="../examples/webgl_animation.html"></iframe>
+      </div>
+      <div class="manual" id="api-en-core-Draft"><h1>Draft</h1></div>`;
+
+    const issues = validateHtml(html);
+
+    expect(issues).toEqual([
+      expect.objectContaining({ type: 'markup-token', target: '[page:Vector3]' }),
+      expect.objectContaining({ type: 'relative-src', target: 'resources/scene.png' }),
+      expect.objectContaining({
+        type: 'relative-src',
+        message: '<iframe src="../examples/webgl_animation.html"> won\'t load',
+      }),
+      {
+        type: 'short-page',
+        message: 'page #api-en-core-Draft has only 5 characters of text',
+        target: 'api-en-core-Draft',
+        page: 'api-en-core-Draft',
+      },
+    ]);
+    expect(issues[0].page).toBe('api-en-core-Object3D');
+    expect(types(validateHtml(html, { minPageLength: 0 }))).not.toContain('short-page');
+  });
+
+  test('validateHtml should report nesting errors', () => {
+    const issues = validateHtml(
+      '<div><span>Open</div><p>Text</em></p><section><h2>Unclosed</section><table>'
+    );
+
+    expect(issues.map((issue) => issue.message)).toEqual([
+      '<span> is not closed before </div>',
+      'stray </em>',
+      '<h2> is not closed before </section>',
+      '<table> is never closed',
+    ]);
+    expect(new Set(types(issues))).toEqual(new Set(['nesting']));
+  });
+
+  test('validateFile should accept relative sources that exist next to the file', async () => {
+    await fs.mkdir(path.join(tmpDir, 'assets'), { recursive: true });
+    await fs.writeFile(path.join(tmpDir, 'assets', 'scene.png'), 'png');
+    const file = path.join(tmpDir, 'index.html');
+    await fs.writeFile(file, '<img src="assets/scene.png"><img src="assets/missing.png">');
+
+    const result = await validateFile(file);
+
+    expect(result.file).toBe(file);
+    expect(result.issues.map((issue) => issue.target)).toEqual(['assets/missing.png']);
+  });
+
+  test('thresholds should decide which issue types fail the check', () => {
+    const results = [
+      {
+        file: 'docs/index.html',
+        issues: validateHtml('<a href="#nope">x</a><div class="manual" id="short"><p>Hi</p></div>'),
+      },
+    ];
+
+    const failed = summarizeValidation(results, parseThresholds());
+    expect(failed.passed).toBe(false);
+    expect(failed.counts).toMatchObject({ 'broken-anchor': 1, 'short-page': 1 });
+    expect(failed.exceeded).toEqual([{ type: 'broken-anchor', count: 1, max: 0 }]);
+
+    const thresholds = parseThresholds(['broken-anchor=1', 'short-page=0']);
+    expect(summarizeValidation(results, thresholds).exceeded).toEqual([
+      { type: 'short-page', count: 1, max: 0 },
+    ]);
+    expect(summarizeValidation(results, parseThresholds(['broken-anchor=none'])).passed).toBe(true);
+    expect(() => parseThresholds(['broken-links=1'])).toThrow('Unknown issue type');
+    expect(() => parseThresholds(['nesting=many'])).toThrow('--max-issues expects');
+  });
+
+  test('reports should be written as JSON and JUnit XML', () => {
+    const summary = summarizeValidation(
+      [{ file: 'docs/index.html', issues: validateHtml('<a href="#a&amp;b">x</a><div>') }],
+      parseThresholds(['nesting=none'])
+    );
+
+    const json = JSON.parse(generateJsonReport(summary));
+    expect(json).toMatchObject({ passed: false, counts: { 'broken-anchor': 1, nesting: 1 } });
+    expect(json.files[0].issues).toHaveLength(2);
+
+    const xml = generateJUnitReport(summary);
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="validate"/);
+    expect(xml).toContain('<testsuites name="validate" tests="6" failures="1">');
+    expect(xml).toContain('<testsuite name="docs/index.html" tests="6" failures="1">');
+    expect(xml).toContain(
+      '<failure type="broken-anchor" message="1 issue(s)">#a&amp;amp;b has no target</failure>'
+    );
+    // Issues under their threshold are output, not failures
+    expect(xml).toContain('<system-out>&lt;div&gt; is never closed</system-out>');
+    expect(xml).toContain('<testcase classname="validate" name="duplicate-id"/>');
+  });
+});
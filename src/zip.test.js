@@ -0,0 +1,81 @@
+const { describe, test, expect } = require('@jest/globals');
+const zlib = require('zlib');
+const { Buffer } = require('node:buffer');
+const { crc32, createZip } = require('./zip');
+
+// Reads an archive the way unzip tools do: end record, central directory, local headers
+function readArchive(buffer) {
+  const end = buffer.length - 22;
+  expect(buffer.readUInt32LE(end)).toBe(0x06054b50);
+  const count = buffer.readUInt16LE(end + 10);
+  const directorySize = buffer.readUInt32LE(end + 12);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  expect(directoryOffset + directorySize).toBe(end);
+
+  const entries = [];
+  let offset = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+
+    // The local header has to agree with the central directory
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    expect(buffer.readUInt16LE(localOffset + 8)).toBe(method);
+    expect(buffer.readUInt32LE(localOffset + 14)).toBe(crc);
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    expect(buffer.toString('utf8', localOffset + 30, localOffset + 30 + localNameLength)).toBe(
+      name
+    );
+    const start = localOffset + 30 + localNameLength + buffer.readUInt16LE(localOffset + 28);
+    const compressed = buffer.subarray(start, start + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(compressed) : compressed;
+    expect(data.length).toBe(size);
+    expect(crc32(data)).toBe(crc);
+
+    entries.push({ name, method, data });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  expect(offset).toBe(end);
+  return entries;
+}
+
+describe('ZIP Writer', () => {
+  test('crc32 should match the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  test('createZip should write an archive that reads back entry by entry', () => {
+    const text = 'const scene = new THREE.Scene();\n'.repeat(50);
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+    const archive = createZip([
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      { name: 'OEBPS/chapter.xhtml', data: text },
+      { name: 'OEBPS/images/pixel.png', data: png },
+      { name: 'OEBPS/字体.txt', data: '三维' },
+    ]);
+
+    expect(readArchive(archive)).toEqual([
+      { name: 'mimetype', method: 0, data: Buffer.from('application/epub+zip') },
+      { name: 'OEBPS/chapter.xhtml', method: 8, data: Buffer.from(text) },
+      // Too small to gain from deflating, so stored
+      { name: 'OEBPS/images/pixel.png', method: 0, data: png },
+      { name: 'OEBPS/字体.txt', method: 0, data: Buffer.from('三维') },
+    ]);
+    // EPUB readers look for the stored mimetype at a fixed offset
+    expect(archive.toString('latin1', 30, 58)).toBe('mimetypeapplication/epub+zip');
+  });
+
+  test('createZip should produce identical archives for identical input', () => {
+    const entries = [{ name: 'a.txt', data: 'same' }];
+
+    expect(createZip(entries).equals(createZip(entries))).toBe(true);
+    expect(readArchive(createZip([]))).toEqual([]);
+  });
+});